@@ -99,6 +99,7 @@ module.exports = function(grunt) {
         'src/js/flow/queue.js',
         'src/js/flow/queues.js',
         'src/js/flow/flow.js',
+        'src/js/flow/scheduler.js',
         'src/js/actor.js',
         'src/js/events/event.js',
         'src/js/events/value_event.js',
@@ -151,6 +152,9 @@ module.exports = function(grunt) {
           'flow/queue',
           'flow/queues',
           'flow/flow',
+          'flow/scheduler',
+          'disposables/disposable',
+          'disposables/composite_disposable',
           'actor',
           'events/event',
           'events/value_event',
@@ -160,24 +164,42 @@ module.exports = function(grunt) {
           'streams/delayed_stream',
           'streams/throttling_stream',
           'streams/debouncing_stream',
+          'streams/path_stream',
           'properties/property',
           'properties/auto_property',
+          'properties/async_property',
           'properties/object_property',
           'properties/array_property',
           'properties/proxy_property',
+          'properties/computed_property',
           'properties/property_provider',
           'cores/core',
           'cores/object_core',
           'cores/array_core',
+          'cores/collection_core',
           'arrays/array',
           'arrays/listeners',
+          'collections/map',
+          'collections/set',
           'objects/prob',
+          'objects/history',
+          'objects/snapshot',
+          'objects/patch',
           'registry/registry',
           'registry/dsl',
-          'registry/provider',
+          'registry/provider'
+        ],
+        devFiles = [
+          'testing/marbles',
+          'debug/graph',
+          'debug/trace'
         ],
         args = this.args, customFiles = [], index, i = -1;
 
+    if (args.indexOf('dev') !== -1) {
+      defaultFiles = defaultFiles.concat(devFiles);
+    }
+
     if (args.length) {
       while (++i < args.length) {
         index = defaultFiles.indexOf(args[i]);
@@ -195,6 +217,7 @@ module.exports = function(grunt) {
   });
 
   grunt.registerTask('build', ['clean:dist', 'setup', 'concat', 'wrap', 'uglify', 'compress', 'karma:integration']);
+  grunt.registerTask('build-dev', ['clean:dist', 'setup:dev', 'concat', 'wrap', 'uglify', 'compress', 'karma:integration']);
   grunt.registerTask('spec', ['karma:unit']);
   grunt.registerTask('all', ['lint', 'todo', 'spec', 'jsdoc', 'build']);
 
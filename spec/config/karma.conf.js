@@ -8,6 +8,9 @@ module.exports = function(karma) {
       'src/js/flow/queue.js',
       'src/js/flow/queues.js',
       'src/js/flow/flow.js',
+      'src/js/flow/scheduler.js',
+      'src/js/disposables/disposable.js',
+      'src/js/disposables/composite_disposable.js',
       'src/js/actor.js',
       'src/js/events/event.js',
       'src/js/events/value_event.js',
@@ -17,21 +20,33 @@ module.exports = function(karma) {
       'src/js/streams/delayed_stream.js',
       'src/js/streams/throttling_stream.js',
       'src/js/streams/debouncing_stream.js',
+      'src/js/streams/path_stream.js',
       'src/js/properties/property.js',
       'src/js/properties/auto_property.js',
+      'src/js/properties/async_property.js',
       'src/js/properties/object_property.js',
       'src/js/properties/array_property.js',
       'src/js/properties/proxy_property.js',
+      'src/js/properties/computed_property.js',
       'src/js/properties/property_provider.js',
       'src/js/cores/core.js',
       'src/js/cores/object_core.js',
       'src/js/cores/array_core.js',
+      'src/js/cores/collection_core.js',
       'src/js/arrays/array.js',
       'src/js/arrays/listeners.js',
+      'src/js/collections/map.js',
+      'src/js/collections/set.js',
       'src/js/objects/prob.js',
+      'src/js/objects/history.js',
+      'src/js/objects/snapshot.js',
+      'src/js/objects/patch.js',
       'src/js/registry/registry.js',
       'src/js/registry/dsl.js',
       'src/js/registry/provider.js',
+      'src/js/testing/marbles.js',
+      'src/js/debug/graph.js',
+      'src/js/debug/trace.js',
       'spec/spec_helper.js',
       'spec/unit/**/*.spec.js'
     ],
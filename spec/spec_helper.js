@@ -6,10 +6,14 @@ beforeEach(function() {
   P.PP.clearProviders();
   P.PP.registerProvider(new P.ProxyPropertyProvider());
   P.PP.registerProvider(new P.SimplePropertyProvider());
+  P.PP.registerProvider(new P.AsyncPropertyProvider());
   P.PP.registerProvider(new P.AutoPropertyProvider());
   P.PP.registerProvider(new P.ArrayPropertyProvider());
+  P.PP.registerProvider(new P.ComputedPropertyProvider());
   P.PP.registerProvider(new P.ObjectPropertyProvider());
 
+  ProAct.scheduler = new ProAct.Scheduler();
+
   ProAct.flow = new ProAct.Flow(['proq'], {
     err: function (e) {
       if (P.flow.errStream) {
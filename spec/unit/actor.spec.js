@@ -14,6 +14,22 @@ describe('ProAct.Actor', function () {
       expect(res.length).toEqual(1);
       expect(res[0].target).toEqual(actor);
     });
+
+    it ('raises the ranks of the listening actors', function () {
+      var stream1 = new ProAct.Stream(),
+          stream2 = new ProAct.Stream(stream1),
+          stream3 = new ProAct.Stream(stream2);
+
+      expect(stream1.rank).toBe(0);
+      expect(stream2.rank).toBe(1);
+      expect(stream3.rank).toBe(2);
+      expect(stream2.sources).toEqual([stream1]);
+
+      stream1.into(new ProAct.Stream(new ProAct.Stream()));
+      expect(stream1.rank).toBe(2);
+      expect(stream2.rank).toBe(3);
+      expect(stream3.rank).toBe(4);
+    });
   });
 
   describe('#off', function () {
@@ -30,6 +46,108 @@ describe('ProAct.Actor', function () {
     });
   });
 
+  describe('#on with options', function () {
+    it ('detaches the listeners with the once option after their first notification', function () {
+      var actor = new ProAct.Actor(), res = [];
+
+      actor.on(['a', 'b'], function (event) {
+        res.push(event.source);
+      }, {once: true});
+
+      actor.update(1, 'a');
+      actor.update(2, 'b');
+
+      expect(res).toEqual([1]);
+      expect(actor.listeners.a.length).toBe(0);
+      expect(actor.listeners.b.length).toBe(0);
+    });
+
+    it ('notifies the listeners with lower priority first', function () {
+      var model = new ProAct.Actor(), res = [];
+
+      model.on(function () {
+        res.push('render');
+      }, {priority: 1});
+      model.on(function () {
+        res.push('model');
+      });
+      model.on(function () {
+        res.push('validate');
+      }, {priority: -1});
+
+      model.update(null);
+
+      expect(res).toEqual(['validate', 'model', 'render']);
+    });
+
+    it ('notifies the listeners in the queue passed as option', function () {
+      var actor = new ProAct.Actor(), res = [];
+
+      ProAct.flow.addQueue('render');
+
+      actor.on(function () {
+        res.push('render');
+      }, {queue: 'render'});
+      actor.on(function () {
+        res.push('default');
+      });
+
+      actor.update(null);
+
+      expect(res).toEqual(['default', 'render']);
+    });
+
+    it ('forgets the options of the removed listeners', function () {
+      var actor = new ProAct.Actor(), res = [],
+          listener = function (event) {
+            res.push(event.source);
+          };
+
+      actor.on(listener, {once: true});
+      actor.off(listener);
+      actor.on(listener);
+
+      actor.update(1);
+      actor.update(2);
+
+      expect(res).toEqual([1, 2]);
+    });
+  });
+
+  describe('#subscribe', function () {
+    it ('adds observer to the actor and returns a handle removing it', function () {
+      var actor = new ProAct.Actor(), res = [],
+          subscription = actor.subscribe(function (event) {
+            res.push(event);
+          });
+
+      expect(subscription instanceof ProAct.Disposable).toBe(true);
+
+      actor.update(null);
+      subscription.dispose();
+      actor.update(null);
+
+      expect(res.length).toEqual(1);
+      expect(subscription.isDisposed).toBe(true);
+    });
+
+    it ('removes only the listener for the passed actions', function () {
+      var actor = new ProAct.Actor(), res = [],
+          listener = function (event) {
+            res.push(event);
+          },
+          subscription = actor.subscribe('error', listener);
+
+      actor.on(listener);
+      subscription.dispose();
+
+      actor.update(null);
+      actor.update(null, 'error');
+
+      expect(res.length).toEqual(1);
+    });
+  });
+
   describe('#update', function () {
     it ('notifies only the passed types of actions', function () {
       var actor = new ProAct.Actor(), res = [];
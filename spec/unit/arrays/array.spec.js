@@ -504,6 +504,211 @@ describe('ProAct.Array', function () {
 
   });
 
+  describe('#pfind & #pfindIndex', function () {
+    var isEven = function (el) {
+      return el % 2 === 0;
+    };
+
+    it ('tracks the first element passing the test', function () {
+      var array = new ProAct.Array(1, 3, 4, 6),
+          found = array.pfind(isEven),
+          index = array.pfindIndex(isEven);
+
+      expect(found.v).toBe(4);
+      expect(index.v).toBe(2);
+
+      array.unshift(5);
+      expect(found.v).toBe(4);
+      expect(index.v).toBe(3);
+
+      array.unshift(8);
+      expect(found.v).toBe(8);
+      expect(index.v).toBe(0);
+
+      array.shift();
+      expect(found.v).toBe(4);
+      expect(index.v).toBe(3);
+
+      array[3] = 7;
+      expect(found.v).toBe(6);
+      expect(index.v).toBe(4);
+
+      array[1] = 2;
+      expect(found.v).toBe(2);
+      expect(index.v).toBe(1);
+
+      array.splice(0, 2, 9, 9, 9);
+      expect(found.v).toBe(6);
+      expect(index.v).toBe(5);
+
+      array.splice(1, 0, 10);
+      expect(found.v).toBe(10);
+      expect(index.v).toBe(1);
+
+      array.reverse();
+      expect(found.v).toBe(6);
+      expect(index.v).toBe(0);
+
+      array.length = 0;
+      expect(found.v).toBe(undefined);
+      expect(index.v).toBe(-1);
+
+      array.push(1, 12);
+      expect(found.v).toBe(12);
+      expect(index.v).toBe(1);
+
+      array.pop();
+      expect(found.v).toBe(undefined);
+      expect(index.v).toBe(-1);
+    });
+
+    it ('does not search the array again if the found element is not removed', function () {
+      var array = new ProAct.Array(1, 2, 3, 4),
+          index = array.pfindIndex(isEven),
+          calls = 0;
+
+      array.pfindIndex(function (el) {
+        calls++;
+        return isEven(el);
+      });
+      calls = 0;
+
+      array.push(5, 6);
+      array.unshift(7);
+      array[4] = 8;
+      array.pop();
+
+      expect(index.v).toBe(2);
+      expect(calls).toBe(3);
+    });
+  });
+
+  describe('#pincludes & #pcount', function () {
+    it ('pincludes tracks if an element is in the array', function () {
+      var array = new ProAct.Array(1, 2, 2),
+          includes = array.pincludes(2),
+          includesNaN = array.pincludes(NaN);
+
+      expect(includes.v).toBe(true);
+      expect(includesNaN.v).toBe(false);
+
+      array.pop();
+      expect(includes.v).toBe(true);
+
+      array[1] = NaN;
+      expect(includes.v).toBe(false);
+      expect(includesNaN.v).toBe(true);
+
+      array.splice(0, 2, 2);
+      expect(includes.v).toBe(true);
+      expect(includesNaN.v).toBe(false);
+    });
+
+    it ('pcount tracks the number of the elements passing the test', function () {
+      var array = new ProAct.Array(1, 2, 3),
+          count = array.pcount(function (el) {
+            return el % 2 === 1;
+          });
+
+      expect(count.v).toBe(2);
+
+      array.push(5, 7);
+      expect(count.v).toBe(4);
+
+      array[0] = 4;
+      expect(count.v).toBe(3);
+
+      array.shift();
+      expect(count.v).toBe(3);
+
+      array.splice(1, 2, 9, 10, 11);
+      expect(count.v).toBe(3);
+
+      array.sort();
+      expect(count.v).toBe(3);
+
+      array.length = 1;
+      expect(count.v).toBe(0);
+    });
+  });
+
+  describe('#pmin, #pmax & #psum', function () {
+    it ('track the smallest and the largest element', function () {
+      var array = new ProAct.Array(3, 1, 2),
+          min = array.pmin(),
+          max = array.pmax();
+
+      expect(min.v).toBe(1);
+      expect(max.v).toBe(3);
+
+      array.push(0, 5);
+      expect(min.v).toBe(0);
+      expect(max.v).toBe(5);
+
+      array.pop();
+      expect(max.v).toBe(3);
+
+      array[3] = 4;
+      expect(min.v).toBe(1);
+      expect(max.v).toBe(4);
+
+      array.splice(0, 2);
+      expect(min.v).toBe(2);
+
+      array.length = 0;
+      expect(min.v).toBe(undefined);
+      expect(max.v).toBe(undefined);
+
+      array.unshift(6);
+      expect(min.v).toBe(6);
+      expect(max.v).toBe(6);
+    });
+
+    it ('can compare the elements by key', function () {
+      var a = {age: 30}, b = {age: 20}, c = {age: 40},
+          array = new ProAct.Array(a, b),
+          age = function (el) {
+            return el.age;
+          },
+          youngest = array.pmin(age),
+          oldest = array.pmax(age);
+
+      expect(youngest.v).toBe(b);
+      expect(oldest.v).toBe(a);
+
+      array.push(c);
+      expect(oldest.v).toBe(c);
+
+      array.splice(1, 1);
+      expect(youngest.v).toBe(a);
+    });
+
+    it ('psum tracks the sum of the elements', function () {
+      var array = new ProAct.Array(1, 2, 3),
+          sum = array.psum(),
+          doubled = array.psum(function (el) {
+            return el * 2;
+          });
+
+      expect(sum.v).toBe(6);
+      expect(doubled.v).toBe(12);
+
+      array[0] = 4;
+      expect(sum.v).toBe(9);
+
+      array.push(10);
+      array.shift();
+      expect(sum.v).toBe(15);
+      expect(doubled.v).toBe(30);
+
+      array.splice(0, 2, 1);
+      expect(sum.v).toBe(11);
+
+      array.length = 1;
+      expect(sum.v).toBe(1);
+    });
+  });
+
   it('updates properties depending on #forEach', function () {
     var array = new ProAct.Array(3, 5, 4),
         obj = {
@@ -530,6 +735,18 @@ describe('ProAct.Array', function () {
   });
 
   describe('#filter', function () {
+    it('can be read by index after the original is filtered again', function () {
+      var array = new ProAct.Array(1, 2, 3, 4),
+          filtered = array.filter(function (el) {
+            return el % 2 === 0;
+          });
+
+      array.splice(0, 4, 2, 5, 6, 4);
+
+      expect(filtered.length).toBe(3);
+      expect([filtered[0], filtered[1], filtered[2]]).toEqual([2, 6, 4]);
+    });
+
     it('creates a new ProAct.Array dependable on the original', function () {
       var array = new ProAct.Array(1, 2, 3, 4), filtered;
 
@@ -696,6 +913,26 @@ describe('ProAct.Array', function () {
   });
 
   describe('#map', function () {
+    it('updates the mapped array for every change in a run, notifying the others once', function () {
+      var array = new ProAct.Array(1, 2), calls = 0, mapped;
+
+      mapped = array.map(function (el) {
+        return el * 10;
+      });
+      array.core.on(function () {
+        calls += 1;
+      });
+
+      ProAct.flow.run(function () {
+        array.push(3);
+        array.push(4);
+        array.shift();
+      });
+
+      expect(mapped.toArray()).toEqual([20, 30, 40]);
+      expect(calls).toBe(1);
+    });
+
     it('creates a new ProAct.Array dependable on the original', function () {
       var array = new ProAct.Array(1, 2, 3), mapped;
 
@@ -1324,6 +1561,261 @@ describe('ProAct.Array', function () {
 
   });
 
+  describe('#move', function () {
+    it ('moves an element and notifies the index listeners', function () {
+      var array = new ProAct.Array(1, 2, 3, 4),
+          args;
+
+      array.core.on('index', function (event) {
+        args = event.args;
+      });
+
+      expect(array.move(0, 2)).toBe(array);
+      expect(array.toArray()).toEqual([2, 3, 1, 4]);
+      expect(args).toEqual([ProAct.Array.Operations.move, 0, 1, 2]);
+    });
+
+    it ('moves the elements of the dependent arrays', function () {
+      var array = new ProAct.Array(1, 2, 3, 4),
+          right = new ProAct.Array(5, 6),
+          mapped = array.map(function (el) {
+            return el * 10;
+          }),
+          filtered = array.filter(function (el) {
+            return el % 2 === 0;
+          }),
+          concatenated = array.concat(right);
+
+      array.move(3, 0);
+      right.move(1, 0);
+
+      expect(mapped.toArray()).toEqual([40, 10, 20, 30]);
+      expect(filtered.toArray()).toEqual([4, 2]);
+      expect(concatenated.toArray()).toEqual([4, 1, 2, 3, 6, 5]);
+    });
+
+    it ('keeps chains of dependent arrays in sync on many moves and splices', function () {
+      var array = new ProAct.Array(2, 4, 6, 8, 10, 12),
+          evens = array.filter(function (el) {
+            return el % 2 === 0;
+          }),
+          mapped = evens.map(function (el) {
+            return el * 10;
+          }),
+          big = evens.filter(function (el) {
+            return el > 5;
+          });
+
+      array.splice(0, 6, 20, 4, 5, 8, 7, 12, 14, 6);
+
+      expect(evens.toArray()).toEqual([20, 4, 8, 12, 14, 6]);
+      expect(mapped.toArray()).toEqual([200, 40, 80, 120, 140, 60]);
+      expect(big.toArray()).toEqual([20, 8, 12, 14, 6]);
+    });
+  });
+
+  describe('#psort & #sortBy', function () {
+    var byNumber = function (a, b) {
+      return a - b;
+    };
+
+    it ('creates a sorted copy without changing the original', function () {
+      var array = new ProAct.Array(5, 1, 4, 2),
+          sorted = array.psort(byNumber);
+
+      expect(ProAct.Utils.isProArray(sorted)).toBe(true);
+      expect(sorted.toArray()).toEqual([1, 2, 4, 5]);
+      expect(array.toArray()).toEqual([5, 1, 4, 2]);
+      expect(array.psort().toArray()).toEqual([1, 2, 4, 5]);
+    });
+
+    it ('keeps the result sorted on changes of the original', function () {
+      var array = new ProAct.Array(5, 1, 4, 2),
+          sorted = array.psort(byNumber);
+
+      array.push(3);
+      expect(sorted.toArray()).toEqual([1, 2, 3, 4, 5]);
+
+      array.unshift(0, 7);
+      expect(sorted.toArray()).toEqual([0, 1, 2, 3, 4, 5, 7]);
+
+      array.pop();
+      expect(sorted.toArray()).toEqual([0, 1, 2, 4, 5, 7]);
+
+      array.shift();
+      expect(sorted.toArray()).toEqual([1, 2, 4, 5, 7]);
+
+      array[0] = 6;
+      expect(sorted.toArray()).toEqual([1, 2, 4, 5, 6]);
+
+      array.splice(1, 2, 9, 3);
+      expect(sorted.toArray()).toEqual([2, 3, 4, 6, 9]);
+
+      array.length = 2;
+      expect(sorted.toArray()).toEqual([6, 9]);
+
+      array.reverse();
+      array.sort();
+      expect(sorted.toArray()).toEqual([6, 9]);
+    });
+
+    it ('places the changed elements by binary insertion instead of sorting again', function () {
+      var array = new ProAct.Array(5, 1, 4, 2),
+          sorted = array.psort(byNumber);
+
+      spyOn(ProAct.Array, 'reSort').andCallThrough();
+
+      array.push(3);
+      array[0] = 0;
+      array.splice(1, 1);
+      array.pop();
+
+      expect(sorted.toArray()).toEqual([0, 2, 4]);
+      expect(ProAct.Array.reSort).not.toHaveBeenCalled();
+    });
+
+    it ('is stable for equal elements', function () {
+      var a = {n: 1, id: 'a'}, b = {n: 1, id: 'b'}, c = {n: 0, id: 'c'},
+          array = new ProAct.Array(a, c),
+          sorted = array.sortBy(function (el) {
+            return el.n;
+          });
+
+      expect(sorted.toArray()).toEqual([c, a]);
+
+      array.push(b);
+      expect(sorted.toArray()).toEqual([c, a, b]);
+
+      array.shift();
+      expect(sorted.toArray()).toEqual([c, b]);
+    });
+
+    it ('sortBy sorts by the keys of the elements', function () {
+      var array = new ProAct.Array({name: 'c'}, {name: 'a'}),
+          names = function (arr) {
+            return arr.toArray().map(function (el) {
+              return el.name;
+            });
+          },
+          sorted = array.sortBy(function (el) {
+            return el.name;
+          });
+
+      expect(names(sorted)).toEqual(['a', 'c']);
+
+      array.push({name: 'b'});
+      expect(names(sorted)).toEqual(['a', 'b', 'c']);
+    });
+
+    it ('can sort a filtered array', function () {
+      var array = new ProAct.Array(8, 3, 6, 1, 4),
+          sorted = array.filter(function (el) {
+            return el % 2 === 0;
+          }).psort(byNumber);
+
+      expect(sorted.toArray()).toEqual([4, 6, 8]);
+
+      array.push(2, 5);
+      expect(sorted.toArray()).toEqual([2, 4, 6, 8]);
+
+      array.splice(0, 3, 10);
+      expect(sorted.toArray()).toEqual([2, 4, 10]);
+
+      array[1] = 0;
+      expect(sorted.toArray()).toEqual([0, 2, 4, 10]);
+    });
+  });
+
+  describe('#groupBy & #partition', function () {
+    var toObject = function (groups) {
+      var result = {};
+
+      groups.forEach(function (elements, key) {
+        result[key] = elements.toArray();
+      });
+
+      return result;
+    };
+
+    it ('groups the elements by the keys returned by the passed function', function () {
+      var array = new ProAct.Array(1, 2, 3, 4, 5),
+          groups = array.groupBy(function (el) {
+            return el % 2 ? 'odd' : 'even';
+          });
+
+      expect(groups instanceof ProAct.Map).toBe(true);
+      expect(groups.keys()).toEqual(['odd', 'even']);
+      expect(toObject(groups)).toEqual({odd: [1, 3, 5], even: [2, 4]});
+    });
+
+    it ('keeps the groups up to date with the original array', function () {
+      var array = new ProAct.Array(1, 2, 3, 4, 5),
+          groups = array.groupBy(function (el) {
+            return el % 3;
+          }),
+          ones = groups.get(1);
+
+      array.push(7, 9);
+      expect(toObject(groups)).toEqual({0: [3, 9], 1: [1, 4, 7], 2: [2, 5]});
+
+      array.unshift(6);
+      array.pop();
+      array.shift();
+      expect(toObject(groups)).toEqual({0: [3], 1: [1, 4, 7], 2: [2, 5]});
+
+      array.reverse();
+      expect(toObject(groups)).toEqual({0: [3], 1: [7, 4, 1], 2: [5, 2]});
+
+      array.sort();
+      array.splice(1, 2, 8);
+      array[0] = 10;
+      expect(toObject(groups)).toEqual({1: [10, 4, 7], 2: [8, 5]});
+      expect(groups.get(1)).toBe(ones);
+    });
+
+    it ('moves the elements to other groups when their keys change', function () {
+      var tasks = new ProAct.Array(
+            {name: 'a', status: 'todo'},
+            {name: 'b', status: 'done'},
+            {name: 'c', status: 'todo'}
+          ),
+          byStatus = tasks.groupBy(function (task) {
+            return task.status;
+          }),
+          names = function (status) {
+            return byStatus.get(status).toArray().map(function (task) {
+              return task.name;
+            });
+          };
+
+      expect(names('todo')).toEqual(['a', 'c']);
+
+      tasks[0].status = 'done';
+      expect(names('todo')).toEqual(['c']);
+      expect(names('done')).toEqual(['a', 'b']);
+
+      tasks[2].status = 'doing';
+      expect(byStatus.has('todo')).toBe(false);
+      expect(names('doing')).toEqual(['c']);
+    });
+
+    it ('partitions the elements in two live arrays', function () {
+      var array = new ProAct.Array(1, 2, 3, 4, 5),
+          parts = array.partition(function (el) {
+            return el > 2;
+          });
+
+      expect(parts[0].toArray()).toEqual([3, 4, 5]);
+      expect(parts[1].toArray()).toEqual([1, 2]);
+
+      array.push(0, 6);
+      array.splice(2, 1);
+      array.move(0, 4);
+      expect(parts[0].toArray()).toEqual([4, 5, 6]);
+      expect(parts[1].toArray()).toEqual([2, 0, 1]);
+    });
+  });
+
   it('#push updates depending properties and adds new index dependencies', function () {
     var array = new ProAct.Array(4, 1, 2, 3),
         obj = {
@@ -0,0 +1,228 @@
+'use strict';
+
+describe('ProAct.Map', function () {
+  var map;
+
+  beforeEach(function () {
+    map = new ProAct.Map([['a', 1], ['b', 2]]);
+  });
+
+  it ('has the API of the ES6 Map', function () {
+    var visited = [], key = {};
+
+    expect(map.size).toBe(2);
+    expect(map.get('a')).toBe(1);
+    expect(map.has('c')).toBe(false);
+
+    expect(map.set('c', 3).set(key, 4).set(NaN, 5)).toBe(map);
+    expect(map.get(key)).toBe(4);
+    expect(map.get(NaN)).toBe(5);
+    expect(map.size).toBe(5);
+
+    expect(map['delete']('a')).toBe(true);
+    expect(map['delete']('a')).toBe(false);
+
+    map.forEach(function (value, key) {
+      visited.push([key, value]);
+    });
+    expect(visited.length).toBe(4);
+    expect(visited[2]).toEqual([key, 4]);
+    expect(map.keys().slice(0, 3)).toEqual(['b', 'c', key]);
+    expect(map.values()).toEqual([2, 3, 4, 5]);
+    expect(map.entries()[1]).toEqual(['c', 3]);
+
+    map.clear();
+    expect(map.size).toBe(0);
+  });
+
+  it ('distinguishes the primitive keys of different types, also after deletes', function () {
+    var i;
+
+    map.set(1, 'number').set('1', 'string').set(true, 'boolean').set('true', 'text');
+    map.set(null, 'null').set(undefined, 'undefined').set(-0, 'zero');
+
+    expect(map.get(1)).toBe('number');
+    expect(map.get('1')).toBe('string');
+    expect(map.get(true)).toBe('boolean');
+    expect(map.get(null)).toBe('null');
+    expect(map.get(undefined)).toBe('undefined');
+    expect(map.get(0)).toBe('zero');
+
+    map['delete']('a');
+    map['delete']('1');
+    expect(map.keys()).toEqual(['b', 1, true, 'true', null, undefined, 0]);
+    for (i = 0; i < map.keys().length; i++) {
+      expect(map.get(map.keys()[i])).toBe(map.values()[i]);
+    }
+
+    map.clear();
+    expect(map.has(1)).toBe(false);
+    map.set(1, 'again');
+    expect(map.get(1)).toBe('again');
+  });
+
+  it ('can be created from a plain object', function () {
+    map = new ProAct.Map({x: 1, y: 2});
+
+    expect(map.entries()).toEqual([['x', 1], ['y', 2]]);
+  });
+
+  it ('notifies its core listeners with collection events', function () {
+    var events = [], ops = ProAct.Map.Operations;
+
+    map.core.on(function (event) {
+      expect(event.type).toBe(ProAct.Event.Types.collection);
+      events.push(event.args);
+    });
+
+    map.set('a', 5);
+    map.set('a', 5);
+    map.set('c', 3);
+    map['delete']('b');
+    map.clear();
+
+    expect(events).toEqual([
+      [ops.set, 'a', 1, 5],
+      [ops.add, 'c', undefined, 3],
+      [ops['delete'], 'b', 2, undefined],
+      [ops.clear, ['a', 'c'], [5, 3], undefined]
+    ]);
+  });
+
+  it ('tracks the dependencies of the auto properties by key', function () {
+    var computed = 0,
+        obj = ProAct.prob({
+          a: function () {
+            computed += 1;
+            return map.get('a');
+          }
+        });
+
+    expect(obj.a).toBe(1);
+    expect(computed).toBe(1);
+
+    map.set('b', 3);
+    map.set('c', 4);
+    map['delete']('c');
+    expect(computed).toBe(1);
+
+    map.set('a', 5);
+    expect(obj.a).toBe(5);
+
+    map['delete']('a');
+    expect(obj.a).toBe(undefined);
+
+    map.set('a', 6);
+    expect(obj.a).toBe(6);
+
+    map.clear();
+    expect(obj.a).toBe(undefined);
+  });
+
+  it ('stops tracking the keys, that are not read anymore', function () {
+    var obj = ProAct.prob({
+          key: 'a',
+          value: function () {
+            return map.get(this.key);
+          }
+        });
+
+    expect(obj.value).toBe(1);
+    expect(map.__pro__.keyActors.length).toBe(1);
+
+    obj.key = 'b';
+    expect(obj.value).toBe(2);
+    expect(map.__pro__.keyActors.length).toBe(1);
+    expect(map.__pro__.keyActors[0].key).toEqual('b');
+
+    map.set('a', 5);
+    expect(obj.value).toBe(2);
+
+    obj.p('value').destroy();
+    map.set('b', 3);
+    expect(map.__pro__.keyActors.length).toBe(0);
+  });
+
+  it ('stops tracking the object keys, that are not read anymore', function () {
+    var key = {},
+        obj = ProAct.prob({
+          value: function () {
+            return map.get(key);
+          }
+        });
+
+    map.set(key, 1);
+    expect(obj.value).toBe(1);
+    expect(map.__pro__.keyActors.length).toBe(1);
+    expect(map.__pro__.keyActors[0] instanceof ProAct.CollectionCore.KeyActor).toBe(true);
+
+    map.set(key, 2);
+    expect(obj.value).toBe(2);
+
+    obj.p('value').destroy();
+    map.set(key, 3);
+    expect(map.__pro__.keyActors.length).toBe(0);
+  });
+
+  it ('updates the auto properties using the size on adding and deleting keys', function () {
+    var obj = ProAct.prob({
+          size: function () {
+            return map.size;
+          }
+        });
+
+    expect(obj.size).toBe(2);
+
+    map.set('c', 3);
+    expect(obj.size).toBe(3);
+
+    map['delete']('a');
+    expect(obj.size).toBe(2);
+  });
+
+  describe('#pkeys and #pvalues', function () {
+    it ('are live ProAct.Arrays of the keys and the values', function () {
+      var keys = map.pkeys(), values = map.pvalues();
+
+      expect(P.U.isProArray(keys)).toBe(true);
+      expect(keys.toArray()).toEqual(['a', 'b']);
+      expect(values.toArray()).toEqual([1, 2]);
+
+      map.set('c', 3);
+      map.set('a', 4);
+      expect(keys.toArray()).toEqual(['a', 'b', 'c']);
+      expect(values.toArray()).toEqual([4, 2, 3]);
+
+      map['delete']('b');
+      expect(keys.toArray()).toEqual(['a', 'c']);
+      expect(values.toArray()).toEqual([4, 3]);
+
+      ProAct.batch(function () {
+        map.set('d', 5);
+        map['delete']('a');
+      });
+      expect(keys.toArray()).toEqual(['c', 'd']);
+      expect(values.toArray()).toEqual([3, 5]);
+
+      map.clear();
+      expect(keys.toArray()).toEqual([]);
+      expect(values.toArray()).toEqual([]);
+    });
+  });
+
+  describe('#psize', function () {
+    it ('is a live property of the size', function () {
+      var size = map.psize;
+
+      expect(size instanceof ProAct.Property).toBe(true);
+      expect(map.psize).toBe(size);
+      expect(size.v).toBe(2);
+
+      map.set('c', 3);
+      expect(size.v).toBe(3);
+
+      map.clear();
+      expect(size.v).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,69 @@
+'use strict';
+
+describe('ProAct.Set', function () {
+  var set;
+
+  beforeEach(function () {
+    set = new ProAct.Set([1, 2, 2]);
+  });
+
+  it ('has the API of the ES6 Set', function () {
+    var visited = [];
+
+    expect(set.size).toBe(2);
+    expect(set.has(1)).toBe(true);
+
+    expect(set.add(3).add(3)).toBe(set);
+    expect(set.values()).toEqual([1, 2, 3]);
+    expect(set.keys()).toEqual(set.values());
+    expect(set.entries()[0]).toEqual([1, 1]);
+
+    set.add(NaN).add(NaN);
+    expect(set.size).toBe(4);
+    expect(set.has(NaN)).toBe(true);
+    set['delete'](NaN);
+
+    expect(set['delete'](1)).toBe(true);
+    expect(set['delete'](1)).toBe(false);
+
+    set.forEach(function (value, key) {
+      visited.push([key, value]);
+    });
+    expect(visited).toEqual([[2, 2], [3, 3]]);
+
+    set.clear();
+    expect(set.size).toBe(0);
+  });
+
+  it ('tracks the dependencies of the auto properties by value', function () {
+    var computed = 0,
+        obj = ProAct.prob({
+          hasOne: function () {
+            computed += 1;
+            return set.has(1);
+          }
+        });
+
+    expect(obj.hasOne).toBe(true);
+
+    set.add(5);
+    set['delete'](2);
+    expect(computed).toBe(1);
+
+    set['delete'](1);
+    expect(obj.hasOne).toBe(false);
+
+    set.add(1);
+    expect(obj.hasOne).toBe(true);
+  });
+
+  it ('has live pvalues and psize', function () {
+    var values = set.pvalues(), size = set.psize;
+
+    set.add(3);
+    set['delete'](1);
+
+    expect(values.toArray()).toEqual([2, 3]);
+    expect(size.v).toBe(2);
+  });
+});
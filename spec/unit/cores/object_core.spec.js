@@ -67,6 +67,53 @@ describe('ProAct.ObjectCore', function () {
       obj.a = 6;
       expect(obj.c).toEqual(9);
     });
+
+    it ('notifies the keys listeners for the added properties', function () {
+      var obj = ProAct.prob({a: 1}), events = [];
+
+      obj.__pro__.on('keys', function (event) {
+        events.push(event);
+      });
+
+      obj.__pro__.set('a', 2);
+      obj.__pro__.set('b', 3);
+
+      expect(events.length).toBe(1);
+      expect(events[0].type).toBe(ProAct.Event.Types.keys);
+      expect(events[0].target).toBe(obj);
+      expect(events[0].args).toEqual(['add', 'b', undefined, 3]);
+    });
+  });
+
+  describe('#remove', function () {
+    it ('deletes the field and destroys its property', function () {
+      var obj = ProAct.prob({a: 1, b: 2}), events = [];
+
+      obj.__pro__.on('keys', function (event) {
+        events.push(event.args);
+      });
+
+      expect(obj.__pro__.remove('a')).toBe(true);
+      expect(obj.__pro__.remove('c')).toBe(false);
+
+      expect(obj.hasOwnProperty('a')).toBe(false);
+      expect(obj.__pro__.properties.a).toBe(undefined);
+      expect(events).toEqual([['delete', 'a', 1, undefined]]);
+    });
+
+    it ('updates the dependent properties', function () {
+      var obj = ProAct.prob({
+        a: 1,
+        b: function () {
+          return this.a;
+        }
+      });
+
+      expect(obj.b).toBe(1);
+
+      obj.__pro__.remove('a');
+      expect(obj.b).toBe(undefined);
+    });
   });
 
   describe('#makeProp', function () {
@@ -0,0 +1,117 @@
+'use strict';
+
+describe('ProAct.graph', function () {
+  var find = function (graph, label) {
+        var i;
+
+        for (i = 0; i < graph.nodes.length; i++) {
+          if (graph.nodes[i].label === label) {
+            return graph.nodes[i];
+          }
+        }
+
+        return null;
+      },
+      edge = function (graph, from, to) {
+        var result = [];
+
+        graph.edges.forEach(function (edge) {
+          if (edge.from === find(graph, from).id && edge.to === find(graph, to).id) {
+            result.push(edge.label);
+          }
+        });
+
+        return result;
+      };
+
+  it ('contains the properties of an object and their dependencies', function () {
+    var obj = ProAct.prob({
+          a: 1,
+          b: function () {
+            return this.a + 1;
+          }
+        }),
+        graph;
+
+    expect(obj.b).toBe(2);
+    graph = ProAct.graph(obj);
+
+    expect(graph instanceof ProAct.Graph).toBe(true);
+    expect(find(graph, 'ObjectCore').type).toEqual('core');
+    expect(find(graph, 'Property a').type).toEqual('property');
+    expect(find(graph, 'AutoProperty b').name).toEqual('AutoProperty');
+
+    expect(edge(graph, 'Property a', 'AutoProperty b')).toEqual(['change']);
+    expect(edge(graph, 'Property a', 'ObjectCore')).toEqual(['parent']);
+  });
+
+  it ('walks the streams in both directions', function () {
+    var source = new ProAct.Stream(),
+        mapped = source.map(function (v) {
+          return v * 2;
+        }),
+        graph;
+
+    mapped.on(function render () {});
+    graph = ProAct.graph(mapped);
+
+    expect(graph.nodes.length).toBe(3);
+    expect(graph.edges).toEqual([
+      {from: 'n0', to: 'n1', label: 'change'},
+      {from: 'n2', to: 'n0', label: 'change'},
+      {from: 'n2', to: 'n0', label: 'error'},
+      {from: 'n2', to: 'n0', label: 'close'}
+    ]);
+    expect(graph.nodes[0].type).toEqual('stream');
+    expect(graph.nodes[1]).toEqual({id: 'n1', type: 'listener', name: 'render', label: 'render'});
+    expect(graph.nodes[2].type).toEqual('stream');
+  });
+
+  it ('labels the listeners of the array elements with their indices', function () {
+    var array = new ProAct.Array({x: 1}, {x: 2}),
+        filtered = array.filter(function (el) {
+          return el.x > 1;
+        }),
+        graph = ProAct.graph(array),
+        elements = graph.edges.filter(function (edge) {
+          return edge.label === 'element';
+        });
+
+    expect(filtered.length).toBe(1);
+    expect(elements.length).toBe(2);
+    expect(graph.edges.filter(function (edge) {
+      return edge.label === 'change [1]';
+    }).length).toBe(1);
+  });
+
+  it ('can be exported to JSON and DOT', function () {
+    var obj = ProAct.prob({
+          a: 1,
+          'b"': function () {
+            return this.a;
+          }
+        }),
+        graph, json;
+
+    expect(obj['b"']).toBe(1);
+    graph = ProAct.graph(obj);
+    json = JSON.parse(JSON.stringify(graph));
+
+    expect(json.nodes.length).toBe(3);
+    expect(json.edges.length).toBe(3);
+    expect(json.nodes[0]).toEqual({
+      id: 'n0', type: 'core', name: 'ObjectCore', label: 'ObjectCore'
+    });
+
+    expect(graph.toDOT('model').split('\n')).toEqual([
+      'digraph "model" {',
+      '  n0 [label="ObjectCore", shape=box3d];',
+      '  n1 [label="Property a", shape=ellipse];',
+      '  n2 [label="AutoProperty b\\"", shape=ellipse];',
+      '  n1 -> n2 [label="change"];',
+      '  n1 -> n0 [label="parent"];',
+      '  n2 -> n0 [label="parent"];',
+      '}'
+    ]);
+  });
+});
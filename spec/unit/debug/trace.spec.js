@@ -0,0 +1,184 @@
+'use strict';
+
+describe('ProAct.Tracer', function () {
+  var tracer;
+
+  beforeEach(function () {
+    tracer = new ProAct.Tracer();
+    tracer.enable();
+  });
+
+  afterEach(function () {
+    tracer.disable();
+  });
+
+  it ('is disabled by default', function () {
+    var obj = ProAct.prob({a: 1});
+
+    tracer.disable();
+    obj.a = 2;
+
+    expect(ProAct.flow.tracer).toBe(null);
+    expect(tracer.last()).toBe(null);
+  });
+
+  it ('records a causal tree for every flow run', function () {
+    var obj = ProAct.prob({
+          a: 1,
+          b: function () {
+            return this.a + 1;
+          }
+        }),
+        a = obj.p('a'),
+        b = obj.p('b'),
+        root, actions, runs;
+
+    expect(obj.b).toBe(2);
+    runs = tracer.runs.length;
+    obj.a = 5;
+
+    root = tracer.last().roots[0];
+    expect(tracer.last().roots.length).toBe(1);
+    expect(root.setter).toBe(a);
+    expect(root.actor).toBe(a);
+    expect(root.event instanceof ProAct.ValueEvent).toBe(true);
+    expect(root.event.newVal).toBe(5);
+    expect(root.listener).toBe(null);
+
+    actions = root.children.filter(function (node) {
+      return node.listener !== null;
+    });
+    expect(actions.map(function (node) {
+      return node.actor;
+    })).toEqual([b, obj.__pro__]);
+    expect(actions[0].listener).toBe(b.listener);
+    expect(actions[0].queue).toEqual('proq');
+    expect(actions[0].setter).toBe(a);
+    expect(actions[0].cause).toBe(root);
+
+    obj.a = 6;
+    expect(tracer.runs.length).toBe(runs + 2);
+    expect(tracer.last().roots[0].event.newVal).toBe(6);
+  });
+
+  it ('keeps only the last runs', function () {
+    var obj = ProAct.prob({a: 1});
+
+    tracer = new ProAct.Tracer({limit: 2}).enable();
+    obj.a = 2;
+    obj.a = 3;
+    obj.a = 4;
+
+    expect(tracer.runs.length).toBe(2);
+    expect(tracer.runs[0].roots[0].event.newVal).toBe(3);
+
+    tracer.clear();
+    expect(tracer.last()).toBe(null);
+  });
+
+  it ('records the updates in a batch in one run', function () {
+    var obj = ProAct.prob({a: 1, b: 2});
+
+    ProAct.batch(function () {
+      obj.a = 3;
+      obj.b = 4;
+    });
+
+    expect(tracer.runs.length).toBe(1);
+    expect(tracer.last().roots.map(function (node) {
+      return node.actor.property;
+    })).toEqual(['a', 'b']);
+  });
+
+  it ('records the array events and the queues of the listeners', function () {
+    var array = new ProAct.Array(1, 2, 3),
+        values = [],
+        node;
+
+    array.core.on(function render (event) {
+      values.push(event.args[0]);
+    }, {queue: 'render'});
+    ProAct.flow.addQueue('render');
+
+    try {
+      array.push(4);
+    } finally {
+      ProAct.flow.setQueues(['proq']);
+    }
+
+    node = tracer.last().roots[0];
+    expect(node.actor).toBe(array.core);
+    expect(node.event instanceof ProAct.Event).toBe(true);
+    expect(node.event.args[0]).toBe(ProAct.Array.Operations.add);
+
+    expect(node.children.length).toBe(1);
+    expect(node.children[0].queue).toEqual('render');
+    expect(node.children[0].listener.name).toEqual('render');
+    expect(node.children[0].event).toBe(node.event);
+  });
+
+  describe('#why', function () {
+    it ('returns the chain of updates, that led to the last update of a property', function () {
+      var obj = ProAct.prob({
+            a: 1,
+            b: function () {
+              return this.a + 1;
+            },
+            c: function () {
+              return this.b * 2;
+            }
+          }),
+          why;
+
+      expect(obj.c).toBe(4);
+      obj.a = 5;
+      expect(obj.c).toBe(12);
+
+      why = tracer.why(obj, 'c');
+      expect(why.map(function (node) {
+        return node.actor.property;
+      })).toEqual(['a', 'b', 'c']);
+      expect(why[2].listener).toBe(obj.p('c').listener);
+
+      expect(tracer.why(obj.p('a')).length).toBe(1);
+      expect(tracer.why(obj, 'd')).toBe(null);
+    });
+
+    it ('follows the actions that update other actors', function () {
+      var source = new ProAct.Stream(),
+          mapped = source.map(function (v) {
+            return v * 2;
+          }),
+          why;
+
+      mapped.on(function () {});
+      source.trigger(3);
+
+      why = tracer.why(mapped);
+      expect(why.length).toBe(2);
+      expect(why[0].actor).toBe(source);
+      expect(why[0].event).toBe(3);
+      expect(why[1].actor).toBe(mapped);
+      expect(why[1].listener).toBe(mapped.listener);
+    });
+
+    it ('follows the updates of the derived arrays', function () {
+      var array = new ProAct.Array(1, 2, 3),
+          mapped = array.map(function (v) {
+            return v * 2;
+          }),
+          why;
+
+      array.push(4);
+
+      why = tracer.why(mapped.core);
+      expect(why.length).toBe(3);
+      expect(why[0].actor).toBe(array.core);
+      expect(why[1].actor).toBe(null);
+      expect(why[1].event).toBe(why[0].event);
+      expect(why[2].actor).toBe(mapped.core);
+      expect(why[2].event.args[0]).toBe(ProAct.Array.Operations.add);
+      expect(why[2].event.args[3]).toEqual([8]);
+    });
+  });
+});
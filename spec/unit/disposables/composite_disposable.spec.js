@@ -0,0 +1,171 @@
+'use strict';
+
+describe('ProAct.CompositeDisposable', function () {
+  var counter, disposable;
+
+  beforeEach(function () {
+    counter = 0;
+    disposable = function () {
+      return new ProAct.Disposable(function () {
+        counter++;
+      });
+    };
+  });
+
+  it ('disposes all of its disposables at once', function () {
+    var d1 = disposable(), d2 = disposable(),
+        composite = new ProAct.CompositeDisposable(d1);
+
+    composite.add(d2);
+    composite.dispose();
+    composite.dispose();
+
+    expect(counter).toBe(2);
+    expect(d1.isDisposed).toBe(true);
+    expect(d2.isDisposed).toBe(true);
+    expect(composite.isDisposed).toBe(true);
+  });
+
+  it ('disposes immediately the disposables added after it is disposed', function () {
+    var composite = new ProAct.CompositeDisposable();
+
+    composite.dispose();
+    composite.add(disposable());
+
+    expect(counter).toBe(1);
+  });
+
+  it ('does not dispose the removed disposables', function () {
+    var d = disposable(),
+        composite = new ProAct.CompositeDisposable(d, disposable());
+
+    composite.remove(d).dispose();
+
+    expect(counter).toBe(1);
+    expect(d.isDisposed).toBe(false);
+  });
+
+  describe('#collect', function () {
+    it ('collects the subscriptions made while the passed function runs', function () {
+      var composite = new ProAct.CompositeDisposable(),
+          stream = new ProAct.Stream(),
+          res = [],
+          result;
+
+      result = composite.collect(function () {
+        stream.subscribe(function (v) {
+          res.push(v);
+        });
+        this.subscribe(function (v) {
+          res.push(v * 10);
+        });
+
+        return 5;
+      }, stream);
+
+      expect(result).toBe(5);
+      expect(ProAct.currentDisposable).toBe(null);
+      expect(composite.disposables.length).toBe(2);
+
+      stream.trigger(1);
+      composite.dispose();
+      stream.trigger(2);
+
+      expect(res).toEqual([1, 10]);
+    });
+
+    it ('does not collect the listeners attached with #on', function () {
+      var composite = new ProAct.CompositeDisposable(),
+          stream = new ProAct.Stream(),
+          res = [];
+
+      composite.collect(function () {
+        stream.on(function (v) {
+          res.push(v);
+        });
+      });
+
+      composite.dispose();
+      stream.trigger(1);
+
+      expect(composite.disposables.length).toBe(0);
+      expect(res).toEqual([1]);
+    });
+
+    it ('keeps the auto properties and the derived arrays created in the function reactive', function () {
+      var composite = new ProAct.CompositeDisposable(),
+          obj = ProAct.prob({
+            a: 1,
+            list: [1, 2]
+          }),
+          computed, mapped;
+
+      composite.collect(function () {
+        computed = ProAct.prob({
+          double: function () {
+            return obj.a * 2;
+          }
+        });
+        expect(computed.double).toBe(2);
+
+        mapped = obj.list.map(function (v) {
+          return v * 10;
+        });
+      });
+      composite.dispose();
+
+      obj.a = 5;
+      obj.list.push(3);
+
+      expect(computed.double).toBe(10);
+      expect(mapped.toArray()).toEqual([10, 20, 30]);
+    });
+
+    it ('collects the links made by #into only while the function runs', function () {
+      var composite = new ProAct.CompositeDisposable(),
+          source = new ProAct.Stream(),
+          linked = new ProAct.Stream(source),
+          collected,
+          res = [];
+
+      composite.collect(function () {
+        collected = new ProAct.Stream(source);
+      });
+      expect(composite.disposables.length).toBe(3);
+
+      linked.on(function (v) {
+        res.push('linked ' + v);
+      });
+      collected.on(function (v) {
+        res.push('collected ' + v);
+      });
+
+      composite.dispose();
+      source.trigger(1);
+
+      expect(res).toEqual(['linked 1']);
+    });
+
+    it ('collects the listeners added through the DSL and the registry', function () {
+      var composite = new ProAct.CompositeDisposable(),
+          reg = new ProAct.Registry()
+            .register('s', new ProAct.Registry.StreamProvider())
+            .register('f', new ProAct.Registry.FunctionProvider()),
+          source = reg.make('s:source'),
+          res = [];
+
+      composite.collect(function () {
+        reg.make('s:test', '<<(s:source)|@($1)', function (v) {
+          res.push(v);
+        });
+      });
+
+      source.trigger(1);
+      composite.dispose();
+      source.trigger(2);
+      reg.get('s:test').trigger(3);
+
+      expect(res).toEqual([1]);
+    });
+  });
+});
@@ -269,5 +269,434 @@ describe('ProAct.Flow', function () {
       expect(res.length).toBe(1);
       expect(res[0].queue).toNotBe(null);
     });
+
+    it ('the #errStream stream dispatches the errors for cycles in the flow', function () {
+      var res = [],
+          listener = function (e) {
+            res.push(e);
+          },
+          obj = ProAct.prob({a: true, b: true});
+
+      obj.p('a').on(function () {
+        obj.b = obj.a;
+      });
+      obj.p('b').on(function () {
+        obj.a = !obj.b;
+      });
+
+      ProAct.flow.errStream().onErr(listener);
+      try {
+        obj.a = false;
+      } finally {
+        ProAct.flow.errStream().offErr(listener);
+      }
+
+      expect(res.length).toBe(1);
+      expect(res[0].message).toEqual(
+        'Cycle detected in the \'proq\' queue: property \'a\' -> property \'b\' -> property \'a\''
+      );
+      expect(res[0].queue).toNotBe(null);
+    });
+
+    it ('the #errStream stream dispatches the errors for cycles of streams', function () {
+      var res = [],
+          listener = function (e) {
+            res.push(e);
+          },
+          stream1 = new ProAct.Stream(),
+          stream2 = new ProAct.Stream();
+
+      stream1.into(stream2);
+      stream2.into(stream1);
+
+      ProAct.flow.errStream().onErr(listener);
+      try {
+        stream1.trigger(1);
+      } finally {
+        ProAct.flow.errStream().offErr(listener);
+      }
+
+      expect(res.length).toBe(1);
+      expect(res[0].message).toEqual(
+        'Cycle detected in the \'proq\' queue: stream #1 -> stream #2 -> stream #1'
+      );
+    });
+
+    it ('the #errStream stream names the streams notifying the listeners in a cycle', function () {
+      var res = [],
+          listener = function (e) {
+            res.push(e);
+          },
+          stream = new ProAct.Stream();
+
+      stream.on(function (value) {
+        stream.trigger(value);
+      });
+
+      ProAct.flow.errStream().onErr(listener);
+      try {
+        stream.trigger(1);
+      } finally {
+        ProAct.flow.errStream().offErr(listener);
+      }
+
+      expect(res.length).toBe(1);
+      expect(res[0].message).toEqual(
+        'Cycle detected in the \'proq\' queue: stream #1 -> stream #1'
+      );
+    });
+
+    it ('does not stop the listeners updating their actors with new values', function () {
+      var res = [],
+          listener = function (e) {
+            res.push(e);
+          },
+          calls = 0,
+          stream = new ProAct.Stream();
+
+      stream.on(function (value) {
+        calls += 1;
+
+        if (value > 0) {
+          stream.trigger(value - 1);
+        }
+      });
+
+      ProAct.flow.errStream().onErr(listener);
+      try {
+        stream.trigger(150);
+      } finally {
+        ProAct.flow.errStream().offErr(listener);
+      }
+
+      expect(calls).toBe(151);
+      expect(res.length).toBe(0);
+    });
+  });
+
+  describe('cycle detection', function () {
+    it ('passes the limits from the options of the flow to its queues', function () {
+      var errors = [],
+          flow = new ProAct.Flow(['proq', 'render'], {
+            maxIterations: 30,
+            cycleLimit: 2,
+            flowInstance: {
+              queue: {
+                err: function (queue, e) {
+                  errors.push(e);
+                }
+              }
+            }
+          }),
+          counter = 0,
+          render = function render () {
+            counter += 1;
+            flow.push('proq', update);
+          },
+          update = function update () {
+            flow.push('render', render);
+          };
+
+      flow.run(function () {
+        flow.push('proq', update);
+      });
+
+      expect(counter).toBe(2);
+      expect(errors.length).toBe(1);
+      expect(errors[0].message).toEqual(
+        'Cycle detected in the \'proq\', \'render\' queues: update -> render -> update'
+      );
+    });
+  });
+
+  describe('#batch', function () {
+    var obj, computations;
+    beforeEach(function () {
+      computations = 0;
+      obj = ProAct.prob({
+        a: 1,
+        b: 2,
+        sum: function () {
+          computations += 1;
+          return this.a + this.b;
+        }
+      });
+
+      expect(obj.sum).toBe(3);
+      computations = 0;
+    });
+
+    it ('executes the listeners once, after the callback', function () {
+      var result = ProAct.batch(function () {
+        obj.a = 5;
+        obj.b = 6;
+
+        expect(computations).toBe(0);
+        expect(obj.sum).toBe(3);
+
+        return 'result';
+      });
+
+      expect(result).toEqual('result');
+      expect(computations).toBe(1);
+      expect(obj.sum).toBe(11);
+    });
+
+    it ('does not flush on nested runs and batches', function () {
+      ProAct.batch(function () {
+        ProAct.flow.run(function () {
+          obj.a = 5;
+        });
+        expect(obj.sum).toBe(3);
+
+        ProAct.batch(function () {
+          obj.b = 6;
+        });
+        expect(obj.sum).toBe(3);
+        expect(ProAct.flow.flowInstances.length).toBe(0);
+      });
+
+      expect(computations).toBe(1);
+      expect(obj.sum).toBe(11);
+    });
+
+    it ('executes the listeners and rethrows if the callback throws', function () {
+      expect(function () {
+        ProAct.batch(function () {
+          obj.a = 5;
+          throw new Error('batch');
+        });
+      }).toThrow(new Error('batch'));
+
+      expect(obj.sum).toBe(7);
+      expect(ProAct.flow.isRunning()).toBe(false);
+    });
+  });
+
+  describe('#transaction', function () {
+    var obj, res;
+    beforeEach(function () {
+      res = [];
+      obj = ProAct.prob({
+        a: 1,
+        b: 2,
+        sum: function () {
+          return this.a + this.b;
+        }
+      });
+
+      expect(obj.sum).toBe(3);
+      obj.p('a').on(function (event) {
+        res.push(event.args[0][event.target]);
+      });
+    });
+
+    it ('works like #batch if the callback does not throw', function () {
+      ProAct.transaction(function () {
+        obj.a = 5;
+        obj.b = 6;
+      });
+
+      expect(obj.sum).toBe(11);
+      expect(res).toEqual([5]);
+    });
+
+    it ('restores the values of the changed properties if the callback throws', function () {
+      expect(function () {
+        ProAct.transaction(function () {
+          obj.a = 5;
+          obj.a = 7;
+          obj.b = 6;
+          throw new Error('transaction');
+        });
+      }).toThrow(new Error('transaction'));
+
+      expect(obj.a).toBe(1);
+      expect(obj.b).toBe(2);
+      expect(obj.sum).toBe(3);
+      expect(res).toEqual([]);
+      expect(ProAct.flow.isRunning()).toBe(false);
+    });
+
+    it ('restores the changed arrays and the arrays derived from them on error', function () {
+      var o = ProAct.prob({
+            list: [1, 2, 3],
+            size: function () {
+              return this.list.length;
+            }
+          }),
+          even = o.list.filter(function (el) {
+            return el % 2 === 0;
+          });
+
+      expect(o.size).toBe(3);
+      expect(function () {
+        ProAct.transaction(function () {
+          o.list.push(4);
+          o.list[0] = 5;
+          o.list.shift();
+          throw new Error('transaction');
+        });
+      }).toThrow(new Error('transaction'));
+
+      expect(o.list.toArray()).toEqual([1, 2, 3]);
+      expect(o.list.length).toBe(3);
+      expect(o.list[3]).toBeUndefined();
+      expect(even.toArray()).toEqual([2]);
+      expect(o.size).toBe(3);
+
+      o.list.push(4);
+      expect(o.list.toArray()).toEqual([1, 2, 3, 4]);
+      expect(even.toArray()).toEqual([2, 4]);
+      expect(o.size).toBe(4);
+    });
+
+    it ('restores only the values changed by a failed nested transaction', function () {
+      ProAct.transaction(function () {
+        obj.a = 5;
+
+        try {
+          ProAct.transaction(function () {
+            obj.a = 10;
+            obj.b = 20;
+            throw new Error('nested');
+          });
+        } catch (e) {
+          expect(e.message).toEqual('nested');
+        }
+
+        expect(obj.a).toBe(5);
+        expect(obj.b).toBe(2);
+      });
+
+      expect(obj.sum).toBe(7);
+      expect(res).toEqual([5]);
+    });
+
+    it ('discards the actions of a failed transaction, nested in a batch', function () {
+      var sums = [];
+      obj.p('sum').on(function (event) {
+        sums.push(event.args[0][event.target]);
+      });
+
+      ProAct.flow.batch(function () {
+        try {
+          ProAct.transaction(function () {
+            obj.a = 5;
+            throw new Error('nested');
+          });
+        } catch (e) {
+          expect(e.message).toEqual('nested');
+        }
+      });
+
+      expect(obj.a).toBe(1);
+      expect(obj.sum).toBe(3);
+      expect(res).toEqual([]);
+      expect(sums).toEqual([]);
+    });
+  });
+
+  describe('topological mode', function () {
+    beforeEach(function () {
+      ProAct.flow.options.topological = true;
+    });
+
+    afterEach(function () {
+      delete ProAct.flow.options.topological;
+    });
+
+    it ('computes the dependent properties only once, after all of their dependencies', function () {
+      var source = new ProAct.Stream(),
+          obj = ProAct.prob({
+            x: 1,
+            y: 10,
+            sum: function () {
+              res.push([this.x, this.y]);
+              return this.x + this.y;
+            }
+          }),
+          res = [];
+
+      obj.p('x').into(source);
+      obj.p('y').into(source.map(function (v) {
+        return v * 10;
+      }));
+      expect(obj.sum).toBe(11);
+
+      res = [];
+      source.trigger(5);
+
+      expect(res).toEqual([[5, 50]]);
+      expect(obj.sum).toBe(55);
+    });
+
+    it ('computes diamond dependencies once, whatever the lengths of their paths', function () {
+      var source = new ProAct.Stream(),
+          left = source.map(function (v) {
+            return v + 1;
+          }),
+          right = source.map(function (v) {
+            return v * 2;
+          }).map(function (v) {
+            return v + 1;
+          }),
+          obj = ProAct.prob({
+            l: 0,
+            r: 0,
+            d: function () {
+              res.push([this.l, this.r]);
+              return this.l + this.r;
+            }
+          }),
+          res = [];
+
+      obj.p('l').into(left);
+      obj.p('r').into(right);
+      expect(obj.d).toBe(0);
+      expect(obj.p('r').rank).toBeGreaterThan(obj.p('l').rank);
+
+      res = [];
+      source.trigger(3);
+
+      expect(res).toEqual([[4, 7]]);
+      expect(obj.d).toBe(11);
+    });
+
+    it ('uses the ranks of the actors, connected before the mode was turned on', function () {
+      var source, left, right, obj, res = [];
+
+      delete ProAct.flow.options.topological;
+
+      source = new ProAct.Stream();
+      left = source.map(function (v) {
+        return v + 1;
+      });
+      right = source.map(function (v) {
+        return v * 2;
+      }).map(function (v) {
+        return v + 1;
+      });
+      obj = ProAct.prob({
+        l: 0,
+        r: 0,
+        d: function () {
+          res.push([this.l, this.r]);
+          return this.l + this.r;
+        }
+      });
+
+      obj.p('l').into(left);
+      obj.p('r').into(right);
+      expect(obj.d).toBe(0);
+
+      ProAct.flow.options.topological = true;
+
+      res = [];
+      source.trigger(3);
+
+      expect(res).toEqual([[4, 7]]);
+      expect(obj.d).toBe(11);
+    });
   });
 });
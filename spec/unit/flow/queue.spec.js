@@ -86,6 +86,23 @@ describe('ProAct.Queue', function () {
     });
   });
 
+  describe('#clear', function () {
+    it('empties the queue without executing the actions', function () {
+      var called = false;
+      queue.push(function () {
+        called = true;
+      });
+      queue.push(obj, obj.f1);
+      expect(queue.length()).toBe(2);
+
+      queue.clear();
+      queue.go();
+
+      expect(queue.length()).toBe(0);
+      expect(called).toBe(false);
+    });
+  });
+
   describe('#go', function () {
     it('does nothing on empty queue', function () {
       queue.go();
@@ -183,5 +200,195 @@ describe('ProAct.Queue', function () {
       expect(fnOrder[0]).toBe(obj.f3);
       expect(fnOrder[1]).toBe(testFunc);
     });
+
+    it('executes the functions with lower levels first, whatever their priorities.', function () {
+      queue.push(obj, obj.f1, [], 1);
+      queue.pushOnce(testFunc, [], 2);
+      queue.push(obj, obj.f2, [1, 2]);
+      queue.pushOnce(testFunc, [], -1);
+      queue.pushOnce(obj, obj.f2, [3, 4]);
+
+      queue.go();
+
+      expect(fnOrder).toEqual([testFunc, obj.f2, obj.f1]);
+      expect(resArray[2]).toEqual([7]);
+    });
+  });
+
+  describe('#go in topological mode', function () {
+    var ranked = function (rank, name) {
+      return {
+        property: {rank: rank},
+        call: function () {
+          fnOrder.push(name);
+        }
+      };
+    };
+
+    beforeEach(function () {
+      queue = new ProAct.Queue('pro', {topological: true});
+    });
+
+    it ('executes the actions in the order of the ranks of their properties', function () {
+      var a = ranked(2, 'a'), b = ranked(0, 'b'), c = ranked(1, 'c');
+
+      queue.push(function () {
+        fnOrder.push('effect');
+      });
+      queue.push(a, a.call);
+      queue.push(b, b.call);
+      queue.push(c, c.call);
+
+      queue.go();
+
+      expect(fnOrder).toEqual(['b', 'c', 'a', 'effect']);
+      expect(queue.length()).toBe(0);
+    });
+
+    it ('executes the actions pushed by other actions in the order of their ranks', function () {
+      var a = ranked(2, 'a'), b = ranked(1, 'b'), c = ranked(0, 'c');
+
+      c.call = function () {
+        fnOrder.push('c');
+        queue.pushOnce(b, b.call);
+      };
+
+      queue.pushOnce(a, a.call);
+      queue.pushOnce(c, c.call);
+
+      queue.go();
+
+      expect(fnOrder).toEqual(['c', 'b', 'a']);
+    });
+
+    it ('executes again the actions pushed again after they were executed', function () {
+      var a = ranked(2, 'a'), b = ranked(1, 'b');
+
+      a.call = function () {
+        fnOrder.push('a');
+        if (fnOrder.length === 1) {
+          queue.pushOnce(b, b.call);
+        }
+      };
+      b.call = function () {
+        fnOrder.push('b');
+        queue.pushOnce(a, a.call);
+      };
+
+      queue.pushOnce(a, a.call);
+      queue.go();
+
+      expect(fnOrder).toEqual(['a', 'b', 'a']);
+    });
+  });
+
+  describe('cycle detection', function () {
+    var errors, a, b;
+
+    beforeEach(function () {
+      errors = [];
+      queue = new ProAct.Queue('pro', {
+        cycleLimit: 3,
+        err: function (queue, e) {
+          errors.push(e);
+        }
+      });
+
+      a = function a () {
+        fnOrder.push('a');
+        queue.pushOnce(b);
+      };
+      b = function b () {
+        fnOrder.push('b');
+        queue.pushOnce(a);
+      };
+    });
+
+    it ('stops the actions pushing each other and reports them to the err callback', function () {
+      queue.pushOnce(a);
+      queue.go();
+
+      expect(queue.isEmpty()).toBe(true);
+      expect(fnOrder).toEqual(['a', 'b', 'a', 'b', 'a']);
+      expect(errors.length).toBe(1);
+      expect(errors[0].message).toEqual('Cycle detected in the \'pro\' queue: b -> a -> b');
+    });
+
+    it ('throws the error if there is no err callback', function () {
+      queue = new ProAct.Queue('pro', {cycleLimit: 3});
+
+      queue.pushOnce(a);
+      expect(function () {
+        queue.go();
+      }).toThrow('Cycle detected in the \'pro\' queue: b -> a -> b');
+
+      queue.pushOnce(testFunc);
+      queue.go();
+      expect(resArray[0]).toEqual('5');
+    });
+
+    it ('does not stop the actions executed many times, but not in a cycle', function () {
+      var counter = 0,
+          common = function () {
+            fnOrder.push('common');
+          },
+          step = function (n) {
+            return function () {
+              counter += 1;
+              queue.pushOnce(common);
+
+              if (n < 20) {
+                queue.pushOnce(step(n + 1));
+              }
+            };
+          };
+
+      queue.pushOnce(step(1));
+      queue.go();
+
+      expect(counter).toBe(20);
+      expect(errors.length).toBe(0);
+    });
+
+    it ('detects cycles in topological mode', function () {
+      queue = new ProAct.Queue('pro', {
+        topological: true,
+        cycleLimit: 3,
+        err: function (queue, e) {
+          errors.push(e);
+        }
+      });
+
+      queue.pushOnce(a);
+      queue.go();
+
+      expect(fnOrder.length).toBe(8);
+      expect(errors[0].message).toEqual('Cycle detected in the \'pro\' queue: a -> b -> a');
+    });
+
+    it ('stops the actions after the maximum number of iterations', function () {
+      var grow = function grow () {
+        fnOrder.push('grow');
+        queue.push(function () {
+          queue.push(grow);
+        });
+      };
+
+      queue = new ProAct.Queue('pro', {
+        maxIterations: 10,
+        err: function (queue, e) {
+          errors.push(e);
+        }
+      });
+
+      queue.push(grow);
+      queue.go();
+
+      expect(fnOrder.length).toBe(5);
+      expect(errors.length).toBe(1);
+      expect(errors[0].message).toEqual(
+        'The \'pro\' queue exceeded 10 iterations, the actions keep pushing new actions: grow'
+      );
+    });
   });
 });
@@ -0,0 +1,91 @@
+'use strict';
+
+describe('ProAct.VirtualScheduler', function () {
+  var scheduler, res;
+
+  beforeEach(function () {
+    scheduler = new ProAct.VirtualScheduler();
+    res = [];
+  });
+
+  describe('#setTimeout', function () {
+    it ('executes the action only when the virtual time reaches it', function () {
+      scheduler.setTimeout(function () {
+        res.push(scheduler.now());
+      }, 100);
+
+      scheduler.advanceBy(99);
+      expect(res).toEqual([]);
+
+      scheduler.advanceBy(1);
+      expect(res).toEqual([100]);
+
+      scheduler.advanceBy(500);
+      expect(res).toEqual([100]);
+    });
+
+    it ('executes actions for the same time in the order they were scheduled', function () {
+      scheduler.setTimeout(function () {
+        res.push('b');
+      }, 50);
+      scheduler.setTimeout(function () {
+        res.push('c');
+      }, 50);
+      scheduler.setTimeout(function () {
+        res.push('a');
+      }, 10);
+
+      scheduler.advanceTo(50);
+      expect(res).toEqual(['a', 'b', 'c']);
+    });
+  });
+
+  describe('#clearTimeout', function () {
+    it ('cancels the scheduled action', function () {
+      var id = scheduler.setTimeout(function () {
+        res.push(1);
+      }, 10);
+
+      scheduler.clearTimeout(id);
+      scheduler.advanceBy(20);
+      expect(res).toEqual([]);
+    });
+  });
+
+  describe('#setInterval', function () {
+    it ('executes the action on every interval', function () {
+      var id = scheduler.setInterval(function () {
+        res.push(scheduler.now());
+      }, 30);
+
+      scheduler.advanceTo(100);
+      expect(res).toEqual([30, 60, 90]);
+      expect(scheduler.now()).toBe(100);
+
+      scheduler.clearInterval(id);
+      scheduler.advanceBy(100);
+      expect(res).toEqual([30, 60, 90]);
+    });
+  });
+
+  describe('#advanceTo', function () {
+    it ('executes the actions scheduled by other actions if they are due', function () {
+      scheduler.setTimeout(function () {
+        res.push('first');
+        scheduler.setTimeout(function () {
+          res.push('second');
+        }, 10);
+      }, 10);
+
+      scheduler.advanceTo(20);
+      expect(res).toEqual(['first', 'second']);
+    });
+
+    it ('does not move the clock back', function () {
+      scheduler.advanceTo(50);
+      scheduler.advanceTo(20);
+
+      expect(scheduler.now()).toBe(50);
+    });
+  });
+});
@@ -0,0 +1,178 @@
+'use strict';
+
+describe('ProAct.History', function () {
+  var obj, history;
+
+  beforeEach(function () {
+    obj = ProAct.prob({
+      name: 'John',
+      age: 30,
+      address: {
+        city: 'Sofia'
+      },
+      tags: ['a', 'b'],
+      title: function () {
+        return this.name + ' (' + this.age + ')';
+      }
+    });
+    history = new ProAct.History(obj);
+  });
+
+  it ('can not undo or redo without recorded changes', function () {
+    expect(history.canUndo()).toBe(false);
+    expect(history.canRedo()).toBe(false);
+
+    history.undo().redo();
+    expect(obj.name).toEqual('John');
+  });
+
+  describe('#undo', function () {
+    it ('undoes the changes of the properties in reverse order', function () {
+      obj.name = 'Jane';
+      obj.age = 25;
+      obj.age = 26;
+
+      expect(history.canUndo()).toBe(true);
+
+      history.undo();
+      expect(obj.age).toBe(25);
+      expect(obj.name).toEqual('Jane');
+
+      history.undo().undo();
+      expect(obj.age).toBe(30);
+      expect(obj.name).toEqual('John');
+      expect(obj.title).toEqual('John (30)');
+      expect(history.canUndo()).toBe(false);
+    });
+
+    it ('undoes the changes of the nested objects', function () {
+      obj.address.city = 'Plovdiv';
+      expect(obj.address.city).toEqual('Plovdiv');
+
+      history.undo();
+      expect(obj.address.city).toEqual('Sofia');
+    });
+
+    it ('undoes replacing a nested object and tracks the new one', function () {
+      var oldAddress = obj.address;
+
+      obj.address = {city: 'Varna'};
+      obj.address.city = 'Burgas';
+
+      history.undo();
+      expect(obj.address.city).toEqual('Varna');
+
+      history.undo();
+      expect(obj.address).toBe(oldAddress);
+
+      oldAddress.city = 'Ruse';
+      history.undo();
+      expect(obj.address.city).toEqual('Sofia');
+    });
+
+    it ('undoes the ProAct.Array operations', function () {
+      obj.tags.push('c');
+      obj.tags.shift();
+      obj.tags[0] = 'x';
+      obj.tags.splice(1, 1, 'y', 'z');
+      obj.tags.reverse();
+
+      expect(obj.tags.toArray()).toEqual(['z', 'y', 'x']);
+
+      history.undo();
+      expect(obj.tags.toArray()).toEqual(['x', 'y', 'z']);
+
+      history.undo();
+      expect(obj.tags.toArray()).toEqual(['x', 'c']);
+
+      history.undo().undo();
+      expect(obj.tags.toArray()).toEqual(['a', 'b', 'c']);
+
+      history.undo();
+      expect(obj.tags.toArray()).toEqual(['a', 'b']);
+    });
+
+    it ('does not record the auto-computed properties', function () {
+      expect(obj.title).toEqual('John (30)');
+
+      obj.name = 'Jane';
+      expect(obj.title).toEqual('Jane (30)');
+
+      history.undo();
+      expect(obj.title).toEqual('John (30)');
+      expect(history.canUndo()).toBe(false);
+    });
+  });
+
+  describe('#redo', function () {
+    it ('redoes the undone changes', function () {
+      obj.name = 'Jane';
+      obj.tags.push('c');
+
+      history.undo().undo();
+      expect(history.canRedo()).toBe(true);
+
+      history.redo();
+      expect(obj.name).toEqual('Jane');
+      expect(obj.tags.toArray()).toEqual(['a', 'b']);
+
+      history.redo();
+      expect(obj.tags.toArray()).toEqual(['a', 'b', 'c']);
+      expect(history.canRedo()).toBe(false);
+    });
+
+    it ('can not redo after a new change', function () {
+      obj.name = 'Jane';
+      history.undo();
+
+      obj.age = 40;
+      expect(history.canRedo()).toBe(false);
+
+      history.undo();
+      expect(obj.age).toBe(30);
+      expect(obj.name).toEqual('John');
+    });
+  });
+
+  it ('groups the changes in one flow run', function () {
+    ProAct.batch(function () {
+      obj.name = 'Jane';
+      obj.age = 25;
+      obj.tags.push('c');
+    });
+
+    history.undo();
+    expect(obj.name).toEqual('John');
+    expect(obj.age).toBe(30);
+    expect(obj.tags.toArray()).toEqual(['a', 'b']);
+    expect(history.canUndo()).toBe(false);
+
+    history.redo();
+    expect(obj.name).toEqual('Jane');
+    expect(obj.age).toBe(25);
+    expect(obj.tags.toArray()).toEqual(['a', 'b', 'c']);
+  });
+
+  it ('keeps only the last groups of changes if there is a limit', function () {
+    history.detach();
+    history = new ProAct.History(obj, {limit: 2});
+
+    obj.age = 1;
+    obj.age = 2;
+    obj.age = 3;
+
+    history.undo().undo();
+    expect(obj.age).toBe(1);
+    expect(history.canUndo()).toBe(false);
+  });
+
+  it ('#detach stops the recording', function () {
+    history.detach();
+
+    obj.name = 'Jane';
+    obj.tags.push('c');
+    obj.address.city = 'Varna';
+
+    expect(history.canUndo()).toBe(false);
+  });
+});
@@ -0,0 +1,218 @@
+'use strict';
+
+describe('ProAct.PatchListener and ProAct.applyPatch', function () {
+  var obj, patches, listener;
+
+  beforeEach(function () {
+    obj = ProAct.prob({
+      name: 'John',
+      address: {
+        city: 'Sofia'
+      },
+      tags: ['a', 'b'],
+      items: [{id: 1}, {id: 2}],
+      title: function () {
+        return this.name + '!';
+      }
+    });
+    patches = [];
+    listener = new ProAct.PatchListener(obj, function (patch) {
+      patches.push(patch);
+    });
+  });
+
+  describe('ProAct.PatchListener', function () {
+    it ('emits replace operations for the changes of the properties', function () {
+      obj.name = 'Jane';
+      obj.address.city = 'Varna';
+
+      expect(patches).toEqual([
+        [{op: 'replace', path: '/name', value: 'Jane'}],
+        [{op: 'replace', path: '/address/city', value: 'Varna'}]
+      ]);
+    });
+
+    it ('emits the values of the nested objects as plain objects and listens to the new ones', function () {
+      obj.address = {city: 'Varna'};
+      obj.address.city = 'Burgas';
+
+      expect(patches).toEqual([
+        [{op: 'replace', path: '/address', value: {city: 'Varna'}}],
+        [{op: 'replace', path: '/address/city', value: 'Burgas'}]
+      ]);
+    });
+
+    it ('emits add, remove and replace operations for the ProAct.Array operations', function () {
+      obj.tags.push('c', 'd');
+      obj.tags.unshift('x');
+      obj.tags.pop();
+      obj.tags.shift();
+      obj.tags[1] = 'y';
+      obj.tags.splice(0, 2, 'z');
+
+      expect(patches).toEqual([
+        [{op: 'add', path: '/tags/2', value: 'c'}, {op: 'add', path: '/tags/3', value: 'd'}],
+        [{op: 'add', path: '/tags/0', value: 'x'}],
+        [{op: 'remove', path: '/tags/4'}],
+        [{op: 'remove', path: '/tags/0'}],
+        [{op: 'replace', path: '/tags/1', value: 'y'}],
+        [{op: 'replace', path: '/tags/0', value: 'z'}, {op: 'remove', path: '/tags/1'}]
+      ]);
+    });
+
+    it ('replaces the whole array if the operation has no indices', function () {
+      obj.tags.reverse();
+
+      expect(patches).toEqual([
+        [{op: 'replace', path: '/tags', value: ['b', 'a']}]
+      ]);
+    });
+
+    it ('emits move operations for the moved elements', function () {
+      obj.tags.push('c');
+      patches = [];
+
+      obj.tags.move(0, 2);
+
+      expect(patches).toEqual([
+        [{op: 'move', from: '/tags/0', path: '/tags/2'}]
+      ]);
+      expect(ProAct.applyPatch({tags: ['a', 'b', 'c']}, patches[0])).toEqual({
+        tags: ['b', 'c', 'a']
+      });
+    });
+
+    it ('uses the current indices of the objects in the arrays for the paths', function () {
+      var second = obj.items[1];
+
+      obj.items.shift();
+      second.id = 3;
+
+      expect(patches[1]).toEqual([{op: 'replace', path: '/items/0/id', value: 3}]);
+    });
+
+    it ('emits the operations of one flow run as one patch', function () {
+      ProAct.batch(function () {
+        obj.name = 'Jane';
+        obj.address.city = 'Varna';
+      });
+
+      expect(patches.length).toBe(1);
+      expect(patches[0].length).toBe(2);
+    });
+
+    it ('stops emitting operations after #detach', function () {
+      listener.detach();
+
+      obj.name = 'Jane';
+      obj.tags.push('c');
+      obj.items[0].id = 5;
+
+      expect(patches).toEqual([]);
+    });
+  });
+
+  describe('ProAct.applyPatch', function () {
+    it ('applies the patches emitted for another object', function () {
+      var other = ProAct.prob(ProAct.snapshot(obj)), i;
+
+      obj.name = 'Jane';
+      obj.tags.push('c');
+      obj.tags.reverse();
+      obj.items[1].id = 5;
+      obj.address = {city: 'Varna', zip: '9000'};
+
+      for (i = 0; i < patches.length; i++) {
+        ProAct.applyPatch(other, patches[i]);
+      }
+
+      expect(ProAct.snapshot(other)).toEqual(ProAct.snapshot(obj));
+    });
+
+    it ('uses the setters and the ProAct.Array methods', function () {
+      var names = [], tags = [];
+
+      obj.p('name').on(function () {
+        names.push(obj.name);
+      });
+      obj.tags.core.on(function () {
+        tags.push(obj.tags.toArray());
+      });
+
+      ProAct.applyPatch(obj, [
+        {op: 'replace', path: '/name', value: 'Jane'},
+        {op: 'add', path: '/tags/-', value: 'c'},
+        {op: 'remove', path: '/tags/0'}
+      ]);
+
+      expect(names).toEqual(['Jane']);
+      expect(tags).toEqual([['b', 'c']]);
+      expect(obj.title).toEqual('Jane!');
+    });
+
+    it ('keeps the arrays derived from the patched ones in sync', function () {
+      var doubled = ProAct.prob({list: [1, 2, 3]}),
+          mapped = doubled.list.map(function (el) {
+            return el * 2;
+          });
+
+      ProAct.applyPatch(doubled, [
+        {op: 'add', path: '/list/-', value: 4},
+        {op: 'add', path: '/list/-', value: 5},
+        {op: 'remove', path: '/list/0'}
+      ]);
+
+      expect(mapped.toArray()).toEqual([4, 6, 8, 10]);
+    });
+
+    it ('supports move, copy and test and adds the missing properties', function () {
+      ProAct.applyPatch(obj, [
+        {op: 'test', path: '/address', value: {city: 'Sofia'}},
+        {op: 'copy', from: '/address/city', path: '/city'},
+        {op: 'move', from: '/tags/0', path: '/tags/1'},
+        {op: 'remove', path: '/items/0'}
+      ]);
+
+      expect(obj.city).toEqual('Sofia');
+      expect(obj.p('city') instanceof ProAct.Property).toBe(true);
+      expect(obj.tags.toArray()).toEqual(['b', 'a']);
+      expect(ProAct.snapshot(obj.items)).toEqual([{id: 2}]);
+    });
+
+    it ('escapes and unescapes the special characters in the paths', function () {
+      var other = ProAct.prob({'a/b': 1, 'c~d': 2});
+
+      new ProAct.PatchListener(other, function (patch) {
+        patches.push(patch);
+      });
+      other['a/b'] = 3;
+      other['c~d'] = 4;
+
+      expect(patches).toEqual([
+        [{op: 'replace', path: '/a~1b', value: 3}],
+        [{op: 'replace', path: '/c~0d', value: 4}]
+      ]);
+
+      ProAct.applyPatch(other, [{op: 'replace', path: '/a~1b', value: 5}]);
+      expect(other['a/b']).toBe(5);
+    });
+
+    it ('does not change the object if an operation fails', function () {
+      expect(function () {
+        ProAct.applyPatch(obj, [
+          {op: 'replace', path: '/name', value: 'Jane'},
+          {op: 'test', path: '/address/city', value: 'Varna'}
+        ]);
+      }).toThrow();
+
+      expect(function () {
+        ProAct.applyPatch(obj, [
+          {op: 'add', path: '/tags/5', value: 'x'}
+        ]);
+      }).toThrow();
+
+      expect(obj.name).toEqual('John');
+      expect(obj.tags.toArray()).toEqual(['a', 'b']);
+    });
+  });
+});
@@ -317,4 +317,94 @@ describe('ProAct.prob', function () {
     expect(obj.a).toEqual('(-1)');
   });
 
+  describe('proxy mode', function () {
+    var obj;
+
+    beforeEach(function () {
+      obj = ProAct.prob({a: 1}, {p: {mode: 'proxy'}});
+    });
+
+    it ('returns a proxy of the pro object', function () {
+      expect(P.U.isProObject(obj)).toBe(true);
+      expect(obj.a).toBe(1);
+      expect(obj.p('a') instanceof ProAct.Property).toBe(true);
+    });
+
+    it ('creates properties for the added fields', function () {
+      var values = [];
+
+      obj.b = 2;
+      expect(obj.p('b') instanceof ProAct.Property).toBe(true);
+
+      obj.p('b').on(function (event) {
+        values.push(event.args[0][event.target]);
+      });
+      obj.b = 3;
+
+      expect(values).toEqual([3]);
+    });
+
+    it ('destroys the properties of the deleted fields', function () {
+      var events = [];
+
+      obj.p().on('keys', function (event) {
+        events.push(event.args);
+      });
+
+      delete obj.a;
+
+      expect('a' in obj).toBe(false);
+      expect(obj.p('a')).toBe(undefined);
+      expect(events).toEqual([['delete', 'a', 1, undefined]]);
+    });
+
+    it ('updates the auto properties using in checks and the keys of the object', function () {
+      var other = ProAct.prob({
+        has: function () {
+          return 'b' in obj;
+        },
+        count: function () {
+          return Object.keys(obj).length;
+        },
+        b: function () {
+          return obj.b;
+        }
+      });
+
+      expect(other.has).toBe(false);
+      expect(other.count).toBe(1);
+      expect(other.b).toBe(undefined);
+
+      obj.b = 5;
+      expect(other.has).toBe(true);
+      expect(other.count).toBe(2);
+      expect(other.b).toBe(5);
+
+      delete obj.a;
+      expect(other.count).toBe(1);
+    });
+
+    it ('calls the functions of its auto properties with the proxy', function () {
+      obj = ProAct.prob({
+        a: 1,
+        total: function () {
+          return 'b' in this ? this.a + this.b : this.a;
+        },
+        keys: function () {
+          return Object.keys(this).join(',');
+        }
+      }, {p: {mode: 'proxy'}});
+
+      expect(obj.total).toBe(1);
+      expect(obj.keys).toEqual('a,total,keys');
+
+      obj.b = 5;
+      expect(obj.total).toBe(6);
+      expect(obj.keys).toEqual('a,total,keys,b');
+
+      obj.b = 2;
+      expect(obj.total).toBe(3);
+    });
+  });
+
 });
@@ -0,0 +1,157 @@
+'use strict';
+
+describe('ProAct.snapshot and ProAct.restore', function () {
+  var obj;
+
+  beforeEach(function () {
+    obj = ProAct.prob({
+      name: 'John',
+      age: 30,
+      address: {
+        city: 'Sofia',
+        zip: '1000'
+      },
+      tags: ['a', 'b'],
+      items: [{id: 1}],
+      title: function () {
+        return this.name + ' (' + this.age + ')';
+      }
+    });
+  });
+
+  describe('.snapshot', function () {
+    it ('copies the values of a pro object into a plain object, skipping the auto properties', function () {
+      var data = ProAct.snapshot(obj);
+
+      expect(data).toEqual({
+        name: 'John',
+        age: 30,
+        address: {
+          city: 'Sofia',
+          zip: '1000'
+        },
+        tags: ['a', 'b'],
+        items: [{id: 1}]
+      });
+      expect(P.U.isProArray(data.tags)).toBe(false);
+      expect(data.address.__pro__).toBe(undefined);
+      expect(JSON.parse(JSON.stringify(data))).toEqual(data);
+    });
+
+    it ('copies the values of the auto properties if the auto option is set', function () {
+      var data = ProAct.snapshot(obj, {auto: true});
+
+      expect(data.title).toEqual('John (30)');
+    });
+
+    it ('skips the functions that are not properties', function () {
+      var data;
+
+      obj = ProAct.prob({
+        a: 1,
+        f: function () {
+          return 'f';
+        }
+      }, {f: 'noprop'});
+      data = ProAct.snapshot(obj);
+
+      expect(data).toEqual({a: 1});
+    });
+
+    it ('copies ProAct.Arrays', function () {
+      var array = ProAct.prob([1, [2, 3], {a: 4}]);
+
+      expect(ProAct.snapshot(array)).toEqual([1, [2, 3], {a: 4}]);
+    });
+  });
+
+  describe('.snapshotValue', function () {
+    it ('copies pro objects, arrays and plain values', function () {
+      expect(ProAct.snapshotValue(obj.tags)).toEqual(['a', 'b']);
+      expect(ProAct.snapshotValue(obj.address)).toEqual({city: 'Sofia', zip: '1000'});
+      expect(ProAct.snapshotValue([obj.items, 5])).toEqual([[{id: 1}], 5]);
+      expect(ProAct.snapshotValue('John')).toEqual('John');
+    });
+  });
+
+  describe('.restore', function () {
+    it ('updates the pro object using its setters', function () {
+      var data = ProAct.snapshot(obj);
+
+      obj.name = 'Jane';
+      obj.address.city = 'Varna';
+      obj.tags.push('c');
+
+      ProAct.restore(obj, data);
+
+      expect(ProAct.snapshot(obj)).toEqual(data);
+      expect(obj.title).toEqual('John (30)');
+      expect(P.U.isProObject(obj.address)).toBe(true);
+      expect(P.U.isProArray(obj.tags)).toBe(true);
+    });
+
+    it ('notifies the listeners once and only for the changed values', function () {
+      var names = [], ages = [], cities = [], titles = 0, tags = [];
+
+      expect(obj.title).toEqual('John (30)');
+      obj.p('name').on(function () {
+        names.push(obj.name);
+      });
+      obj.p('age').on(function () {
+        ages.push(obj.age);
+      });
+      obj.address.p('city').on(function () {
+        cities.push(obj.address.city);
+      });
+      obj.p('title').on(function () {
+        titles += 1;
+      });
+      obj.tags.core.on(function () {
+        tags.push(obj.tags.toArray());
+      });
+
+      ProAct.restore(obj, {
+        name: 'Jane',
+        age: 30,
+        address: {
+          city: 'Varna',
+          zip: '1000'
+        },
+        tags: ['a', 'x', 'y']
+      });
+
+      expect(names).toEqual(['Jane']);
+      expect(ages).toEqual([]);
+      expect(cities).toEqual(['Varna']);
+      expect(titles).toBe(1);
+      expect(tags).toEqual([['a', 'x', 'y']]);
+      expect(obj.title).toEqual('Jane (30)');
+    });
+
+    it ('keeps the arrays derived from the restored ones in sync', function () {
+      var list = ProAct.prob({list: [1, 2, 3]}),
+          doubled = list.list.map(function (el) {
+            return el * 2;
+          });
+
+      ProAct.restore(list, {list: [5, 6, 7, 8, 9]});
+      expect(doubled.toArray()).toEqual([10, 12, 14, 16, 18]);
+
+      ProAct.restore(list, {list: [4]});
+      expect(doubled.toArray()).toEqual([8]);
+    });
+
+    it ('removes the extra elements of the arrays', function () {
+      ProAct.restore(obj, {tags: []});
+
+      expect(obj.tags.toArray()).toEqual([]);
+    });
+
+    it ('adds the missing fields as properties', function () {
+      ProAct.restore(obj, {email: 'john@example.com'});
+
+      expect(obj.email).toEqual('john@example.com');
+      expect(obj.p('email') instanceof ProAct.Property).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,199 @@
+'use strict';
+
+describe('ProAct.AsyncProperty', function () {
+  var obj, requests, request;
+
+  request = function (id) {
+    var deferred = {id: id};
+
+    deferred.then = function (resolve, reject) {
+      deferred.resolve = resolve;
+      deferred.reject = reject;
+    };
+    requests.push(deferred);
+
+    return deferred;
+  };
+
+  beforeEach(function () {
+    requests = [];
+    obj = {
+      id: 1,
+      user: function () {
+        return request(this.id);
+      }
+    };
+  });
+
+  it ('is provided for functions marked with the async meta flag', function () {
+    ProAct.prob(obj, {user: 'async'});
+
+    expect(obj.p('user') instanceof ProAct.AsyncProperty).toBe(true);
+    expect(obj.p('user').type()).toBe(ProAct.Property.Types.auto);
+  });
+
+  it ('is pending until the returned promise is resolved', function () {
+    var status;
+    ProAct.prob(obj, {user: 'async'});
+    status = obj.p('user').status;
+
+    expect(obj.user).toBe(undefined);
+    expect(status.pending).toBe(true);
+    expect(requests.length).toBe(1);
+
+    requests[0].resolve('john');
+    expect(obj.user).toEqual('john');
+    expect(status.pending).toBe(false);
+    expect(status.value).toEqual('john');
+    expect(status.error).toBe(null);
+  });
+
+  it ('notifies its listeners when the new value is resolved', function () {
+    var values = [];
+    ProAct.prob(obj, {user: 'async'});
+
+    obj.p('user').on(function (event) {
+      values.push(event.args[0][event.target]);
+    });
+    expect(obj.user).toBe(undefined);
+    requests[0].resolve('john');
+
+    obj.id = 2;
+    expect(values).toEqual(['john']);
+    expect(requests[1].id).toBe(2);
+
+    requests[1].resolve('jane');
+    expect(values).toEqual(['john', 'jane']);
+  });
+
+  it ('ignores the results of the calls replaced by newer ones', function () {
+    ProAct.prob(obj, {user: 'async'});
+
+    expect(obj.user).toBe(undefined);
+    obj.id = 2;
+    obj.id = 3;
+
+    requests[2].resolve('third');
+    requests[0].resolve('first');
+    requests[1].reject('second');
+
+    expect(obj.user).toEqual('third');
+    expect(obj.p('user').status.error).toBe(null);
+  });
+
+  it ('stores the reason of the rejection in its status', function () {
+    var status;
+    ProAct.prob(obj, {user: 'async'});
+    status = obj.p('user').status;
+
+    expect(obj.user).toBe(undefined);
+    requests[0].reject('not found');
+
+    expect(status.pending).toBe(false);
+    expect(status.error).toEqual('not found');
+    expect(obj.user).toBe(undefined);
+  });
+
+  it ('has reactive status fields', function () {
+    var status, loading = [];
+    ProAct.prob(obj, {user: 'async'});
+    status = obj.p('user').status;
+
+    status.p('pending').on(function (event) {
+      loading.push(event.args[0][event.target]);
+    });
+
+    expect(obj.user).toBe(undefined);
+    requests[0].resolve('john');
+
+    expect(loading).toEqual([true, false]);
+  });
+
+  it ('uses values that are not promises right away', function () {
+    obj.user = function () {
+      return 'user' + this.id;
+    };
+    ProAct.prob(obj, {user: 'async'});
+
+    expect(obj.user).toEqual('user1');
+
+    obj.id = 2;
+    expect(obj.user).toEqual('user2');
+    expect(obj.p('user').status.pending).toBe(false);
+  });
+
+  it ('discards the pending calls when it is set', function () {
+    ProAct.prob(obj, {user: 'async'});
+
+    expect(obj.user).toBe(undefined);
+    obj.user = 'admin';
+    requests[0].resolve('john');
+
+    expect(obj.user).toEqual('admin');
+    expect(obj.p('user').status.pending).toBe(false);
+  });
+
+  it ('replaces the auto properties, which functions return promises', function () {
+    var user;
+    ProAct.prob(obj);
+    obj.p('user').on(function () {});
+
+    expect(obj.user).toBe(undefined);
+    expect(obj.p('user') instanceof ProAct.AsyncProperty).toBe(true);
+    expect(obj.p('user').status.pending).toBe(true);
+    expect(requests.length).toBe(1);
+
+    user = obj.p('user');
+    requests[0].resolve('john');
+    expect(obj.user).toEqual('john');
+
+    obj.id = 2;
+    expect(requests.length).toBe(2);
+    requests[1].resolve('jane');
+    expect(obj.user).toEqual('jane');
+    expect(obj.p('user')).toBe(user);
+  });
+
+  it ('replaces the auto properties, which functions start returning promises', function () {
+    var values = [];
+    obj.user = function () {
+      return this.id === 1 ? 'guest' : request(this.id);
+    };
+    ProAct.prob(obj);
+
+    expect(obj.user).toEqual('guest');
+    obj.p('user').on(function (event) {
+      values.push(event.args[0][event.target]);
+    });
+
+    obj.id = 2;
+    expect(obj.user).toEqual('guest');
+    expect(obj.p('user').status.pending).toBe(true);
+
+    requests[0].resolve('jane');
+    expect(obj.user).toEqual('jane');
+    expect(values).toEqual(['guest', 'jane']);
+  });
+
+  it ('works with real promises', function () {
+    obj.user = function () {
+      var id = this.id;
+      return new Promise(function (resolve) {
+        setTimeout(function () {
+          resolve('user' + id);
+        }, 10);
+      });
+    };
+    ProAct.prob(obj, {user: 'async'});
+
+    expect(obj.user).toBe(undefined);
+
+    waitsFor(function () {
+      return obj.user === 'user1';
+    }, 'the promise to be resolved', 100);
+
+    runs(function () {
+      expect(obj.p('user').status.pending).toBe(false);
+    });
+  });
+});
@@ -123,6 +123,72 @@ describe('ProAct.AutoProperty', function () {
     expect(counterHash['c']).toBe(5);
   });
 
+  describe('dependencies', function () {
+    var target, autoProperty, flagProperty, aProperty, bProperty;
+    beforeEach(function () {
+      target = {
+        flag: true,
+        a: 1,
+        b: 2,
+        c: function () {
+          return this.flag ? this.a : this.b;
+        }
+      };
+
+      flagProperty = new ProAct.Property(target, 'flag');
+      aProperty = new ProAct.Property(target, 'a');
+      bProperty = new ProAct.Property(target, 'b');
+      autoProperty = new ProAct.AutoProperty(target, 'c');
+    });
+
+    it ('are collected on every computation', function () {
+      expect(target.c).toEqual(1);
+      expect(autoProperty.dependencies()).toEqual([flagProperty, aProperty]);
+
+      target.flag = false;
+      expect(target.c).toEqual(2);
+      expect(autoProperty.dependencies()).toEqual([flagProperty, bProperty]);
+    });
+
+    it ('are not listened to when they are not read anymore', function () {
+      var listener = autoProperty.makeListener();
+
+      expect(target.c).toEqual(1);
+      expect(aProperty.listeners.change).toContain(listener);
+
+      target.flag = false;
+      expect(aProperty.listeners.change).not.toContain(listener);
+      expect(bProperty.listeners.change).toContain(listener);
+
+      target.a = 10;
+      expect(target.c).toEqual(2);
+
+      target.b = 20;
+      expect(target.c).toEqual(20);
+    });
+
+    it ('are listened to only once after many computations', function () {
+      var listener = autoProperty.makeListener(),
+          count = function (property) {
+            return property.listeners.change.filter(function (l) {
+              return l === listener;
+            }).length;
+          };
+
+      expect(target.c).toEqual(1);
+
+      target.a = 3;
+      target.a = 4;
+      target.flag = false;
+      target.flag = true;
+
+      expect(target.c).toEqual(4);
+      expect(count(flagProperty)).toBe(1);
+      expect(count(aProperty)).toBe(1);
+      expect(count(bProperty)).toBe(0);
+    });
+  });
+
   describe('errors', function () {
     it ('Errors does not break property flows after them', function () {
       var obj = {
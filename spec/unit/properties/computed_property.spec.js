@@ -0,0 +1,83 @@
+'use strict';
+
+describe('ProAct.ComputedProperty', function () {
+  var obj;
+  beforeEach(function () {
+    obj = {
+      first: 'John',
+      last: 'Smith',
+      fullName: {
+        get: function () {
+          return this.first + ' ' + this.last;
+        },
+        set: function (name) {
+          var names = name.split(' ');
+          this.first = names[0];
+          this.last = names[1];
+        }
+      }
+    };
+  });
+
+  it ('is provided for {get, set} descriptors by ProAct.prob', function () {
+    ProAct.prob(obj);
+
+    expect(obj.p('fullName') instanceof ProAct.ComputedProperty).toBe(true);
+    expect(obj.p('fullName').type()).toBe(ProAct.Property.Types.auto);
+    expect(obj.fullName).toEqual('John Smith');
+  });
+
+  it ('is recomputed when its dependencies change', function () {
+    ProAct.prob(obj);
+
+    expect(obj.fullName).toEqual('John Smith');
+
+    obj.last = 'Doe';
+    expect(obj.fullName).toEqual('John Doe');
+  });
+
+  it ('updates its dependencies using the set function when written', function () {
+    var values = [];
+    ProAct.prob(obj);
+
+    obj.p('fullName').on(function (event) {
+      values.push(event.args[0][event.target]);
+    });
+    expect(obj.fullName).toEqual('John Smith');
+
+    obj.fullName = 'Jane Doe';
+    expect(obj.first).toEqual('Jane');
+    expect(obj.last).toEqual('Doe');
+    expect(obj.fullName).toEqual('Jane Doe');
+    expect(values).toEqual(['Jane Doe']);
+  });
+
+  it ('can be written before its first read', function () {
+    ProAct.prob(obj);
+
+    obj.fullName = 'Jane Doe';
+    expect(obj.first).toEqual('Jane');
+    expect(obj.fullName).toEqual('Jane Doe');
+  });
+
+  it ('ignores writes if there is no set function', function () {
+    obj.fullName = {
+      get: function () {
+        return this.first + ' ' + this.last;
+      }
+    };
+    ProAct.prob(obj);
+
+    obj.fullName = 'Jane Doe';
+    expect(obj.first).toEqual('John');
+    expect(obj.fullName).toEqual('John Smith');
+  });
+
+  it ('is not provided for objects having other fields', function () {
+    obj.fullName.name = 'full';
+    ProAct.prob(obj);
+
+    expect(obj.p('fullName') instanceof ProAct.ComputedProperty).toBe(false);
+    expect(obj.p('fullName').type()).toBe(ProAct.Property.Types.object);
+  });
+});
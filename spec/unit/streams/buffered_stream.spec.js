@@ -103,6 +103,85 @@ describe('ProAct.BufferedStream', function () {
       });
     });
 
+    describe('with ProAct.VirtualScheduler', function () {
+      var scheduler;
+
+      beforeEach(function () {
+        scheduler = new ProAct.VirtualScheduler();
+        ProAct.scheduler = scheduler;
+      });
+
+      it ('#delay fires all the buffered events exactly after the delay', function () {
+        var stream = new ProAct.Stream().delay(100), res = [];
+
+        stream.on(function (el) {
+          res.push(el);
+        });
+
+        stream.trigger('a');
+        stream.trigger('b');
+
+        scheduler.advanceBy(99);
+        expect(res).toEqual([]);
+
+        scheduler.advanceBy(1);
+        expect(res).toEqual(['a', 'b']);
+      });
+
+      it ('#throttle fires only the last event in a given time tunnel', function () {
+        var stream = new ProAct.Stream().throttle(100), res = [];
+
+        stream.on(function (el) {
+          res.push(el);
+        });
+
+        stream.trigger('a');
+        stream.trigger('f');
+        scheduler.advanceTo(100);
+        expect(res).toEqual(['f']);
+
+        stream.trigger('m');
+        scheduler.advanceTo(150);
+        stream.trigger('a');
+        scheduler.advanceTo(200);
+        expect(res).toEqual(['f', 'a']);
+      });
+
+      it ('#debounce postpones the event while new events come in the passed time period', function () {
+        var stream = new ProAct.Stream().debounce(50), res = [];
+
+        stream.on(function (el) {
+          res.push(el);
+        });
+
+        stream.trigger('a');
+        scheduler.advanceBy(40);
+        stream.trigger('b');
+        scheduler.advanceBy(40);
+        expect(res).toEqual([]);
+
+        scheduler.advanceBy(10);
+        expect(res).toEqual(['b']);
+      });
+
+      it ('#setScheduler moves the stream to another scheduler', function () {
+        var other = new ProAct.VirtualScheduler(),
+            stream = new ProAct.Stream().delay(10), res = [];
+
+        stream.on(function (el) {
+          res.push(el);
+        });
+        stream.setScheduler(other);
+
+        stream.trigger('a');
+        scheduler.advanceBy(10);
+        expect(res).toEqual([]);
+
+        other.advanceBy(10);
+        expect(res).toEqual(['a']);
+      });
+    });
+
     describe('#buffer', function () {
       it ('fires all the buffered events', function () {
         var stream = new ProAct.Stream().bufferit(5), res = [];
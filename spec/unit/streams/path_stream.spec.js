@@ -0,0 +1,139 @@
+'use strict';
+
+describe('ProAct.PathStream', function () {
+  var obj, values, valueListener;
+
+  beforeEach(function () {
+    obj = ProAct.prob({
+      a: {
+        b: {
+          c: 1,
+          d: 'd'
+        }
+      },
+      items: [{name: 'x'}, {name: 'y'}]
+    });
+
+    values = [];
+    valueListener = function (event) {
+      values.push(event.args[0][event.target]);
+    };
+  });
+
+  it ('is returned by the p method of the pro objects for dotted paths', function () {
+    var stream = obj.p('a.b.c');
+
+    expect(stream instanceof ProAct.PathStream).toBe(true);
+    expect(obj.p('a.b.c')).toBe(stream);
+    expect(stream.value()).toBe(1);
+    expect(obj.p('a') instanceof ProAct.Property).toBe(true);
+  });
+
+  it ('emits the changes of the nested field', function () {
+    obj.p('a.b.c').on(valueListener);
+
+    obj.a.b.c = 2;
+    obj.a.b.d = 'e';
+
+    expect(values).toEqual([2]);
+    expect(obj.p('a.b.c').val).toBe(2);
+  });
+
+  it ('re-attaches when an object on the path is replaced', function () {
+    var oldB = obj.a.b, oldA = obj.a;
+
+    obj.p('a.b.c').on(valueListener);
+
+    obj.a.b = {c: 3};
+    expect(values).toEqual([3]);
+
+    oldB.c = 10;
+    obj.a.b.c = 4;
+    expect(values).toEqual([3, 4]);
+
+    obj.a = {b: {c: 5}};
+    oldA.b.c = 11;
+    obj.a.b.c = 6;
+    expect(values).toEqual([3, 4, 5, 6]);
+  });
+
+  it ('does not emit if the replacement does not change the value', function () {
+    obj.p('a.b.c').on(valueListener);
+
+    obj.a.b = {c: 1};
+
+    expect(values).toEqual([]);
+  });
+
+  it ('supports wildcards for all the properties of an object', function () {
+    obj.p('a.b.*').on(valueListener);
+
+    obj.a.b.c = 2;
+    obj.a.b.d = 'e';
+
+    expect(values).toEqual([2, 'e']);
+  });
+
+  it ('supports wildcards and indices for the elements of arrays', function () {
+    var names = [];
+
+    obj.p('items.*.name').on(function (event) {
+      names.push(event.args[0][event.target]);
+    });
+    obj.p('items.0.name').on(valueListener);
+
+    obj.items[1].name = 'z';
+    expect(names).toEqual(['z']);
+    expect(values).toEqual([]);
+
+    obj.items.shift();
+    expect(values).toEqual(['z']);
+
+    obj.items.push(ProAct.prob({name: 'w'}));
+    obj.items[1].name = 'v';
+    expect(names[names.length - 1]).toEqual('v');
+  });
+
+  it ('re-attaches when an array on the path is replaced', function () {
+    obj.p('items.0.name').on(valueListener);
+
+    obj.items = [{name: 'q'}];
+    expect(values).toEqual(['q']);
+
+    obj.items[0].name = 'r';
+    expect(values).toEqual(['q', 'r']);
+  });
+
+  it ('can be detached from its sources, still emitting the nested field changes', function () {
+    var stream = obj.p('a.b.c'),
+        source = new ProAct.Stream(),
+        res = [];
+
+    stream.into(source);
+    stream.on(function (value) {
+      res.push(value);
+    });
+
+    source.trigger('s');
+    stream.detach(source);
+    source.trigger('t');
+
+    expect(res).toEqual(['s']);
+    expect(source.listeners.change.length).toBe(0);
+
+    obj.a.b.c = 2;
+    expect(res.length).toBe(2);
+    expect(stream.val).toBe(2);
+  });
+
+  it ('stops emitting when destroyed', function () {
+    var stream = obj.p('a.b.c');
+
+    stream.on(valueListener);
+    stream.destroy();
+
+    obj.a.b.c = 2;
+    expect(values).toEqual([]);
+    expect(obj.p('a.b.c')).not.toBe(stream);
+  });
+});
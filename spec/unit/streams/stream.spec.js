@@ -298,6 +298,195 @@ describe('ProAct.Stream', function () {
     });
   });
 
+  describe('#flatMap', function () {
+    it ('emits the values of all the inner streams', function () {
+      var source = new ProAct.Stream(),
+          inners = {a: new ProAct.Stream(), b: new ProAct.Stream()},
+          stream = source.flatMap(function (key) {
+            return inners[key];
+          }),
+          res = [];
+
+      stream.on(function (v) {
+        res.push(v);
+      });
+
+      source.trigger('a');
+      inners.a.trigger(1);
+      expect(res).toEqual([1]);
+
+      source.trigger('b');
+      inners.b.trigger(2);
+      inners.a.trigger(3);
+      expect(res).toEqual([1, 2, 3]);
+    });
+
+    it ('is closed only after the source and all the inner streams are closed', function () {
+      var source = new ProAct.Stream(),
+          inner1 = new ProAct.Stream(),
+          inner2 = new ProAct.Stream(),
+          inners = [inner1, inner2],
+          stream = source.flatMap(function () {
+            return inners.shift();
+          });
+
+      source.trigger(1);
+      source.trigger(2);
+
+      source.triggerClose();
+      expect(stream.state).toBe(ProAct.States.ready);
+
+      inner1.triggerClose();
+      expect(stream.state).toBe(ProAct.States.ready);
+
+      inner2.triggerClose();
+      expect(stream.state).toBe(ProAct.States.closed);
+    });
+
+    it ('passes the errors of the inner streams', function () {
+      var source = new ProAct.Stream(),
+          inner = new ProAct.Stream(),
+          stream = source.flatMap(function () {
+            return inner;
+          }),
+          resErr = [];
+
+      stream.onErr(function (e) {
+        resErr.push(e);
+      });
+
+      source.trigger(1);
+      inner.triggerErr('error');
+      expect(resErr).toEqual(['error']);
+    });
+  });
+
+  describe('#switchMap', function () {
+    it ('emits only the values of the latest inner stream', function () {
+      var source = new ProAct.Stream(),
+          inners = {a: new ProAct.Stream(), b: new ProAct.Stream()},
+          stream = source.switchMap(function (key) {
+            return inners[key];
+          }),
+          res = [];
+
+      stream.on(function (v) {
+        res.push(v);
+      });
+
+      source.trigger('a');
+      inners.a.trigger(1);
+      expect(res).toEqual([1]);
+
+      source.trigger('b');
+      inners.a.trigger(2);
+      inners.b.trigger(3);
+      expect(res).toEqual([1, 3]);
+    });
+
+    it ('does not wait for the dropped inner streams to close', function () {
+      var source = new ProAct.Stream(),
+          inner1 = new ProAct.Stream(),
+          inner2 = new ProAct.Stream(),
+          inners = [inner1, inner2],
+          stream = source.switchMap(function () {
+            return inners.shift();
+          });
+
+      source.trigger(1);
+      source.trigger(2);
+
+      source.triggerClose();
+      expect(stream.state).toBe(ProAct.States.ready);
+
+      inner2.triggerClose();
+      expect(stream.state).toBe(ProAct.States.closed);
+    });
+  });
+
+  describe('#concatMap', function () {
+    it ('emits the values of the inner streams one after another', function () {
+      var source = new ProAct.Stream(),
+          inner1 = new ProAct.Stream(),
+          inner2 = new ProAct.Stream(),
+          inners = [inner1, inner2],
+          stream = source.concatMap(function () {
+            return inners.shift();
+          }),
+          res = [];
+
+      stream.on(function (v) {
+        res.push(v);
+      });
+
+      source.trigger(1);
+      source.trigger(2);
+
+      inner2.trigger('skipped');
+      inner1.trigger('a');
+      expect(res).toEqual(['a']);
+
+      inner1.triggerClose();
+      inner2.trigger('b');
+      expect(res).toEqual(['a', 'b']);
+    });
+
+    it ('is closed only after the source and all the queued inner streams are closed', function () {
+      var source = new ProAct.Stream(),
+          inner1 = new ProAct.Stream(),
+          inner2 = new ProAct.Stream(),
+          inners = [inner1, inner2],
+          stream = source.concatMap(function () {
+            return inners.shift();
+          });
+
+      source.trigger(1);
+      source.trigger(2);
+      source.triggerClose();
+
+      inner1.triggerClose();
+      expect(stream.state).toBe(ProAct.States.ready);
+
+      inner2.triggerClose();
+      expect(stream.state).toBe(ProAct.States.closed);
+    });
+  });
+
+  describe('#detach', function () {
+    it ('stops listening to the passed source', function () {
+      var source1 = new ProAct.Stream(),
+          source2 = new ProAct.Stream(),
+          stream = new ProAct.Stream().into(source1, source2),
+          res = [];
+
+      stream.on(function (v) {
+        res.push(v);
+      });
+
+      stream.detach(source1);
+      source1.trigger(1);
+      source2.trigger(2);
+      expect(res).toEqual([2]);
+
+      source2.triggerClose();
+      expect(stream.state).toBe(ProAct.States.closed);
+    });
+
+    it ('does nothing for actors, that are not sources', function () {
+      var source = new ProAct.Stream(),
+          other = new ProAct.Stream(),
+          stream = new ProAct.Stream().into(source);
+
+      stream.detach(other);
+      stream.detach(source);
+      stream.detach(source);
+      expect(stream.sourceNumber).toBe(0);
+
+      stream.into(source);
+      expect(stream.sourceNumber).toBe(1);
+    });
+  });
+
   describe('Errors', function () {
     it ('can be triggered with #triggerErr and listen for with #onErr', function () {
       var stream = new ProAct.Stream(), res = [], resErr = [];
@@ -424,4 +613,256 @@ describe('ProAct.Stream', function () {
     });
   });
 
+  describe('#take', function () {
+    it ('emits only the first n events and closes', function () {
+      var source = new ProAct.Stream(),
+          stream = source.take(2),
+          res = [], closed = 0;
+
+      stream.on(function (v) {
+        res.push(v);
+      });
+      stream.onClose(function () {
+        closed += 1;
+      });
+
+      source.trigger(1);
+      expect(stream.state).toBe(ProAct.States.ready);
+
+      source.trigger(2);
+      source.trigger(3);
+      expect(res).toEqual([1, 2]);
+      expect(closed).toBe(1);
+      expect(stream.state).toBe(ProAct.States.closed);
+      expect(source.state).toBe(ProAct.States.ready);
+    });
+
+    it ('emits only the first n events if they are triggered in the same flow', function () {
+      var source = new ProAct.Stream(),
+          stream = source.take(1),
+          res = [];
+
+      stream.on(function (v) {
+        res.push(v);
+      });
+
+      ProAct.flow.run(function () {
+        source.trigger(1);
+        source.trigger(2);
+      });
+
+      expect(res).toEqual([1]);
+      expect(stream.state).toBe(ProAct.States.closed);
+    });
+
+    it ('is closed immediately for zero', function () {
+      var source = new ProAct.Stream(),
+          stream = source.take(0);
+
+      expect(stream.state).toBe(ProAct.States.closed);
+    });
+
+    it ('is closed if the source is closed', function () {
+      var source = new ProAct.Stream(),
+          stream = source.take(3);
+
+      source.trigger(1);
+      source.triggerClose();
+      expect(stream.state).toBe(ProAct.States.closed);
+    });
+  });
+
+  describe('#skip', function () {
+    it ('ignores the first n events', function () {
+      var source = new ProAct.Stream(),
+          stream = source.skip(2),
+          res = [];
+
+      stream.on(function (v) {
+        res.push(v);
+      });
+
+      source.triggerMany(1, 2, 3, 4);
+      expect(res).toEqual([3, 4]);
+    });
+  });
+
+  describe('#takeWhile', function () {
+    it ('emits events while the predicate is true and closes after that', function () {
+      var source = new ProAct.Stream(),
+          stream = source.takeWhile(function (v) {
+            return v < 3;
+          }),
+          res = [];
+
+      stream.on(function (v) {
+        res.push(v);
+      });
+
+      source.triggerMany(1, 2, 3, 1);
+      expect(res).toEqual([1, 2]);
+      expect(stream.state).toBe(ProAct.States.closed);
+    });
+  });
+
+  describe('#skipWhile', function () {
+    it ('ignores events while the predicate is true and emits everything after that', function () {
+      var source = new ProAct.Stream(),
+          stream = source.skipWhile(function (v) {
+            return v < 3;
+          }),
+          res = [];
+
+      stream.on(function (v) {
+        res.push(v);
+      });
+
+      source.triggerMany(1, 2, 3, 1, 4);
+      expect(res).toEqual([3, 1, 4]);
+      expect(stream.state).toBe(ProAct.States.ready);
+    });
+  });
+
+  describe('#takeUntil', function () {
+    it ('emits events until the notifier emits and closes after that', function () {
+      var source = new ProAct.Stream(),
+          notifier = new ProAct.Stream(),
+          stream = source.takeUntil(notifier),
+          res = [], closed = 0;
+
+      stream.on(function (v) {
+        res.push(v);
+      });
+      stream.onClose(function () {
+        closed += 1;
+      });
+
+      source.triggerMany(1, 2);
+      notifier.trigger('stop');
+      source.trigger(3);
+      notifier.trigger('stop');
+
+      expect(res).toEqual([1, 2]);
+      expect(closed).toBe(1);
+      expect(stream.state).toBe(ProAct.States.closed);
+      expect(notifier.listeners.change.length).toBe(0);
+    });
+  });
+  describe('.combineLatest', function () {
+    it ('emits only after all the sources have emitted', function () {
+      var source1 = new ProAct.Stream(),
+          source2 = new ProAct.Stream(),
+          stream = ProAct.Stream.combineLatest(source1, source2),
+          res = [];
+
+      stream.on(function (v) {
+        res.push(v);
+      });
+
+      source1.trigger(1);
+      source1.trigger(2);
+      expect(res).toEqual([]);
+
+      source2.trigger('a');
+      expect(res).toEqual([[2, 'a']]);
+
+      source1.trigger(3);
+      source2.trigger('b');
+      expect(res).toEqual([[2, 'a'], [3, 'a'], [3, 'b']]);
+    });
+
+    it ('uses the combining function if passed', function () {
+      var source1 = new ProAct.Stream(),
+          source2 = new ProAct.Stream(),
+          stream = ProAct.Stream.combineLatest(source1, source2, function (a, b) {
+            return a + b;
+          }),
+          res = [];
+
+      stream.on(function (v) {
+        res.push(v);
+      });
+
+      source1.trigger(1);
+      source2.trigger(2);
+      source2.trigger(5);
+      expect(res).toEqual([3, 6]);
+    });
+
+    it ('passes the errors of the sources and is closed after all the sources are closed', function () {
+      var source1 = new ProAct.Stream(),
+          source2 = new ProAct.Stream(),
+          stream = ProAct.Stream.combineLatest(source1, source2),
+          resErr = [];
+
+      stream.onErr(function (e) {
+        resErr.push(e);
+      });
+
+      source2.triggerErr('error');
+      expect(resErr).toEqual(['error']);
+
+      source1.triggerClose();
+      expect(stream.state).toBe(ProAct.States.ready);
+
+      source2.triggerClose();
+      expect(stream.state).toBe(ProAct.States.closed);
+    });
+  });
+
+  describe('.zip', function () {
+    it ('pairs the events of the sources by their position', function () {
+      var source1 = new ProAct.Stream(),
+          source2 = new ProAct.Stream(),
+          stream = ProAct.Stream.zip(source1, source2),
+          res = [];
+
+      stream.on(function (v) {
+        res.push(v);
+      });
+
+      source1.trigger(1);
+      source1.trigger(2);
+      source1.trigger(3);
+      expect(res).toEqual([]);
+
+      source2.trigger('a');
+      expect(res).toEqual([[1, 'a']]);
+
+      source2.trigger('b');
+      expect(res).toEqual([[1, 'a'], [2, 'b']]);
+    });
+
+    it ('uses the combining function if passed', function () {
+      var source1 = new ProAct.Stream(),
+          source2 = new ProAct.Stream(),
+          stream = ProAct.Stream.zip(source1, source2, function (a, b) {
+            return a * b;
+          }),
+          res = [];
+
+      stream.on(function (v) {
+        res.push(v);
+      });
+
+      source2.trigger(2);
+      source2.trigger(3);
+      source1.trigger(4);
+      source1.trigger(5);
+      expect(res).toEqual([8, 15]);
+    });
+
+    it ('is closed after all the sources are closed', function () {
+      var source1 = new ProAct.Stream(),
+          source2 = new ProAct.Stream(),
+          stream = ProAct.Stream.zip(source1, source2);
+
+      source1.triggerClose();
+      expect(stream.state).toBe(ProAct.States.ready);
+
+      source2.triggerClose();
+      expect(stream.state).toBe(ProAct.States.closed);
+    });
+  });
+
 });
@@ -0,0 +1,104 @@
+'use strict';
+
+describe('ProAct.testing', function () {
+  var scheduler;
+
+  beforeEach(function () {
+    scheduler = ProAct.testing.scheduler();
+  });
+
+  describe('.scheduler', function () {
+    it ('sets a new virtual scheduler as ProAct.scheduler', function () {
+      expect(scheduler instanceof ProAct.VirtualScheduler).toBe(true);
+      expect(ProAct.scheduler).toBe(scheduler);
+    });
+  });
+
+  describe('.parse', function () {
+    it ('turns a marble diagram into notifications', function () {
+      expect(ProAct.testing.parse('-a-(bc)-#|', {a: 1})).toEqual([
+        {frame: 1, type: 'change', value: 1},
+        {frame: 3, type: 'change', value: 'b'},
+        {frame: 3, type: 'change', value: 'c'},
+        {frame: 5, type: 'error', value: 'error'},
+        {frame: 6, type: 'close'}
+      ]);
+    });
+
+    it ('uses the subscription point as frame 0', function () {
+      expect(ProAct.testing.parse('a-^-b')).toEqual([
+        {frame: -2, type: 'change', value: 'a'},
+        {frame: 2, type: 'change', value: 'b'}
+      ]);
+    });
+  });
+
+  describe('.hot', function () {
+    it ('emits the events of the diagram from the moment of its creation', function () {
+      var stream = ProAct.testing.hot('a-^-b--|'),
+          recorder;
+
+      scheduler.advanceBy(10);
+      recorder = ProAct.testing.record(stream);
+      scheduler.advanceBy(100);
+
+      expect(recorder.marbles()).toEqual('-b--|');
+      expect(stream.state).toBe(ProAct.States.closed);
+    });
+  });
+
+  describe('.cold', function () {
+    it ('emits the events of the diagram from the moment of the first subscription', function () {
+      var stream = ProAct.testing.cold('--a#', null, 'boom'),
+          recorder, errors = [];
+
+      scheduler.advanceBy(50);
+      recorder = ProAct.testing.record(stream);
+      stream.onErr(function (e) {
+        errors.push(e);
+      });
+      scheduler.advanceBy(100);
+
+      expect(recorder.marbles()).toEqual('--a#');
+      expect(errors).toEqual(['boom']);
+    });
+
+    it ('creates a ProAct.testing.ColdStream, playing its events only once', function () {
+      var stream = ProAct.testing.cold('-a|'),
+          first = ProAct.testing.record(stream),
+          second = ProAct.testing.record(stream);
+
+      expect(stream instanceof ProAct.testing.ColdStream).toBe(true);
+      expect(stream.hasOwnProperty('on')).toBe(false);
+
+      scheduler.advanceBy(50);
+
+      expect(first.marbles()).toEqual('-a|');
+      expect(second.marbles()).toEqual('-a|');
+    });
+  });
+
+  describe('.record', function () {
+    it ('represents the events with the passed values and groups the events in the same frame', function () {
+      var stream = new ProAct.Stream(),
+          recorder = ProAct.testing.record(stream, {x: 42});
+
+      scheduler.advanceBy(20);
+      stream.trigger(42);
+      stream.trigger('y');
+      scheduler.advanceBy(10);
+      stream.triggerClose();
+
+      expect(recorder.marbles()).toEqual('--(xy)|');
+    });
+
+    it ('can be used to test the timed streams', function () {
+      var stream = ProAct.testing.hot('ab-c-d---|').throttle(30),
+          recorder = ProAct.testing.record(stream);
+
+      scheduler.advanceBy(100);
+
+      expect(recorder.marbles()).toEqual('---c--d--|');
+    });
+  });
+});
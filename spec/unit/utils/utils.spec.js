@@ -187,4 +187,68 @@ describe('ProAct.Utils', function () {
       expect(diff[10].n).toEqual([11]);
     });
   });
+
+  describe('.lcsDiff', function () {
+    var ops = ProAct.Array.Operations,
+        apply = function (array, diff) {
+          var result = array.slice(0);
+
+          diff.forEach(function (op) {
+            if (op[0] === ops.move) {
+              result.splice(op[3], 0, result.splice(op[1], 1)[0]);
+            } else {
+              result.splice.apply(result, [op[1], op[2].length].concat(op[3]));
+            }
+          });
+
+          return result;
+        };
+
+    it ('creates one splice for an element inserted near the front', function () {
+      expect(ProAct.Utils.lcsDiff([1, 2, 3, 4], [1, 5, 2, 3, 4])).toEqual([
+        [ops.splice, 1, [], [5]]
+      ]);
+      expect(ProAct.Utils.lcsDiff([1, 2, 3], [1, 2, 3])).toEqual([]);
+    });
+
+    it ('moves the elements, that are in both arrays, but not in the same order', function () {
+      var a1 = [1, 2, 3, 4],
+          a2 = [4, 1, 2, 5, 3];
+
+      expect(ProAct.Utils.lcsDiff(a1, a2)).toEqual([
+        [ops.move, 3, 4, 0],
+        [ops.splice, 3, [], [5]]
+      ]);
+      expect(ProAct.Utils.lcsDiff([1, 2, 3, 4, 5], [2, 3, 4, 5, 1])).toEqual([
+        [ops.move, 0, 1, 4]
+      ]);
+    });
+
+    it ('creates operations turning the first array into the second', function () {
+      var pairs = [
+        [[1, 2, 3, 4, 5], [5, 4, 3, 2, 1]],
+        [[1, 2, 3, 4, 5, 6], [6, 2, 7, 4, 1, 8]],
+        [[1, 1, 2, 2, 3], [2, 1, 3, 3, 1]],
+        [[], [1, 2]],
+        [[1, 2], []]
+      ];
+
+      pairs.forEach(function (pair) {
+        expect(apply(pair[0], ProAct.Utils.lcsDiff(pair[0], pair[1]))).toEqual(pair[1]);
+      });
+    });
+
+    it ('compares the elements by key if a key function is passed', function () {
+      var a = {id: 1, v: 'a'}, b = {id: 2, v: 'b'}, newA = {id: 1, v: 'c'},
+          diff = ProAct.Utils.lcsDiff([a, b], [b, newA], function (el) {
+            return el.id;
+          });
+
+      expect(diff).toEqual([
+        [ops.move, 0, a, 1],
+        [ops.splice, 1, [a], [newA]]
+      ]);
+      expect(apply([a, b], diff)).toEqual([b, newA]);
+    });
+  });
 });
@@ -39,6 +39,8 @@ function Actor (queueName, transforms) {
 
   P.U.defValProp(this, 'listeners', false, false, true, this.defaultListeners());
 
+  P.U.defValProp(this, 'listenerOptions', false, false, true, null);
+  P.U.defValProp(this, 'sources', false, false, true, []);
   P.U.defValProp(this, 'listener', false, false, true, null);
   P.U.defValProp(this, 'errListener', false, false, true, null);
   P.U.defValProp(this, 'closeListener', false, false, true, null);
@@ -49,6 +51,7 @@ function Actor (queueName, transforms) {
                  (transforms ? transforms : []));
 
   P.U.defValProp(this, 'state', false, false, true, P.States.init);
+  P.U.defValProp(this, 'rank', false, false, true, 0);
 
   this.init();
 }
@@ -99,6 +102,52 @@ P.U.ex(P.Actor, {
     }
 
     return val;
+  },
+
+  /**
+   * Raises the rank of the passed <i>actor</i> to be at least the passed <i>rank</i>.
+   * <p>
+   *  The rank of an actor is its depth in the dependency graph - an actor depending on another
+   *  has a rank greater than the rank of the other one. The ranks of the actors depending on the
+   *  passed one are raised too. Ranks are used by the <i>topological</i> mode of the {@link ProAct.Queue}.
+   * </p>
+   * <p>
+   *  The ranks are computed whenever the actors are connected, whatever the mode of the flows is,
+   *  so the <i>topological</i> mode can be turned on at any time.
+   * </p>
+   *
+   * @function raiseRank
+   * @memberof ProAct.Actor
+   * @static
+   * @param {ProAct.Actor} actor
+   *      The ProAct.Actor which rank should be raised.
+   * @param {Number} rank
+   *      The minimal rank of the <i>actor</i>.
+   * @see {@link ProAct.Queue.rank}
+   */
+  raiseRank: function (actor, rank, path) {
+    var action, listeners, i, ln;
+
+    path = path || [];
+    if (actor.rank >= rank || path.indexOf(actor) !== -1) {
+      return;
+    }
+
+    actor.rank = rank;
+    path.push(actor);
+
+    for (action in actor.listeners) {
+      listeners = actor.listeners[action];
+      ln = listeners.length;
+
+      for (i = 0; i < ln; i++) {
+        if (listeners[i] && (listeners[i].property || listeners[i].stream)) {
+          P.Actor.raiseRank(listeners[i].property || listeners[i].stream, rank + 1, path);
+        }
+      }
+    }
+
+    path.pop();
   }
 });
 
@@ -223,6 +272,7 @@ P.Actor.prototype = {
     this.doDestroy();
 
     this.listeners = undefined;
+    this.sources = undefined;
 
     if (this.listener) {
       this.listener.destroyed = true;
@@ -370,6 +420,13 @@ P.Actor.prototype = {
   /**
    * Attaches a new listener to this ProAct.Actor.
    * The listener may be function or object that defines a <i>call</i> method.
+   * <p>
+   *  If the listener belongs to a property or a stream, it depends on this actor, so this actor is added to
+   *  its <i>sources</i> and its rank is raised, using {@link ProAct.Actor.raiseRank}.
+   * </p>
+   * <pre>
+   *  model.on('change', render, {priority: 1, once: true});
+   * </pre>
    *
    * @memberof ProAct.Actor
    * @instance
@@ -381,12 +438,23 @@ P.Actor.prototype = {
    *      </p>
    * @param {Object} listener
    *      The listener to attach. It must be instance of Function or object with a <i>call</i> method.
+   * @param {Object} options
+   *      Optional settings for the listener:
+   *      <ul>
+   *        <li><b>once</b> - If true, the listener is detached after it is notified for the first time.</li>
+   *        <li>
+   *          <b>priority</b> - The order level of the listener in its queue. The listeners with numerically lower priority are
+   *          notified first. The default is 0. See {@link ProAct.Queue}.
+   *        </li>
+   *        <li><b>queue</b> - The name of the {@link ProAct.flow} queue to notify the listener in, instead of the one of <i>this</i>.</li>
+   *      </ul>
    * @return {ProAct.Actor}
    *      <b>this</b>
    * @see {@link ProAct.Actor#defaultActions}
    */
-  on: function (actions, listener) {
+  on: function (actions, listener, options) {
     if (!P.U.isString(actions) && !P.U.isArray(actions)) {
+      options = listener;
       listener = actions;
       actions = this.defaultActions();
     }
@@ -395,7 +463,7 @@ P.Actor.prototype = {
     }
 
     var ln = actions.length,
-        action, i, listeners;
+        action, i, listeners, owner;
 
     for (i = 0; i < ln; i ++) {
       action = actions[i];
@@ -408,6 +476,103 @@ P.Actor.prototype = {
       listeners.push(listener);
     }
 
+    if (options) {
+      this.setListenerOptions(actions, listener, options);
+    }
+
+    if (listener && (owner = listener.property || listener.stream)) {
+      P.Actor.raiseRank(owner, this.rank + 1);
+
+      if (owner.sources && owner.sources.indexOf(this) === -1) {
+        owner.sources.push(this);
+      }
+    }
+
+    return this;
+  },
+
+  /**
+   * Attaches a new listener to this ProAct.Actor, like {@link ProAct.Actor#on}, but returns
+   * a {@link ProAct.Disposable} handle for the subscription.
+   * <p>
+   *  Disposing the handle detaches the listener, so there is no need to keep a reference to it.
+   *  If there is a {@link ProAct.currentDisposable}, the handle is added to it too.
+   * </p>
+   * <pre>
+   *  var subscription = actor.subscribe(function (event) {
+   *    console.log(event);
+   *  });
+   *
+   *  subscription.dispose();
+   * </pre>
+   *
+   * @memberof ProAct.Actor
+   * @instance
+   * @method subscribe
+   * @param {Array|String} actions
+   *      The action/actions to listen for. If this parameter is skipped or null/undefined, the actions from {@link ProAct.Actor#defaultActions} are used.
+   *      <p>
+   *        The actions can be skipped and on their place as first parameter to be passed the <i>listener</i>.
+   *      </p>
+   * @param {Object} listener
+   *      The listener to attach. It must be instance of Function or object with a <i>call</i> method.
+   * @param {Object} options
+   *      Optional settings for the listener - see {@link ProAct.Actor#on}.
+   * @return {ProAct.Disposable}
+   *      Handle detaching the <i>listener</i>, when disposed.
+   * @see {@link ProAct.Actor#on}
+   * @see {@link ProAct.CompositeDisposable}
+   */
+  subscribe: function (actions, listener, options) {
+    var disposable;
+
+    if (!P.U.isString(actions) && !P.U.isArray(actions)) {
+      options = listener;
+      listener = actions;
+      actions = this.defaultActions();
+    }
+
+    this.on(actions, listener, options);
+
+    disposable = this.disposable(actions, listener);
+    if (P.currentDisposable) {
+      P.currentDisposable.add(disposable);
+    }
+
+    return disposable;
+  },
+
+  /**
+   * Adds a {@link ProAct.Disposable}, detaching the passed <i>listener</i> from <i>this</i>,
+   * to the {@link ProAct.currentDisposable}, if there is one.
+   * <p>
+   *  Used to collect the listeners, attached with {@link ProAct.Actor#on} by {@link ProAct.Actor#into}
+   *  or the {@link ProAct.DSL}. Nothing is created if there is no {@link ProAct.currentDisposable}.
+   * </p>
+   *
+   * @memberof ProAct.Actor
+   * @instance
+   * @method collect
+   * @param {Array|String} actions
+   *      The actions the <i>listener</i> was attached for. Can be skipped, then the {@link ProAct.Actor#defaultActions} are used.
+   * @param {Object} listener
+   *      The attached listener.
+   * @return {ProAct.Actor}
+   *      <b>this</b>
+   * @see {@link ProAct.Actor#subscribe}
+   */
+  collect: function (actions, listener) {
+    if (!P.currentDisposable) {
+      return this;
+    }
+
+    if (!P.U.isString(actions) && !P.U.isArray(actions)) {
+      listener = actions;
+      actions = this.defaultActions();
+    }
+
+    P.currentDisposable.add(this.disposable(actions, listener));
+
     return this;
   },
 
@@ -437,6 +602,7 @@ P.Actor.prototype = {
   off: function (actions, listener) {
     if (!actions && !listener) {
       this.listeners = this.defaultListeners();
+      this.listenerOptions = null;
       return this;
     }
 
@@ -449,7 +615,7 @@ P.Actor.prototype = {
     }
 
     var ln = actions.length,
-        action, i, listeners;
+        action, i, listeners, owner;
 
     for (i = 0; i < ln; i ++) {
       action = actions[i];
@@ -460,6 +626,15 @@ P.Actor.prototype = {
       }
     }
 
+    if (this.listenerOptions) {
+      this.removeListenerOptions(listener);
+    }
+
+    owner = listener && (listener.property || listener.stream);
+    if (owner && owner.sources && !this.isListening(listener)) {
+      P.U.remove(owner.sources, this);
+    }
+
     return this;
   },
 
@@ -504,6 +679,70 @@ P.Actor.prototype = {
     return this.off('close', listener);
   },
 
+  // private
+  disposable: function (actions, listener) {
+    var self = this;
+
+    return new P.DP(function () {
+      self.off(actions, listener);
+    });
+  },
+
+  // private
+  setListenerOptions: function (actions, listener, options) {
+    if (!this.listenerOptions) {
+      this.listenerOptions = [];
+    }
+
+    this.removeListenerOptions(listener, true);
+    this.listenerOptions.push({
+      listener: listener,
+      actions: actions,
+      once: options.once,
+      priority: options.priority,
+      queue: options.queue
+    });
+  },
+
+  // private
+  getListenerOptions: function (listener) {
+    var records = this.listenerOptions, i, ln;
+
+    if (!records) {
+      return null;
+    }
+
+    for (i = 0, ln = records.length; i < ln; i++) {
+      if (records[i].listener === listener) {
+        return records[i];
+      }
+    }
+
+    return null;
+  },
+
+  // private
+  removeListenerOptions: function (listener, force) {
+    var options = this.getListenerOptions(listener);
+
+    if (options && (force || !this.isListening(listener))) {
+      P.U.remove(this.listenerOptions, options);
+    }
+  },
+
+  // private
+  isListening: function (listener) {
+    var action;
+
+    for (action in this.listeners) {
+      if (this.listeners[action] && this.listeners[action].indexOf(listener) !== -1) {
+        return true;
+      }
+    }
+
+    return false;
+  },
+
   /**
    * Links source actors into this actor. This means that <i>this actor</i>
    * is listening for changes from the <i>sources</i>.
@@ -513,6 +752,7 @@ P.Actor.prototype = {
    * </p>
    * <p>
    *  The listeners from {@link ProAct.Actor#makeListener} and {@link ProAct.Actor#makeErrListener} are used.
+   *  If there is a {@link ProAct.currentDisposable}, they are collected by it, using {@link ProAct.Actor#collect}.
    * </p>
    *
    * @memberof ProAct.Actor
@@ -527,12 +767,18 @@ P.Actor.prototype = {
    */
   into: function () {
     var args = slice.call(arguments),
-        ln = args.length, i, source;
+        ln = args.length, i, source, listener;
     for (i = 0; i < ln; i++) {
       source = args[i];
-      source.on(this.makeListener());
-      source.onErr(this.makeErrListener());
-      source.onClose(this.makeCloseListener());
+
+      listener = this.makeListener();
+      source.on(listener).collect(listener);
+
+      listener = this.makeErrListener();
+      source.onErr(listener).collect('error', listener);
+
+      listener = this.makeCloseListener();
+      source.onClose(listener).collect('close', listener);
     }
 
     return this;
@@ -824,6 +1070,12 @@ P.Actor.prototype = {
    *  If <i>this</i> ProAct.Actor has a <i>parent</i> ProAct.Actor it will be notified in the running flow
    *  as well.
    * </p>
+   * <p>
+   *  If the {@link ProAct.flow} is traced, the update is recorded by its <i>tracer</i>, even if <i>this</i> has no listeners.
+   * </p>
+   * <p>
+   *  While the listeners are deferred, <i>this</i> is the {@link ProAct.Queue.notifier}.
+   * </p>
    *
    * TODO Should be 'update'
    *
@@ -859,10 +1111,13 @@ P.Actor.prototype = {
         listener,
         listeners,
         length,
-        event;
+        event,
+        options,
+        notifier,
+        onceListeners = [];
 
     if (P.U.isString(actions)) {
-      listeners = this.listeners[actions];
+      listeners = this.listeners[actions].slice();
     } else {
       while (actions.indexOf('close') !== -1) {
         P.U.remove(actions, 'close');
@@ -879,18 +1134,25 @@ P.Actor.prototype = {
         listenersForAction = this.listeners[actions[i]];
 
         if (listenersForAction) {
+          listenersForAction = listenersForAction.slice();
           for (j = 0; j < listenersForAction.length; j++) {
-            if (listenersForAction[j].destroyed) {
-              this.off(actions[i], listenersForAction[j]);
-              continue;
+            listener = listenersForAction[j];
+
+            if (listener.destroyed) {
+              this.off(actions[i], listener);
+            } else if (listeners.indexOf(listener) === -1) {
+              listeners.push(listener);
             }
           }
-          listeners = listeners.concat(listenersForAction);
         }
       }
     }
 
     if (listeners.length === 0 && this.parent === null && actions !== 'close') {
+      if (P.flow.tracer) {
+        P.flow.tracer.update(this, source, this.makeEvent(source, eventData));
+      }
+
       return this;
     }
 
@@ -901,26 +1163,46 @@ P.Actor.prototype = {
     length = listeners.length;
     event = this.makeEvent(source, eventData);
 
-    for (i = 0; i < length; i++) {
-      listener = listeners[i];
-      if (!listener) {
-        throw new Error('Invalid null listener for actions : ' + actions);
-      }
+    if (P.flow.tracer) {
+      P.flow.tracer.update(this, source, event);
+    }
 
-      if (P.U.isString(actions) && listener.destroyed) {
-        this.off(actions, listener);
-        continue;
-      }
+    notifier = P.Q.notifier;
+    P.Q.notifier = this;
 
-      this.defer(event, listener);
+    try {
+      for (i = 0; i < length; i++) {
+        listener = listeners[i];
+        if (!listener) {
+          throw new Error('Invalid null listener for actions : ' + actions);
+        }
 
-      if (listener.property) {
-        listener.property.willUpdate(event);
+        if (P.U.isString(actions) && listener.destroyed) {
+          this.off(actions, listener);
+          continue;
+        }
+
+        options = this.getListenerOptions(listener);
+        this.defer(event, listener, options);
+
+        if (options && options.once && onceListeners.indexOf(options) === -1) {
+          onceListeners.push(options);
+        }
+
+        if (listener.property) {
+          listener.property.willUpdate(event);
+        }
+      }
+
+      if (this.parent && this.parent.call) {
+        this.defer(event, this.parent);
       }
+    } finally {
+      P.Q.notifier = notifier;
     }
 
-    if (this.parent && this.parent.call) {
-      this.defer(event, this.parent);
+    for (i = 0; i < onceListeners.length; i++) {
+      this.off(onceListeners[i].actions, onceListeners[i].listener);
     }
 
     if (actions === 'close') {
@@ -936,6 +1218,10 @@ P.Actor.prototype = {
    *  By default this means that the listener is put into active {@link ProAct.Flow} using it's
    *  {@link ProAct.Flow#pushOnce} method, but it can be overridden.
    * </p>
+   * <p>
+   *  The <i>queue</i> and the <i>priority</i> from the <i>options</i> the listener was attached with
+   *  are used as the queue name and the order level of the action.
+   * </p>
    *
    * @memberof ProAct.Actor
    * @instance
@@ -944,19 +1230,26 @@ P.Actor.prototype = {
    *      The event/value to pass to the listener.
    * @param {Object} listener
    *      The listener to defer. It should be a function or object defining the <i>call</i> method.
+   * @param {Object} options
+   *      The options the <i>listener</i> was attached with, if there are any. See {@link ProAct.Actor#on}.
    * @return {ProAct.Actor}
    *      <i>this</i>
    * @see {@link ProAct.Actor#willUpdate}
    * @see {@link ProAct.Actor#makeListener}
    * @see {@link ProAct.flow}
    */
-  defer: function (event, listener) {
-    var queueName = (listener.queueName) ? listener.queueName : this.queueName;
+  defer: function (event, listener, options) {
+    var queueName = (listener.queueName) ? listener.queueName : this.queueName,
+        priority = options && options.priority;
+
+    if (options && options.queue) {
+      queueName = options.queue;
+    }
 
     if (P.U.isFunction(listener)) {
-      P.flow.pushOnce(queueName, listener, [event]);
+      P.flow.pushOnce(queueName, null, listener, [event], priority);
     } else {
-      P.flow.pushOnce(queueName, listener, listener.call, [event]);
+      P.flow.pushOnce(queueName, listener, listener.call, [event], priority);
     }
     return this;
   },
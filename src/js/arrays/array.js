@@ -135,6 +135,19 @@ P.U.ex(P.A, {
      * @constant
      */
     splice: 6,
+
+    /**
+     * Represents moving an element to another index.
+     * The event arguments are the operation, the index the element is moved from, the element and the index it is moved to.
+     * <pre>
+     *  array.move(0, 3);
+     * </pre>
+     *
+     * @memberof ProAct.Array.Operations
+     * @static
+     * @constant
+     */
+    move: 7
   },
 
   /**
@@ -160,6 +173,129 @@ P.U.ex(P.A, {
 
     filtered._array = filter.apply(original._array, filterArgs);
     filtered.core.updateByDiff(oarr);
+  },
+
+  /**
+   * A helper method for sorting an array and notifying the right listeners of the sorted result.
+   * <p>
+   *  This is used if there is an ProAct.Array created by {@link ProAct.Array#psort} or {@link ProAct.Array#sortBy}.
+   *  If the original is changed in a way the sorted array can not follow element by element, it is sorted again,
+   *  using {@link ProAct.ArrayCore#updateByDiff}.
+   * </p>
+   *
+   * @memberof ProAct.Array
+   * @static
+   * @param {ProAct.Array} original
+   *      The original array to sort.
+   * @param {ProAct.Array} sorted
+   *      The array to be sorted - a sorted copy of the original.
+   * @param {Array} sortArgs
+   *      Arguments of the sorting - the comparator.
+   * @see {@link ProAct.ArrayCore#updateByDiff}
+   */
+  reSort: function (original, sorted, sortArgs) {
+    var oarr = sorted._array;
+
+    sorted._array = sort.apply(slice.call(original._array, 0), sortArgs);
+    sorted.core.updateByDiff(oarr);
+  },
+
+  /**
+   * A helper method for grouping an array again and notifying the right listeners of the groups.
+   * <p>
+   *  This is used by the groups created by {@link ProAct.Array#groupBy}. Every existing group is updated
+   *  using {@link ProAct.ArrayCore#updateByDiff}, so the elements, that changed their group,
+   *  are removed from the old one and added to the new one. The groups, that became empty, are deleted.
+   * </p>
+   *
+   * @memberof ProAct.Array
+   * @static
+   * @param {ProAct.Array} original
+   *      The original array to group.
+   * @param {ProAct.Map} groups
+   *      The current groups of the original - a map of keys to {@link ProAct.Array}s.
+   * @param {Array} groupArgs
+   *      Arguments of the grouping - the key function and the value to use as <i>this</i> when calling it.
+   * @see {@link ProAct.ArrayCore#updateByDiff}
+   */
+  reGroup: function (original, groups, groupArgs) {
+    var array = original._array,
+        keys = [], values = [],
+        i, ln, key, elements, index, oarr;
+
+    function indexOf (key) {
+      var j;
+
+      for (j = 0; j < keys.length; j++) {
+        if (P.CC.same(keys[j], key)) {
+          return j;
+        }
+      }
+
+      return -1;
+    }
+
+    for (i = 0, ln = array.length; i < ln; i++) {
+      key = groupArgs[0].call(groupArgs[1], array[i], i, array);
+      index = indexOf(key);
+
+      if (index === -1) {
+        keys.push(key);
+        values.push([array[i]]);
+      } else {
+        values[index].push(array[i]);
+      }
+    }
+
+    slice.call(groups._keys, 0).forEach(function (key) {
+      if (indexOf(key) === -1) {
+        groups['delete'](key);
+      }
+    });
+
+    for (i = 0, ln = keys.length; i < ln; i++) {
+      index = groups.core.indexOf(keys[i]);
+
+      if (index === -1) {
+        groups.set(keys[i], new P.A(values[i]));
+      } else {
+        elements = groups._values[index];
+        oarr = elements._array;
+        elements._array = values[i];
+        elements.core.updateByDiff(oarr);
+      }
+    }
+  },
+
+  /**
+   * The default comparator of the sorted {@link ProAct.Array}s. Like the default order of <i>sort()</i>,
+   * it compares the elements as strings and puts the undefined elements at the end.
+   *
+   * @memberof ProAct.Array
+   * @static
+   * @param {Object} a
+   *      The first element.
+   * @param {Object} b
+   *      The second element.
+   * @return {Number}
+   *      Negative if <i>a</i> goes before <i>b</i>, positive if it goes after <i>b</i> and 0 if they are equal.
+   * @see {@link ProAct.Array#psort}
+   */
+  compare: function (a, b) {
+    if (a === b) {
+      return 0;
+    }
+    if (a === undefined) {
+      return 1;
+    }
+    if (b === undefined) {
+      return -1;
+    }
+
+    a = String(a);
+    b = String(b);
+
+    return a < b ? -1 : (a > b ? 1 : 0);
   }
 });
 pArrayOps = pArray.Operations;
@@ -312,6 +448,189 @@ ProAct.Array.prototype = pArrayProto = P.U.ex(Object.create(arrayProto), {
     return val;
   },
 
+  /**
+   * The <b>pfind()</b> method returns a {@link ProAct.Property} with value the first element in <i>this</i> ProAct.Array,
+   * that passes the test implemented by the provided function, or undefined if there is no such element.
+   * <p>
+   *  The result {@link ProAct.Property} is dependent on <i>this</i>, so if <i>this</i> changes, its value will be updated.
+   * </p>
+   *
+   * @memberof ProAct.Array
+   * @instance
+   * @method pfind
+   * @param {Function} fun
+   *      Function to test for each element. It is called with the element.
+   * @param {Object} thisArg
+   *      Value to use as this when executing <i>fun</i>.
+   * @return {ProAct.Property}
+   *      {@link ProAct.Property} with value the first element that passes the test.
+   * @see {@link ProAct.Array.Listeners.find}
+   */
+  pfind: function (fun, thisArg) {
+    var index = pArrayFindIndex(this._array, fun, thisArg),
+        val = P.P.lazyValue(undefined);
+
+    // Created empty, so it stays a simple property if the elements are objects.
+    val.v = index === -1 ? undefined : this._array[index];
+
+    this.core.on(pArrayLs.find(val, this, arguments));
+
+    return val;
+  },
+
+  /**
+   * The <b>pfindIndex()</b> method returns a {@link ProAct.Property} with value the index of the first element in <i>this</i> ProAct.Array,
+   * that passes the test implemented by the provided function, or -1 if there is no such element.
+   * <p>
+   *  The result {@link ProAct.Property} is dependent on <i>this</i>, so if <i>this</i> changes, its value will be updated.
+   * </p>
+   *
+   * @memberof ProAct.Array
+   * @instance
+   * @method pfindIndex
+   * @param {Function} fun
+   *      Function to test for each element. It is called with the element.
+   * @param {Object} thisArg
+   *      Value to use as this when executing <i>fun</i>.
+   * @return {ProAct.Property}
+   *      {@link ProAct.Property} with value the index of the first element that passes the test.
+   * @see {@link ProAct.Array.Listeners.findIndex}
+   */
+  pfindIndex: function (fun, thisArg) {
+    var val = P.P.lazyValue(pArrayFindIndex(this._array, fun, thisArg));
+
+    this.core.on(pArrayLs.findIndex(val, this, arguments));
+
+    return val;
+  },
+
+  /**
+   * The <b>pincludes()</b> method returns a {@link ProAct.Property} with value true if <i>this</i> ProAct.Array
+   * contains the passed element and false otherwise. <b>NaN</b> is found too.
+   * <p>
+   *  The result {@link ProAct.Property} is dependent on <i>this</i>, so if <i>this</i> changes, its value will be updated.
+   * </p>
+   *
+   * @memberof ProAct.Array
+   * @instance
+   * @method pincludes
+   * @param {Object} searchElement
+   *      The element to search for.
+   * @return {ProAct.Property}
+   *      {@link ProAct.Property} with value true if the element is in <i>this</i>.
+   * @see {@link ProAct.Array.Listeners.includes}
+   */
+  pincludes: function (searchElement) {
+    var val = P.P.lazyValue(pArrayFindIndex(this._array, function (el) {
+      return P.CC.same(el, searchElement);
+    }) !== -1);
+
+    this.core.on(pArrayLs.includes(val, this, arguments));
+
+    return val;
+  },
+
+  /**
+   * The <b>pcount()</b> method returns a {@link ProAct.Property} with value the number of the elements in <i>this</i> ProAct.Array,
+   * that pass the test implemented by the provided function.
+   * <p>
+   *  The result {@link ProAct.Property} is dependent on <i>this</i>, so if <i>this</i> changes, its value will be updated.
+   * </p>
+   *
+   * @memberof ProAct.Array
+   * @instance
+   * @method pcount
+   * @param {Function} fun
+   *      Function to test for each element. It is called with the element.
+   * @param {Object} thisArg
+   *      Value to use as this when executing <i>fun</i>.
+   * @return {ProAct.Property}
+   *      {@link ProAct.Property} with value the number of the elements that pass the test.
+   * @see {@link ProAct.Array.Listeners.count}
+   */
+  pcount: function (fun, thisArg) {
+    var val = P.P.lazyValue(pArrayCount(this._array, fun, thisArg));
+
+    this.core.on(pArrayLs.count(val, this, arguments));
+
+    return val;
+  },
+
+  /**
+   * The <b>pmin()</b> method returns a {@link ProAct.Property} with value the smallest element of <i>this</i> ProAct.Array,
+   * or undefined if it is empty.
+   * <p>
+   *  The result {@link ProAct.Property} is dependent on <i>this</i>, so if <i>this</i> changes, its value will be updated.
+   * </p>
+   *
+   * @memberof ProAct.Array
+   * @instance
+   * @method pmin
+   * @param {Function} keyFn
+   *      Optional function returning the value to compare the elements by. If it is skipped, the elements are compared.
+   * @return {ProAct.Property}
+   *      {@link ProAct.Property} with value the element with the smallest key.
+   * @see {@link ProAct.Array.Listeners.min}
+   */
+  pmin: function (keyFn) {
+    var val = P.P.lazyValue(undefined);
+
+    val.v = pArrayExtreme(this._array, keyFn, false);
+
+    this.core.on(pArrayLs.min(val, this, arguments));
+
+    return val;
+  },
+
+  /**
+   * The <b>pmax()</b> method returns a {@link ProAct.Property} with value the largest element of <i>this</i> ProAct.Array,
+   * or undefined if it is empty.
+   * <p>
+   *  The result {@link ProAct.Property} is dependent on <i>this</i>, so if <i>this</i> changes, its value will be updated.
+   * </p>
+   *
+   * @memberof ProAct.Array
+   * @instance
+   * @method pmax
+   * @param {Function} keyFn
+   *      Optional function returning the value to compare the elements by. If it is skipped, the elements are compared.
+   * @return {ProAct.Property}
+   *      {@link ProAct.Property} with value the element with the largest key.
+   * @see {@link ProAct.Array.Listeners.max}
+   */
+  pmax: function (keyFn) {
+    var val = P.P.lazyValue(undefined);
+
+    val.v = pArrayExtreme(this._array, keyFn, true);
+
+    this.core.on(pArrayLs.max(val, this, arguments));
+
+    return val;
+  },
+
+  /**
+   * The <b>psum()</b> method returns a {@link ProAct.Property} with value the sum of the elements of <i>this</i> ProAct.Array.
+   * <p>
+   *  The result {@link ProAct.Property} is dependent on <i>this</i>, so if <i>this</i> changes, its value will be updated.
+   * </p>
+   *
+   * @memberof ProAct.Array
+   * @instance
+   * @method psum
+   * @param {Function} keyFn
+   *      Optional function returning the value to sum for an element. If it is skipped, the elements are summed.
+   * @return {ProAct.Property}
+   *      {@link ProAct.Property} with value the sum.
+   * @see {@link ProAct.Array.Listeners.sum}
+   */
+  psum: function (keyFn) {
+    var val = P.P.lazyValue(pArraySum(this._array, keyFn));
+
+    this.core.on(pArrayLs.sum(val, this, arguments));
+
+    return val;
+  },
+
   /**
    * The <b>forEach()</b> method executes a provided function once per array element.
    * <p>
@@ -798,12 +1117,47 @@ ProAct.Array.prototype = pArrayProto = P.U.ex(Object.create(arrayProto), {
     if (this._array.length === 0) {
       return;
     }
+    P.flow.touch(this.core);
     var reversed = reverse.apply(this._array, arguments);
 
     this.core.update(null, 'index', [pArrayOps.reverse, -1, null, null]);
     return reversed;
   },
 
+  /**
+   * The <b>move()</b> method moves an element of <i>this</i> ProAct.Array from one index to another.
+   * The elements between the two indices are shifted.
+   * <p>
+   *  This method notifies the 'index' listeners attached to <i>this</i>' {@link ProAct.ArrayCore}
+   *  with a {@link ProAct.Array.Operations.move} event, so the dependent views can move the element too, instead of re-creating it.
+   * </p>
+   *
+   * @memberof ProAct.Array
+   * @instance
+   * @method move
+   * @param {Number} from
+   *      The index of the element to move.
+   * @param {Number} to
+   *      The index the element should have after the move.
+   * @return {ProAct.Array}
+   *      <i>this</i>
+   * @see {@link ProAct.ArrayCore#update}
+   */
+  move: function (from, to) {
+    var ln = this._array.length, element;
+
+    if (from === to || from < 0 || to < 0 || from >= ln || to >= ln) {
+      return this;
+    }
+
+    P.flow.touch(this.core);
+    element = splice.call(this._array, from, 1)[0];
+    splice.call(this._array, to, 0, element);
+
+    this.core.update(null, 'index', [pArrayOps.move, from, element, to]);
+    return this;
+  },
+
   /**
    * The <b>sort()</b> method sorts the elements of <i>this</i> ProAct.Array in place and returns the <i>this</i>. The sort is not necessarily stable.
    * The default sort order is according to string Unicode code points.
@@ -822,6 +1176,7 @@ ProAct.Array.prototype = pArrayProto = P.U.ex(Object.create(arrayProto), {
     if (this._array.length === 0) {
       return;
     }
+    P.flow.touch(this.core);
     var sorted = sort.apply(this._array, arguments),
         args = arguments;
 
@@ -829,6 +1184,145 @@ ProAct.Array.prototype = pArrayProto = P.U.ex(Object.create(arrayProto), {
     return this;
   },
 
+  /**
+   * The <b>psort()</b> method creates a new ProAct.Array with the elements of <i>this</i>, sorted by the passed <i>comparator</i>.
+   * <i>This</i> is not changed.
+   * <p>
+   *  The result ProAct.Array is dependent on <i>this</i>, so if <i>this</i> changes, the sorted result will be updated.
+   *  The added, removed and set elements are placed in the result one by one, using binary search, so it is not sorted again.
+   * </p>
+   * <p>
+   *  The changes of the elements themselves are not tracked, so if the order of an element changes, the element should be set again.
+   * </p>
+   * <pre>
+   *  var array = new ProAct.Array(5, 1, 3),
+   *      sorted = array.psort(function (a, b) {
+   *        return a - b;
+   *      }); // sorted is [1, 3, 5]
+   *
+   *  array.push(2); // sorted is [1, 2, 3, 5]
+   * </pre>
+   *
+   * @memberof ProAct.Array
+   * @instance
+   * @method psort
+   * @param {Function} comparator
+   *      Function that defines the sort order. If it is skipped {@link ProAct.Array.compare} is used.
+   * @return {ProAct.Array}
+   *      A new ProAct.Array with the elements of <i>this</i> sorted.
+   * @see {@link ProAct.Array.Listeners.sort}
+   * @see {@link ProAct.Array.reSort}
+   */
+  psort: function (comparator) {
+    var args = [comparator || P.A.compare],
+        sorted = new P.A(sort.apply(slice.call(this._array, 0), args));
+
+    this.core.on(pArrayLs.sort(sorted, this, args));
+
+    return sorted;
+  },
+
+  /**
+   * The <b>sortBy()</b> method creates a new ProAct.Array with the elements of <i>this</i>,
+   * sorted by the keys the passed <i>keyFn</i> returns for them.
+   * <p>
+   *  The result is kept sorted as <i>this</i> changes, like the result of {@link ProAct.Array#psort}.
+   * </p>
+   * <pre>
+   *  var users = new ProAct.Array({name: 'b'}, {name: 'a'}),
+   *      sorted = users.sortBy(function (user) {
+   *        return user.name;
+   *      });
+   * </pre>
+   *
+   * @memberof ProAct.Array
+   * @instance
+   * @method sortBy
+   * @param {Function} keyFn
+   *      Function that returns the key to sort by for an element.
+   * @return {ProAct.Array}
+   *      A new ProAct.Array with the elements of <i>this</i> sorted by their keys.
+   * @see {@link ProAct.Array#psort}
+   */
+  sortBy: function (keyFn) {
+    return this.psort(function (a, b) {
+      a = keyFn(a);
+      b = keyFn(b);
+
+      return a < b ? -1 : (a > b ? 1 : 0);
+    });
+  },
+
+  /**
+   * The <b>groupBy()</b> method groups the elements of <i>this</i> ProAct.Array by the keys the passed <i>fun</i> returns for them.
+   * <p>
+   *  The result is a {@link ProAct.Map} of the keys to ProAct.Arrays of the elements with these keys, in the order they are in <i>this</i>.
+   *  The groups are kept up to date with <i>this</i>. If an element is a reactive object and its key depends on its fields,
+   *  changing these fields moves it to the right group. Groups are created for new keys and deleted when they become empty.
+   * </p>
+   * <pre>
+   *  var tasks = new ProAct.Array({name: 'a', status: 'todo'}, {name: 'b', status: 'done'}),
+   *      byStatus = tasks.groupBy(function (task) {
+   *        return task.status;
+   *      });
+   *
+   *  tasks[0].status = 'done'; // byStatus.get('done') contains the both tasks and byStatus.has('todo') is false
+   * </pre>
+   *
+   * @memberof ProAct.Array
+   * @instance
+   * @method groupBy
+   * @param {Function} fun
+   *      Function that returns the key of the group for an element, taking three arguments - the element, its index and the array.
+   * @param {Object} thisArg
+   *      Value to use as <i>this</i> when executing <i>fun</i>.
+   * @return {ProAct.Map}
+   *      A map of the keys to the live groups of elements.
+   * @see {@link ProAct.Array.Listeners.groupBy}
+   * @see {@link ProAct.Array.reGroup}
+   */
+  groupBy: function (fun, thisArg) {
+    var args = [this.core.isComplex ? this.core.actionFunction(fun) : fun, thisArg],
+        groups = new P.M();
+
+    pArray.reGroup(this, groups, args);
+    this.core.on(pArrayLs.groupBy(groups, this, args));
+
+    return groups;
+  },
+
+  /**
+   * The <b>partition()</b> method splits the elements of <i>this</i> ProAct.Array in two live ProAct.Arrays - one with the
+   * elements passing the test implemented by the passed <i>fun</i> and one with the other elements.
+   * <p>
+   *  The both arrays are created with {@link ProAct.Array#filter}, so they are kept up to date with <i>this</i> in the same way.
+   * </p>
+   * <pre>
+   *  var parts = new ProAct.Array(1, 2, 3).partition(function (el) {
+   *    return el % 2 === 1;
+   *  }); // parts[0] is [1, 3] and parts[1] is [2]
+   * </pre>
+   *
+   * @memberof ProAct.Array
+   * @instance
+   * @method partition
+   * @param {Function} fun
+   *      Function to test each element of the array.
+   * @param {Object} thisArg
+   *      Value to use as <i>this</i> when executing <i>fun</i>.
+   * @return {Array}
+   *      An array of two ProAct.Arrays - the elements that pass the test and the elements that don't.
+   * @see {@link ProAct.Array#filter}
+   */
+  partition: function (fun, thisArg) {
+    return [
+      this.filter(fun, thisArg),
+      this.filter(function () {
+        return !fun.apply(this, arguments);
+      }, thisArg)
+    ];
+  },
+
   /**
    * The <b>splice()</b> method changes the content of <i>this</i> ProAct.Array, adding new elements while removing old elements.
    * <p>
@@ -860,6 +1354,8 @@ ProAct.Array.prototype = pArrayProto = P.U.ex(Object.create(arrayProto), {
    * @see {@link ProAct.ArrayCore#updateSplice}
    */
   splice: function (index, howMany) {
+    P.flow.touch(this.core);
+
     var oldLn = this._array.length,
         spliced = splice.apply(this._array, arguments),
         ln = this._array.length, delta,
@@ -904,6 +1400,7 @@ ProAct.Array.prototype = pArrayProto = P.U.ex(Object.create(arrayProto), {
     if (this._array.length === 0) {
       return;
     }
+    P.flow.touch(this.core);
     var popped = pop.apply(this._array, arguments),
         index = this._array.length;
 
@@ -936,6 +1433,7 @@ ProAct.Array.prototype = pArrayProto = P.U.ex(Object.create(arrayProto), {
   push: function () {
     var vals = arguments, i, ln = arguments.length, index;
 
+    P.flow.touch(this.core);
     for (i = 0; i < ln; i++) {
       index = this._array.length;
       push.call(this._array, arguments[i]);
@@ -967,6 +1465,7 @@ ProAct.Array.prototype = pArrayProto = P.U.ex(Object.create(arrayProto), {
     if (this._array.length === 0) {
       return;
     }
+    P.flow.touch(this.core);
     var shifted = shift.apply(this._array, arguments),
         index = this._array.length;
 
@@ -1000,6 +1499,7 @@ ProAct.Array.prototype = pArrayProto = P.U.ex(Object.create(arrayProto), {
     var vals = slice.call(arguments, 0), i, ln = arguments.length,
         array = this._array;
 
+    P.flow.touch(this.core);
     for (var i = 0; i < ln; i++) {
       array.splice(i, 0, arguments[i]);
       this.core.defineIndexProp(array.length - 1);
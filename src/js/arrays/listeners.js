@@ -1,3 +1,138 @@
+// Marks the listener as the one, applying the changes of an array to the derived one,
+// so it is notified for every change - see ProAct.ArrayCore#defer.
+function pArrayDerive (derived, listener) {
+  listener.array = derived;
+
+  return listener;
+}
+
+function pArrayFindIndex (array, fun, thisArg, from) {
+  var i, ln = array.length;
+
+  for (i = from || 0; i < ln; i++) {
+    if (fun.call(thisArg, array[i])) {
+      return i;
+    }
+  }
+
+  return -1;
+}
+
+function pArrayCount (array, fun, thisArg) {
+  var count = 0, i, ln = array.length;
+
+  for (i = 0; i < ln; i++) {
+    if (fun.call(thisArg, array[i])) {
+      count++;
+    }
+  }
+
+  return count;
+}
+
+function pArraySum (array, keyFn) {
+  var sum = 0, i, ln = array.length;
+
+  for (i = 0; i < ln; i++) {
+    sum += keyFn ? keyFn(array[i]) : array[i];
+  }
+
+  return sum;
+}
+
+function pArrayExtreme (array, keyFn, max) {
+  var result, resultKey, key, i, ln = array.length;
+
+  for (i = 0; i < ln; i++) {
+    key = keyFn ? keyFn(array[i]) : array[i];
+    if (i === 0 || (max ? key > resultKey : key < resultKey)) {
+      result = array[i];
+      resultKey = key;
+    }
+  }
+
+  return result;
+}
+
+// Tracks the index of the first element passing the test of args[0],
+// passing it to update on every change.
+function pArrayFinder (original, args, update) {
+  var fun = args[0], thisArg = args[1],
+      index = pArrayFindIndex(original._array, fun, thisArg);
+
+  return function (event) {
+    pArrayLs.check(event);
+    var op  = event.args[0],
+        ind = event.args[1],
+        ov  = event.args[2],
+        nv  = event.args[3],
+        arr = original._array,
+        i;
+
+    if (op === pArrayOps.set) {
+      if (ind === index) {
+        index = fun.call(thisArg, nv) ? ind : pArrayFindIndex(arr, fun, thisArg, ind + 1);
+      } else if ((index === -1 || ind < index) && fun.call(thisArg, nv)) {
+        index = ind;
+      }
+    } else if (op === pArrayOps.add) {
+      i = pArrayFindIndex(nv, fun, thisArg);
+      if (ind === 0) {
+        index = i !== -1 ? i : (index === -1 ? -1 : index + nv.length);
+      } else if (index === -1 && i !== -1) {
+        index = arr.length - nv.length + i;
+      }
+    } else if (op === pArrayOps.remove) {
+      if (ind === 0) {
+        index = index === 0 ? pArrayFindIndex(arr, fun, thisArg) : Math.max(index - 1, -1);
+      } else if (index === arr.length) {
+        index = -1;
+      }
+    } else if (op === pArrayOps.splice) {
+      ind = parseInt(ind, 10);
+      i = pArrayFindIndex(nv, fun, thisArg);
+      if ((index === -1 || index >= ind) && i !== -1) {
+        index = ind + i;
+      } else if (index >= ind + ov.length) {
+        index += nv.length - ov.length;
+      } else if (index >= ind) {
+        index = pArrayFindIndex(arr, fun, thisArg, ind + nv.length);
+      }
+    } else {
+      index = pArrayFindIndex(arr, fun, thisArg);
+    }
+
+    update(index);
+  };
+}
+
+// Tracks the count of the elements passing the test of fun,
+// passing it to update on every change.
+function pArrayCounter (original, fun, thisArg, update) {
+  var count = pArrayCount(original._array, fun, thisArg);
+
+  return function (event) {
+    pArrayLs.check(event);
+    var op  = event.args[0],
+        ov  = event.args[2],
+        nv  = event.args[3];
+
+    if (op === pArrayOps.set) {
+      count += (fun.call(thisArg, nv) ? 1 : 0) - (fun.call(thisArg, ov) ? 1 : 0);
+    } else if (op === pArrayOps.add) {
+      count += pArrayCount(nv, fun, thisArg);
+    } else if (op === pArrayOps.remove) {
+      count -= fun.call(thisArg, ov) ? 1 : 0;
+    } else if (op === pArrayOps.splice) {
+      count += pArrayCount(nv, fun, thisArg) - pArrayCount(ov, fun, thisArg);
+    } else if (op === pArrayOps.setLength) {
+      count = pArrayCount(original._array, fun, thisArg);
+    }
+
+    update(count);
+  };
+}
+
 /**
  * Defines a set of special listeners used to trak {@link ProAct.Array} changes and updating dependent {@link ProAct.Array}s in an optimal way.
  *
@@ -61,7 +196,7 @@ ProAct.Array.Listeners = P.A.L = pArrayLs = {
    *      every new event, if it is necessary.
    */
   leftConcat: function (transformed, original, args) {
-    return function (event) {
+    return pArrayDerive(transformed, function (event) {
       pArrayLs.check(event);
       var op    = event.args[0],
           ind   = event.args[1],
@@ -94,7 +229,7 @@ ProAct.Array.Listeners = P.A.L = pArrayLs = {
           pArrayProto.splice.apply(transformed, toAdd);
         }
       } else if (op === pArrayOps.reverse || op === pArrayOps.sort) {
-        nvs = transformed._array;
+        nvs = slice.call(transformed._array, 0);
         if (P.U.isProArray(args)) {
           toAdd = args._array;
         } else {
@@ -105,8 +240,10 @@ ProAct.Array.Listeners = P.A.L = pArrayLs = {
         transformed.core.updateByDiff(nvs);
       } else if (op === pArrayOps.splice) {
         pArrayProto.splice.apply(transformed, [ind, ov.length].concat(nv));
+      } else if (op === pArrayOps.move) {
+        transformed.move(ind, nv);
       }
-    };
+    });
   },
 
   /**
@@ -150,7 +287,7 @@ ProAct.Array.Listeners = P.A.L = pArrayLs = {
    *      every new event, if it is necessary.
    */
   rightConcat: function (transformed, original, right) {
-    return function (event) {
+    return pArrayDerive(transformed, function (event) {
       pArrayLs.check(event);
       var op    = event.args[0],
           ind   = event.args[1],
@@ -175,14 +312,16 @@ ProAct.Array.Listeners = P.A.L = pArrayLs = {
       } else if (op === pArrayOps.setLength) {
         transformed.length = oln + nv;
       } else if (op === pArrayOps.reverse || op === pArrayOps.sort) {
-        nvs = transformed._array;
+        nvs = slice.call(transformed._array, 0);
         transformed._array.length = 0;
         push.apply(transformed._array, concat.apply(original._array, right._array));
         transformed.core.updateByDiff(nvs);
       } else if (op === pArrayOps.splice) {
         pArrayProto.splice.apply(transformed, [ind + oln, ov.length].concat(nv));
+      } else if (op === pArrayOps.move) {
+        transformed.move(ind + oln, nv + oln);
       }
-    };
+    });
   },
 
   /**
@@ -383,7 +522,7 @@ ProAct.Array.Listeners = P.A.L = pArrayLs = {
    */
   filter: function (filtered, original, args) {
     var fun = args[0], thisArg = args[1];
-    return function (event) {
+    return pArrayDerive(filtered, function (event) {
       if (P.U.isFunction(event)) {
         args[0] = fun = event;
         pArray.reFilter(original, filtered, args);
@@ -448,10 +587,10 @@ ProAct.Array.Listeners = P.A.L = pArrayLs = {
         filtered.reverse();
       } else if (op === pArrayOps.sort) {
         pArrayProto.sort.apply(filtered, nv);
-      } else if (op === pArrayOps.splice) {
+      } else if (op === pArrayOps.splice || op === pArrayOps.move) {
         pArray.reFilter(original, filtered, args);
       }
-    };
+    });
   },
 
   /**
@@ -496,7 +635,7 @@ ProAct.Array.Listeners = P.A.L = pArrayLs = {
    */
   map: function (mapped, original, args) {
     var fun = args[0], thisArg = args[1];
-    return function (event) {
+    return pArrayDerive(mapped, function (event) {
       pArrayLs.check(event);
       var op  = event.args[0],
           ind = event.args[1],
@@ -550,8 +689,10 @@ ProAct.Array.Listeners = P.A.L = pArrayLs = {
           ind,
           ov.length
         ].concat(mnvs));
+      } else if (op === pArrayOps.move) {
+        mapped.move(ind, nv);
       }
-    };
+    });
   },
 
   /**
@@ -751,7 +892,7 @@ ProAct.Array.Listeners = P.A.L = pArrayLs = {
         }
       } else if (op === pArrayOps.setLength && nv <= v) {
         val.v = -1;
-      } else if (op === pArrayOps.reverse || op === pArrayOps.sort) {
+      } else if (op === pArrayOps.reverse || op === pArrayOps.sort || op === pArrayOps.move) {
         val.v = indexOf.apply(original._array, args);
       } else if (op === pArrayOps.splice) {
         nvi = nv.indexOf(what);
@@ -850,7 +991,8 @@ ProAct.Array.Listeners = P.A.L = pArrayLs = {
             val.v = lastIndexOf.apply(original._array, args);
           }
         }
-      } else if (op === pArrayOps.splice || op === pArrayOps.reverse || op === pArrayOps.sort || (op === pArrayOps.setLength && nv < ov)) {
+      } else if (op === pArrayOps.splice || op === pArrayOps.reverse || op === pArrayOps.sort ||
+                 op === pArrayOps.move || (op === pArrayOps.setLength && nv < ov)) {
         val.v = lastIndexOf.apply(original._array, args);
       }
     };
@@ -896,7 +1038,7 @@ ProAct.Array.Listeners = P.A.L = pArrayLs = {
    */
   slice: function (sliced, original, args) {
     var s = args[0], e = args[1], hasEnd = !!e;
-    return function (event) {
+    return pArrayDerive(sliced, function (event) {
       pArrayLs.check(event);
       var op  = event.args[0],
           ind = event.args[1],
@@ -913,6 +1055,536 @@ ProAct.Array.Listeners = P.A.L = pArrayLs = {
         push.apply(sliced._array, slice.apply(original._array, args));
         sliced.core.updateByDiff(osl);
       }
+    });
+  },
+
+  /**
+   * Generates a listener that can be attached to an {@link ProAct.Array} on which
+   * the method {@link ProAct.Array#psort} or {@link ProAct.Array#sortBy} is invoked.
+   * <p>
+   *  The result of the {@link ProAct.Array#psort} method is another {@link ProAct.Array}, dependent on the <i>original</i> one.
+   * </p>
+   * <p>
+   *  For example if the original was:
+   *  <pre>
+   *    var a = new ProAct.Array([5, 1, 3]);
+   *  </pre>
+   *  and we invoked {@link ProAct.Array#psort} on it like this:
+   *  <pre>
+   *    var b = a.psort(function (x, y) {
+   *      return x - y;
+   *    }); // b is [1, 3, 5]
+   *  </pre>
+   *  The new array - <b>b</b> is dependent on <b>a</b>, so if for example we push something to <b>a</b>, <b>b</b> should be updated:
+   *  <pre>
+   *    a.push(2); // b authomatically should become [1, 2, 3, 5]
+   *  </pre>
+   * </p>
+   * <p>
+   *  The generated listener by this method does this - the added elements are inserted at their places, found by binary search,
+   *  and the removed ones are removed from their places. Reversing or sorting the <i>original</i> doesn't change the <i>sorted</i>.
+   *  Only if the <i>sorted</i> can not follow the <i>original</i> this way, it is sorted again using {@link ProAct.Array.reSort}.
+   * </p>
+   *
+   * @memberof ProAct.Array.Listeners
+   * @static
+   * @constant
+   * @param {ProAct.Array} sorted
+   *      The array created as a result of invoking {@link ProAct.Array#psort} on the <i>original</i> {@link ProAct.Array}.
+   * @param {ProAct.Array} original
+   *      The {@link ProAct.Array} on which {@link ProAct.Array#psort} was invoked.
+   * @param {Array} args
+   *      The arguments of the sorting - the comparator.
+   * @return {Function}
+   *      A listener for events from the <i>original</i> {@link ProAct.Array}, updating the <i>sorted</i> {@link ProAct.Array} on
+   *      every new event, if it is necessary.
+   */
+  sort: function (sorted, original, args) {
+    var compare = args[0];
+
+    function position (value, after) {
+      var arr = sorted._array, low = 0, high = arr.length,
+          mid, result;
+
+      while (low < high) {
+        mid = (low + high) >>> 1;
+        result = compare(arr[mid], value);
+
+        if (result < 0 || (after && result === 0)) {
+          low = mid + 1;
+        } else {
+          high = mid;
+        }
+      }
+
+      return low;
+    }
+
+    function insert (value) {
+      pArrayProto.splice.call(sorted, position(value, true), 0, value);
+    }
+
+    function remove (value) {
+      var arr = sorted._array, ln = arr.length,
+          i = position(value, false);
+
+      while (i < ln && arr[i] !== value && compare(arr[i], value) === 0) {
+        i++;
+      }
+
+      if (i < ln && arr[i] === value) {
+        pArrayProto.splice.call(sorted, i, 1);
+        return true;
+      }
+
+      return false;
+    }
+
+    return pArrayDerive(sorted, function (event) {
+      pArrayLs.check(event);
+      var op  = event.args[0],
+          ov  = event.args[2],
+          nv  = event.args[3],
+          synced = true,
+          i, ln;
+
+      if (op === pArrayOps.set) {
+        synced = remove(ov);
+        insert(nv);
+      } else if (op === pArrayOps.add) {
+        for (i = 0, ln = nv.length; i < ln; i++) {
+          insert(nv[i]);
+        }
+      } else if (op === pArrayOps.remove) {
+        synced = remove(ov);
+      } else if (op === pArrayOps.splice) {
+        for (i = 0, ln = ov.length; i < ln; i++) {
+          synced = remove(ov[i]) && synced;
+        }
+        for (i = 0, ln = nv.length; i < ln; i++) {
+          insert(nv[i]);
+        }
+      } else if (op === pArrayOps.setLength) {
+        synced = false;
+      }
+
+      if (!synced || sorted._array.length !== original._array.length) {
+        pArray.reSort(original, sorted, args);
+      }
+    });
+  },
+
+  /**
+   * Generates a listener that can be attached to an {@link ProAct.Array} on which
+   * the method {@link ProAct.Array#groupBy} is invoked.
+   * <p>
+   *  The result of the {@link ProAct.Array#groupBy} method is a {@link ProAct.Map} of keys to {@link ProAct.Array}s,
+   *  dependent on the <i>original</i> array.
+   * </p>
+   * <p>
+   *  For example if the original was:
+   *  <pre>
+   *    var a = new ProAct.Array([1, 2, 3]);
+   *  </pre>
+   *  and we invoked {@link ProAct.Array#groupBy} on it like this:
+   *  <pre>
+   *    var groups = a.groupBy(function (el) {
+   *      return el % 2 ? 'odd' : 'even';
+   *    }); // groups.get('odd') is [1, 3], groups.get('even') is [2]
+   *  </pre>
+   *  The groups are dependent on <b>a</b>, so if for example we push something to <b>a</b>, they should be updated:
+   *  <pre>
+   *    a.push(4); // groups.get('even') authomatically should become [2, 4]
+   *  </pre>
+   * </p>
+   * <p>
+   *  The generated listener by this method does this - the pushed, unshifted, popped or shifted elements are added to or
+   *  removed from their groups. On the other changes, including changes of the keys of the elements, which are
+   *  {@link ProAct.ObjectProperty} values, the <i>original</i> is grouped again using {@link ProAct.Array.reGroup}.
+   *  New groups are added to the <i>groups</i> and the empty ones are deleted.
+   * </p>
+   *
+   * @memberof ProAct.Array.Listeners
+   * @static
+   * @constant
+   * @param {ProAct.Map} groups
+   *      The map created as a result of invoking {@link ProAct.Array#groupBy} on the <i>original</i> {@link ProAct.Array}.
+   * @param {ProAct.Array} original
+   *      The {@link ProAct.Array} on which {@link ProAct.Array#groupBy} was invoked.
+   * @param {Array} args
+   *      The arguments passed to {@link ProAct.Array#groupBy}, when it was invoked on the <i>original</i> {@link ProAct.Array}
+   * @return {Function}
+   *      A listener for events from the <i>original</i> {@link ProAct.Array}, updating the <i>groups</i> {@link ProAct.Map} on
+   *      every new event, if it is necessary.
+   */
+  groupBy: function (groups, original, args) {
+    var fun = args[0], thisArg = args[1];
+
+    function group (key) {
+      var index = groups.core.indexOf(key);
+
+      return index === -1 ? null : groups._values[index];
+    }
+
+    function add (element, index, front) {
+      var key = fun.call(thisArg, element, index, original._array),
+          elements = group(key);
+
+      if (!elements) {
+        groups.set(key, new P.A([element]));
+      } else if (front) {
+        elements.unshift(element);
+      } else {
+        elements.push(element);
+      }
+    }
+
+    function remove (element, index, front) {
+      var key = fun.call(thisArg, element, index, original._array),
+          elements = group(key);
+
+      if (!elements) {
+        return;
+      }
+
+      if (front) {
+        elements.shift();
+      } else {
+        elements.pop();
+      }
+
+      if (!elements._array.length) {
+        groups['delete'](key);
+      }
+    }
+
+    return pArrayDerive(groups, function (event) {
+      pArrayLs.check(event);
+      var op  = event.args[0],
+          ind = event.args[1],
+          ov  = event.args[2],
+          nv  = event.args[3],
+          nvs, j, ln;
+
+      if (op === pArrayOps.add) {
+        nvs = slice.call(nv, 0);
+        ln = nvs.length;
+        if (ind === 0) {
+          for (j = ln - 1; j >= 0; j--) {
+            add(nvs[j], j, true);
+          }
+        } else {
+          for (j = 0; j < ln; j++) {
+            add(nvs[j], original._array.length - (ln - j), false);
+          }
+        }
+      } else if (op === pArrayOps.remove) {
+        remove(ov, ind, ind === 0);
+      } else if (op === pArrayOps.reverse) {
+        groups._values.forEach(function (elements) {
+          elements.reverse();
+        });
+      } else {
+        pArray.reGroup(original, groups, args);
+      }
+    });
+  },
+
+  /**
+   * Generates a listener that can be attached to an {@link ProAct.Array} on which
+   * the method {@link ProAct.Array#pfind} is invoked.
+   * <p>
+   *  The result of the {@link ProAct.Array#pfind} method is a {@link ProAct.Property}, dependent on the <i>original</i> array.
+   * </p>
+   * <p>
+   *  For example if the original was:
+   *  <pre>
+   *    var a = new ProAct.Array([1, 3, 5]);
+   *  </pre>
+   *  and we invoked {@link ProAct.Array#pfind} on it like this:
+   *  <pre>
+   *    var val = a.pfind(function (el) {
+   *      return el > 2;
+   *    }); // val.v is 3.
+   *  </pre>
+   *  The new value - <b>val</b> is dependent on <b>a</b>, so if for example we unshift something to <b>a</b>, <b>val</b> should be updated:
+   *  <pre>
+   *    a.unshift(4); // val.v authomatically should become 4.
+   *  </pre>
+   * </p>
+   * <p>
+   *  The generated listener by this method does this - it tracks the index of the found element, using the operation of the event,
+   *  and searches the <i>original</i> array again only if the found element was removed or the array was reordered.
+   * </p>
+   *
+   * @memberof ProAct.Array.Listeners
+   * @static
+   * @constant
+   * @param {ProAct.Property} val
+   *      The result of invoking {@link ProAct.Array#pfind} on the <i>original</i> {@link ProAct.Array}.
+   * @param {ProAct.Array} original
+   *      The {@link ProAct.Array} on which {@link ProAct.Array#pfind} was invoked.
+   * @param {Array} args
+   *      The arguments passed to {@link ProAct.Array#pfind}, when it was invoked on the <i>original</i> {@link ProAct.Array}
+   * @return {Function}
+   *      A listener for events from the <i>original</i> {@link ProAct.Array}, updating the <i>val</i> {@link ProAct.Property} on
+   *      every new event, if it is necessary.
+   */
+  find: function (val, original, args) {
+    return pArrayFinder(original, args, function (index) {
+      val.v = index === -1 ? undefined : original._array[index];
+    });
+  },
+
+  /**
+   * Generates a listener that can be attached to an {@link ProAct.Array} on which
+   * the method {@link ProAct.Array#pfindIndex} is invoked.
+   * <p>
+   *  It works like {@link ProAct.Array.Listeners.find}, but the <i>val</i> is updated with the index of the found element.
+   * </p>
+   *
+   * @memberof ProAct.Array.Listeners
+   * @static
+   * @constant
+   * @param {ProAct.Property} val
+   *      The result of invoking {@link ProAct.Array#pfindIndex} on the <i>original</i> {@link ProAct.Array}.
+   * @param {ProAct.Array} original
+   *      The {@link ProAct.Array} on which {@link ProAct.Array#pfindIndex} was invoked.
+   * @param {Array} args
+   *      The arguments passed to {@link ProAct.Array#pfindIndex}, when it was invoked on the <i>original</i> {@link ProAct.Array}
+   * @return {Function}
+   *      A listener for events from the <i>original</i> {@link ProAct.Array}, updating the <i>val</i> {@link ProAct.Property} on
+   *      every new event, if it is necessary.
+   */
+  findIndex: function (val, original, args) {
+    return pArrayFinder(original, args, function (index) {
+      val.v = index;
+    });
+  },
+
+  /**
+   * Generates a listener that can be attached to an {@link ProAct.Array} on which
+   * the method {@link ProAct.Array#pcount} is invoked.
+   * <p>
+   *  For example if the original was:
+   *  <pre>
+   *    var a = new ProAct.Array([1, 2, 3]);
+   *  </pre>
+   *  and we invoked {@link ProAct.Array#pcount} on it like this:
+   *  <pre>
+   *    var val = a.pcount(function (el) {
+   *      return el % 2 === 1;
+   *    }); // val.v is 2.
+   *  </pre>
+   *  The new value - <b>val</b> is dependent on <b>a</b>, so if for example we push something to <b>a</b>, <b>val</b> should be updated:
+   *  <pre>
+   *    a.push(5, 7); // val.v authomatically should become 4.
+   *  </pre>
+   * </p>
+   * <p>
+   *  The generated listener by this method does this - only the added and the removed elements are tested,
+   *  the <i>original</i> array is counted again only if its length is set.
+   * </p>
+   *
+   * @memberof ProAct.Array.Listeners
+   * @static
+   * @constant
+   * @param {ProAct.Property} val
+   *      The result of invoking {@link ProAct.Array#pcount} on the <i>original</i> {@link ProAct.Array}.
+   * @param {ProAct.Array} original
+   *      The {@link ProAct.Array} on which {@link ProAct.Array#pcount} was invoked.
+   * @param {Array} args
+   *      The arguments passed to {@link ProAct.Array#pcount}, when it was invoked on the <i>original</i> {@link ProAct.Array}
+   * @return {Function}
+   *      A listener for events from the <i>original</i> {@link ProAct.Array}, updating the <i>val</i> {@link ProAct.Property} on
+   *      every new event, if it is necessary.
+   */
+  count: function (val, original, args) {
+    return pArrayCounter(original, args[0], args[1], function (count) {
+      val.v = count;
+    });
+  },
+
+  /**
+   * Generates a listener that can be attached to an {@link ProAct.Array} on which
+   * the method {@link ProAct.Array#pincludes} is invoked.
+   * <p>
+   *  It counts the occurrences of the searched element like {@link ProAct.Array.Listeners.count}
+   *  and updates the <i>val</i> with true if there is at least one.
+   * </p>
+   *
+   * @memberof ProAct.Array.Listeners
+   * @static
+   * @constant
+   * @param {ProAct.Property} val
+   *      The result of invoking {@link ProAct.Array#pincludes} on the <i>original</i> {@link ProAct.Array}.
+   * @param {ProAct.Array} original
+   *      The {@link ProAct.Array} on which {@link ProAct.Array#pincludes} was invoked.
+   * @param {Array} args
+   *      The arguments passed to {@link ProAct.Array#pincludes}, when it was invoked on the <i>original</i> {@link ProAct.Array}
+   * @return {Function}
+   *      A listener for events from the <i>original</i> {@link ProAct.Array}, updating the <i>val</i> {@link ProAct.Property} on
+   *      every new event, if it is necessary.
+   */
+  includes: function (val, original, args) {
+    var what = args[0];
+
+    return pArrayCounter(original, function (el) {
+      return P.CC.same(el, what);
+    }, null, function (count) {
+      val.v = count > 0;
+    });
+  },
+
+  /**
+   * Generates a listener that can be attached to an {@link ProAct.Array} on which
+   * the method {@link ProAct.Array#psum} is invoked.
+   * <p>
+   *  For example if the original was:
+   *  <pre>
+   *    var a = new ProAct.Array([1, 2, 3]);
+   *    var val = a.psum(); // val.v is 6.
+   *  </pre>
+   *  The new value - <b>val</b> is dependent on <b>a</b>:
+   *  <pre>
+   *    a[0] = 4; // val.v authomatically should become 9.
+   *  </pre>
+   * </p>
+   * <p>
+   *  The generated listener by this method does this - the values of the removed elements are subtracted and the ones of the
+   *  added elements are added. The <i>original</i> array is summed again only if its length is set or the sum is not finite.
+   * </p>
+   *
+   * @memberof ProAct.Array.Listeners
+   * @static
+   * @constant
+   * @param {ProAct.Property} val
+   *      The result of invoking {@link ProAct.Array#psum} on the <i>original</i> {@link ProAct.Array}.
+   * @param {ProAct.Array} original
+   *      The {@link ProAct.Array} on which {@link ProAct.Array#psum} was invoked.
+   * @param {Array} args
+   *      The arguments passed to {@link ProAct.Array#psum}, when it was invoked on the <i>original</i> {@link ProAct.Array}
+   * @return {Function}
+   *      A listener for events from the <i>original</i> {@link ProAct.Array}, updating the <i>val</i> {@link ProAct.Property} on
+   *      every new event, if it is necessary.
+   */
+  sum: function (val, original, args) {
+    var keyFn = args[0];
+    return function (event) {
+      pArrayLs.check(event);
+      var op  = event.args[0],
+          ov  = event.args[2],
+          nv  = event.args[3],
+          sum = val.valueOf();
+
+      if (op === pArrayOps.set) {
+        sum += pArraySum([nv], keyFn) - pArraySum([ov], keyFn);
+      } else if (op === pArrayOps.add) {
+        sum += pArraySum(nv, keyFn);
+      } else if (op === pArrayOps.remove) {
+        sum -= pArraySum([ov], keyFn);
+      } else if (op === pArrayOps.splice) {
+        sum += pArraySum(nv, keyFn) - pArraySum(ov, keyFn);
+      } else if (op === pArrayOps.setLength) {
+        sum = NaN;
+      }
+
+      val.v = isFinite(sum) ? sum : pArraySum(original._array, keyFn);
     };
+  },
+
+  /**
+   * Generates a listener that can be attached to an {@link ProAct.Array} on which
+   * the method {@link ProAct.Array#pmin} is invoked.
+   * <p>
+   *  For example if the original was:
+   *  <pre>
+   *    var a = new ProAct.Array([3, 1, 2]);
+   *    var val = a.pmin(); // val.v is 1.
+   *  </pre>
+   *  The new value - <b>val</b> is dependent on <b>a</b>:
+   *  <pre>
+   *    a.push(0); // val.v authomatically should become 0.
+   *    a.pop(); // val.v authomatically should become 1.
+   *  </pre>
+   * </p>
+   * <p>
+   *  The generated listener by this method does this - the added elements are compared to the current minimum,
+   *  the <i>original</i> array is searched again only if the minimum is removed or its length is set.
+   * </p>
+   *
+   * @memberof ProAct.Array.Listeners
+   * @static
+   * @constant
+   * @param {ProAct.Property} val
+   *      The result of invoking {@link ProAct.Array#pmin} on the <i>original</i> {@link ProAct.Array}.
+   * @param {ProAct.Array} original
+   *      The {@link ProAct.Array} on which {@link ProAct.Array#pmin} was invoked.
+   * @param {Array} args
+   *      The arguments passed to {@link ProAct.Array#pmin}, when it was invoked on the <i>original</i> {@link ProAct.Array}
+   * @param {Boolean} max
+   *      If true, the listener tracks the maximum instead - used by {@link ProAct.Array.Listeners.max}.
+   * @return {Function}
+   *      A listener for events from the <i>original</i> {@link ProAct.Array}, updating the <i>val</i> {@link ProAct.Property} on
+   *      every new event, if it is necessary.
+   */
+  min: function (val, original, args, max) {
+    var keyFn = args[0];
+    return function (event) {
+      pArrayLs.check(event);
+      var op  = event.args[0],
+          ov  = event.args[2],
+          nv  = event.args[3],
+          arr = original._array,
+          current = val.valueOf(),
+          removed = [], added = [];
+
+      if (op === pArrayOps.reverse || op === pArrayOps.sort) {
+        return;
+      }
+
+      if (op === pArrayOps.set) {
+        removed = [ov];
+        added = [nv];
+      } else if (op === pArrayOps.add) {
+        added = nv;
+      } else if (op === pArrayOps.remove) {
+        removed = [ov];
+      } else if (op === pArrayOps.splice) {
+        removed = ov;
+        added = nv;
+      }
+
+      if (op === pArrayOps.setLength || removed.indexOf(current) !== -1 ||
+          arr.length - added.length + removed.length === 0) {
+        val.v = pArrayExtreme(arr, keyFn, max);
+      } else {
+        val.v = pArrayExtreme([current].concat(added), keyFn, max);
+      }
+    };
+  },
+
+  /**
+   * Generates a listener that can be attached to an {@link ProAct.Array} on which
+   * the method {@link ProAct.Array#pmax} is invoked.
+   * <p>
+   *  It works like {@link ProAct.Array.Listeners.min}, but tracks the maximum.
+   * </p>
+   *
+   * @memberof ProAct.Array.Listeners
+   * @static
+   * @constant
+   * @param {ProAct.Property} val
+   *      The result of invoking {@link ProAct.Array#pmax} on the <i>original</i> {@link ProAct.Array}.
+   * @param {ProAct.Array} original
+   *      The {@link ProAct.Array} on which {@link ProAct.Array#pmax} was invoked.
+   * @param {Array} args
+   *      The arguments passed to {@link ProAct.Array#pmax}, when it was invoked on the <i>original</i> {@link ProAct.Array}
+   * @return {Function}
+   *      A listener for events from the <i>original</i> {@link ProAct.Array}, updating the <i>val</i> {@link ProAct.Property} on
+   *      every new event, if it is necessary.
+   */
+  max: function (val, original, args) {
+    return pArrayLs.min(val, original, args, true);
   }
 };
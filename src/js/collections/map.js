@@ -0,0 +1,399 @@
+/**
+ * <p>
+ *  Creates a reactive keyed collection with the API of the ES6 Map. It is managed by a {@link ProAct.CollectionCore}.
+ * </p>
+ * <p>
+ *  The dependencies on a ProAct.Map are tracked by key. A {@link ProAct.AutoProperty}, using <i>map.get('k')</i>,
+ *  is updated only when the value for 'k' changes or 'k' is deleted. One using <i>map.size</i> or iterating over
+ *  the map is updated on every change.
+ * </p>
+ * <p>
+ *  The keys can be of any type. They are compared like in the ES6 Map, so this works without ES6 support.
+ *  For the same reason <i>keys</i>, <i>values</i> and <i>entries</i> return arrays, not iterators.
+ * </p>
+ * <pre>
+ *  var map = new ProAct.Map([['a', 1], ['b', 2]]),
+ *      obj = ProAct.prob({
+ *        a: function () {
+ *          return map.get('a');
+ *        }
+ *      });
+ *
+ *  map.set('b', 3); // obj.a is not recomputed
+ *  map.set('a', 4); // obj.a is 4
+ * </pre>
+ * <p>
+ *  ProAct.Map is part of the collections module of ProAct.js.
+ * </p>
+ *
+ * @class ProAct.Map
+ * @param {Array|Object} entries
+ *      Optional initial entries - an array of [key, value] pairs or a plain object, whose fields become the entries.
+ * @see {@link ProAct.CollectionCore}
+ * @see {@link ProAct.Set}
+ */
+function PMap (entries) {
+  var keys = [], values = [],
+      core, key, i, ln;
+
+  if (P.U.isArray(entries)) {
+    for (i = 0, ln = entries.length; i < ln; i++) {
+      keys.push(entries[i][0]);
+      values.push(entries[i][1]);
+    }
+  } else if (entries) {
+    for (key in entries) {
+      if (entries.hasOwnProperty(key)) {
+        keys.push(key);
+        values.push(entries[key]);
+      }
+    }
+  }
+
+  P.U.defValProp(this, '_keys', false, false, true, keys);
+  P.U.defValProp(this, '_values', false, false, true, values);
+
+  core = new P.CC(this);
+  P.U.defValProp(this, '__pro__', false, false, false, core);
+  P.U.defValProp(this, 'core', false, false, false, core);
+  core.prob();
+}
+ProAct.Map = P.M = PMap;
+
+P.U.ex(P.M, {
+
+  /**
+   * Defines the possible operations over the keyed collections - {@link ProAct.Map} and {@link ProAct.Set}.
+   * <p>
+   *  The {@link ProAct.Event.Types.collection} events have arguments - the operation, the key,
+   *  the old value and the new value. For <i>clear</i> these are the operation, the array of the old keys
+   *  and the array of the old values.
+   * </p>
+   *
+   * @namespace ProAct.Map.Operations
+   */
+  Operations: {
+
+    /**
+     * Represents changing the value for an existing key.
+     * <pre>
+     *  map.set('a', 5);
+     * </pre>
+     *
+     * @memberof ProAct.Map.Operations
+     * @static
+     * @constant
+     */
+    set: 0,
+
+    /**
+     * Represents adding a new key.
+     * <pre>
+     *  map.set('new', 5);
+     *  set.add(5);
+     * </pre>
+     *
+     * @memberof ProAct.Map.Operations
+     * @static
+     * @constant
+     */
+    add: 1,
+
+    /**
+     * Represents deleting a key.
+     * <pre>
+     *  map.delete('a');
+     * </pre>
+     *
+     * @memberof ProAct.Map.Operations
+     * @static
+     * @constant
+     */
+    'delete': 2,
+
+    /**
+     * Represents removing all the keys.
+     * <pre>
+     *  map.clear();
+     * </pre>
+     *
+     * @memberof ProAct.Map.Operations
+     * @static
+     * @constant
+     */
+    clear: 3
+  }
+});
+
+ProAct.Map.prototype = {
+
+  /**
+   * Reference to the constructor of this object.
+   *
+   * @memberof ProAct.Map
+   * @instance
+   * @constant
+   * @default ProAct.Map
+   */
+  constructor: ProAct.Map,
+
+  /**
+   * Returns the value for the passed <i>key</i> or undefined if there is no such key.
+   * <p>
+   *  This method adds the {@link ProAct.currentCaller} as a listener for the changes of the <i>key</i>.
+   * </p>
+   *
+   * @memberof ProAct.Map
+   * @instance
+   * @method get
+   * @param {Object} key
+   *      The key to look for.
+   * @return {Object}
+   *      The value for the <i>key</i>.
+   * @see {@link ProAct.CollectionCore#addKeyCaller}
+   */
+  get: function (key) {
+    var index = this.core.indexOf(key);
+
+    this.core.addKeyCaller(key);
+
+    return index === -1 ? undefined : this._values[index];
+  },
+
+  /**
+   * Checks if there is a value for the passed <i>key</i>.
+   * <p>
+   *  This method adds the {@link ProAct.currentCaller} as a listener for the changes of the <i>key</i>.
+   * </p>
+   *
+   * @memberof ProAct.Map
+   * @instance
+   * @method has
+   * @param {Object} key
+   *      The key to look for.
+   * @return {Boolean}
+   *      True if there is such key.
+   * @see {@link ProAct.CollectionCore#addKeyCaller}
+   */
+  has: function (key) {
+    this.core.addKeyCaller(key);
+
+    return this.core.indexOf(key) !== -1;
+  },
+
+  /**
+   * Sets the value for the passed <i>key</i>.
+   * <p>
+   *  Notifies the listeners with a {@link ProAct.Map.Operations.add} event for new keys and with a
+   *  {@link ProAct.Map.Operations.set} event if the value for an existing key changed.
+   * </p>
+   *
+   * @memberof ProAct.Map
+   * @instance
+   * @method set
+   * @param {Object} key
+   *      The key.
+   * @param {Object} value
+   *      The new value for the <i>key</i>.
+   * @return {ProAct.Map}
+   *      <i>this</i>
+   */
+  set: function (key, value) {
+    var index = this.core.indexOf(key),
+        oldVal;
+
+    if (index === -1) {
+      this.core.addKey(key, value);
+      this.core.updateKey(P.M.Operations.add, key, undefined, value);
+    } else if (!P.CC.same(this._values[index], value)) {
+      oldVal = this._values[index];
+      this._values[index] = value;
+      this.core.updateKey(P.M.Operations.set, key, oldVal, value);
+    }
+
+    return this;
+  },
+
+  /**
+   * Deletes the passed <i>key</i> and its value.
+   *
+   * @memberof ProAct.Map
+   * @instance
+   * @method delete
+   * @param {Object} key
+   *      The key to delete.
+   * @return {Boolean}
+   *      True if there was such key.
+   */
+  'delete': function (key) {
+    var index = this.core.indexOf(key),
+        oldVal;
+
+    if (index === -1) {
+      return false;
+    }
+
+    oldVal = this._values[index];
+    this.core.deleteKey(index);
+    this.core.updateKey(P.M.Operations['delete'], key, oldVal, undefined);
+
+    return true;
+  },
+
+  /**
+   * Deletes all the keys and values.
+   *
+   * @memberof ProAct.Map
+   * @instance
+   * @method clear
+   */
+  clear: function () {
+    var old;
+
+    if (this._keys.length) {
+      old = this.core.clearKeys();
+      this.core.updateClear(old[0], old[1]);
+    }
+  },
+
+  /**
+   * Calls the passed function for every entry, in insertion order, with arguments - the value, the key and the map.
+   * <p>
+   *  This method adds the {@link ProAct.currentCaller} as a listener for all the changes.
+   * </p>
+   *
+   * @memberof ProAct.Map
+   * @instance
+   * @method forEach
+   * @param {Function} fun
+   *      The function to call for every entry.
+   * @param {Object} thisArg
+   *      Value to use as <i>this</i> when executing <i>fun</i>.
+   */
+  forEach: function (fun, thisArg) {
+    var keys = slice.call(this._keys, 0),
+        values = slice.call(this._values, 0),
+        i, ln = keys.length;
+
+    this.core.addCaller();
+
+    for (i = 0; i < ln; i++) {
+      fun.call(thisArg, values[i], keys[i], this);
+    }
+  },
+
+  /**
+   * Returns an array of the keys, in insertion order.
+   * <p>
+   *  This method adds the {@link ProAct.currentCaller} as a listener for the 'keys' changes.
+   * </p>
+   *
+   * @memberof ProAct.Map
+   * @instance
+   * @method keys
+   * @return {Array}
+   *      The keys.
+   */
+  keys: function () {
+    this.core.addCaller('keys');
+
+    return slice.call(this._keys, 0);
+  },
+
+  /**
+   * Returns an array of the values, in insertion order.
+   * <p>
+   *  This method adds the {@link ProAct.currentCaller} as a listener for all the changes.
+   * </p>
+   *
+   * @memberof ProAct.Map
+   * @instance
+   * @method values
+   * @return {Array}
+   *      The values.
+   */
+  values: function () {
+    this.core.addCaller();
+
+    return slice.call(this._values, 0);
+  },
+
+  /**
+   * Returns an array of the [key, value] pairs, in insertion order.
+   * <p>
+   *  This method adds the {@link ProAct.currentCaller} as a listener for all the changes.
+   * </p>
+   *
+   * @memberof ProAct.Map
+   * @instance
+   * @method entries
+   * @return {Array}
+   *      The entries.
+   */
+  entries: function () {
+    var result = [], i, ln = this._keys.length;
+
+    this.core.addCaller();
+
+    for (i = 0; i < ln; i++) {
+      result.push([this._keys[i], this._values[i]]);
+    }
+
+    return result;
+  },
+
+  /**
+   * Returns a {@link ProAct.Array} of the keys, which is kept up to date with <i>this</i>.
+   *
+   * @memberof ProAct.Map
+   * @instance
+   * @method pkeys
+   * @return {ProAct.Array}
+   *      Live array of the keys.
+   * @see {@link ProAct.CollectionCore.sync}
+   */
+  pkeys: function () {
+    var self = this,
+        keys = new P.A(slice.call(this._keys, 0));
+
+    this.core.on('keys', function () {
+      P.CC.sync(keys, self._keys);
+    });
+
+    return keys;
+  },
+
+  /**
+   * Returns a {@link ProAct.Array} of the values, which is kept up to date with <i>this</i>.
+   *
+   * @memberof ProAct.Map
+   * @instance
+   * @method pvalues
+   * @return {ProAct.Array}
+   *      Live array of the values.
+   * @see {@link ProAct.CollectionCore.sync}
+   */
+  pvalues: function () {
+    var self = this,
+        values = new P.A(slice.call(this._values, 0));
+
+    this.core.on(function () {
+      P.CC.sync(values, self._values);
+    });
+
+    return values;
+  },
+
+  /**
+   * Returns a plain array of the [key, value] pairs, so the map can be serialized with <i>JSON.stringify</i>.
+   *
+   * @memberof ProAct.Map
+   * @instance
+   * @method toJSON
+   * @return {Array}
+   *      The entries of the map.
+   */
+  toJSON: function () {
+    return this.entries();
+  }
+};
@@ -0,0 +1,216 @@
+/**
+ * <p>
+ *  Creates a reactive collection of unique values with the API of the ES6 Set. It is managed by a {@link ProAct.CollectionCore}.
+ * </p>
+ * <p>
+ *  Like in the {@link ProAct.Map}, the dependencies are tracked by value. A {@link ProAct.AutoProperty}, using <i>set.has(5)</i>,
+ *  is updated only when 5 is added or deleted.
+ * </p>
+ * <pre>
+ *  var set = new ProAct.Set([1, 2]),
+ *      size = set.psize;
+ *
+ *  set.add(3); // size.v is 3
+ *  set.add(3); // nothing happens
+ * </pre>
+ * <p>
+ *  ProAct.Set is part of the collections module of ProAct.js.
+ * </p>
+ *
+ * @class ProAct.Set
+ * @param {Array} values
+ *      Optional initial values.
+ * @see {@link ProAct.CollectionCore}
+ * @see {@link ProAct.Map}
+ */
+function PSet (values) {
+  var unique = [], core, i, ln;
+
+  P.U.defValProp(this, '_keys', false, false, true, unique);
+  P.U.defValProp(this, '_values', false, false, true, unique);
+
+  core = new P.CC(this);
+  if (values) {
+    for (i = 0, ln = values.length; i < ln; i++) {
+      if (core.indexOf(values[i]) === -1) {
+        core.addKey(values[i]);
+      }
+    }
+  }
+
+  P.U.defValProp(this, '__pro__', false, false, false, core);
+  P.U.defValProp(this, 'core', false, false, false, core);
+  core.prob();
+}
+ProAct.Set = P.ST = PSet;
+
+ProAct.Set.prototype = {
+
+  /**
+   * Reference to the constructor of this object.
+   *
+   * @memberof ProAct.Set
+   * @instance
+   * @constant
+   * @default ProAct.Set
+   */
+  constructor: ProAct.Set,
+
+  /**
+   * Adds the passed <i>value</i>, if it is not in the set, notifying the listeners with a
+   * {@link ProAct.Map.Operations.add} event.
+   *
+   * @memberof ProAct.Set
+   * @instance
+   * @method add
+   * @param {Object} value
+   *      The value to add.
+   * @return {ProAct.Set}
+   *      <i>this</i>
+   */
+  add: function (value) {
+    if (this.core.indexOf(value) === -1) {
+      this.core.addKey(value);
+      this.core.updateKey(P.M.Operations.add, value, undefined, value);
+    }
+
+    return this;
+  },
+
+  /**
+   * Checks if the passed <i>value</i> is in the set.
+   * <p>
+   *  This method adds the {@link ProAct.currentCaller} as a listener for the changes of the <i>value</i>.
+   * </p>
+   *
+   * @memberof ProAct.Set
+   * @instance
+   * @method has
+   * @param {Object} value
+   *      The value to look for.
+   * @return {Boolean}
+   *      True if the <i>value</i> is in the set.
+   */
+  has: P.M.prototype.has,
+
+  /**
+   * Deletes the passed <i>value</i>.
+   *
+   * @memberof ProAct.Set
+   * @instance
+   * @method delete
+   * @param {Object} value
+   *      The value to delete.
+   * @return {Boolean}
+   *      True if the <i>value</i> was in the set.
+   */
+  'delete': function (value) {
+    var index = this.core.indexOf(value);
+
+    if (index === -1) {
+      return false;
+    }
+
+    this.core.deleteKey(index);
+    this.core.updateKey(P.M.Operations['delete'], value, value, undefined);
+
+    return true;
+  },
+
+  /**
+   * Deletes all the values.
+   *
+   * @memberof ProAct.Set
+   * @instance
+   * @method clear
+   */
+  clear: P.M.prototype.clear,
+
+  /**
+   * Calls the passed function for every value, in insertion order, with arguments - the value, the value again and the set.
+   * <p>
+   *  This method adds the {@link ProAct.currentCaller} as a listener for all the changes.
+   * </p>
+   *
+   * @memberof ProAct.Set
+   * @instance
+   * @method forEach
+   * @param {Function} fun
+   *      The function to call for every value.
+   * @param {Object} thisArg
+   *      Value to use as <i>this</i> when executing <i>fun</i>.
+   */
+  forEach: P.M.prototype.forEach,
+
+  /**
+   * Returns an array of the values, in insertion order. The same as {@link ProAct.Set#values}.
+   *
+   * @memberof ProAct.Set
+   * @instance
+   * @method keys
+   * @return {Array}
+   *      The values.
+   */
+  keys: P.M.prototype.keys,
+
+  /**
+   * Returns an array of the values, in insertion order.
+   * <p>
+   *  This method adds the {@link ProAct.currentCaller} as a listener for all the changes.
+   * </p>
+   *
+   * @memberof ProAct.Set
+   * @instance
+   * @method values
+   * @return {Array}
+   *      The values.
+   */
+  values: P.M.prototype.values,
+
+  /**
+   * Returns an array of [value, value] pairs, in insertion order, like the ES6 Set.
+   *
+   * @memberof ProAct.Set
+   * @instance
+   * @method entries
+   * @return {Array}
+   *      The entries.
+   */
+  entries: P.M.prototype.entries,
+
+  /**
+   * Returns a {@link ProAct.Array} of the values, which is kept up to date with <i>this</i>.
+   * The same as {@link ProAct.Set#pvalues}.
+   *
+   * @memberof ProAct.Set
+   * @instance
+   * @method pkeys
+   * @return {ProAct.Array}
+   *      Live array of the values.
+   */
+  pkeys: P.M.prototype.pkeys,
+
+  /**
+   * Returns a {@link ProAct.Array} of the values, which is kept up to date with <i>this</i>.
+   *
+   * @memberof ProAct.Set
+   * @instance
+   * @method pvalues
+   * @return {ProAct.Array}
+   *      Live array of the values.
+   */
+  pvalues: P.M.prototype.pvalues,
+
+  /**
+   * Returns a plain array of the values, so the set can be serialized with <i>JSON.stringify</i>.
+   *
+   * @memberof ProAct.Set
+   * @instance
+   * @method toJSON
+   * @return {Array}
+   *      The values.
+   */
+  toJSON: function () {
+    return this.values();
+  }
+};
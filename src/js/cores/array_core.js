@@ -19,9 +19,6 @@
  */
 ProAct.ArrayCore = P.AC = function (array, meta) {
   P.C.call(this, array, meta); // Super!
-
-  this.lastIndexCaller = null;
-  this.lastLengthCaller = null;
 };
 
 ProAct.ArrayCore.prototype = P.U.ex(Object.create(P.C.prototype), {
@@ -189,6 +186,8 @@ ProAct.ArrayCore.prototype = P.U.ex(Object.create(P.C.prototype), {
               }
             }
             pArrayProto.splice.apply(self, [ind, ov.length].concat(nvs));
+          } else if (op === operations.move) {
+            self.move(ind, nv);
           }
         }
       };
@@ -278,6 +277,50 @@ ProAct.ArrayCore.prototype = P.U.ex(Object.create(P.C.prototype), {
     return new P.E(source, this.shell, P.E.Types.array, op, ind, oldVal, newVal);
   },
 
+  /**
+   * Defers a ProAct.ArrayCore listener.
+   * <p>
+   *  The array events describe single changes and the derived arrays, created by {@link ProAct.Array#map}
+   *  or {@link ProAct.Array#filter} for example, apply them one by one, so every one of them should reach their listeners.
+   *  That's why the listeners with 'array' field - the derived array, are pushed to the active flow using
+   *  {@link ProAct.Flow#push}, even in a batch. All the other listeners are deferred using {@link ProAct.Actor#defer},
+   *  so they are notified only once.
+   * </p>
+   *
+   * @memberof ProAct.ArrayCore
+   * @instance
+   * @method defer
+   * @param {Object} event
+   *      The event to pass to the listener.
+   * @param {Object} listener
+   *      The listener to defer. It should be a function or object defining the <i>call</i> method.
+   * @param {Object} options
+   *      The options the <i>listener</i> was attached with, if there are any. See {@link ProAct.Actor#on}.
+   * @return {ProAct.ArrayCore}
+   *      <i>this</i>
+   * @see {@link ProAct.Stream#defer}
+   */
+  defer: function (event, listener, options) {
+    if (!listener.array) {
+      return P.Actor.prototype.defer.call(this, event, listener, options);
+    }
+
+    var queueName = (listener.queueName) ? listener.queueName : this.queueName,
+        priority = options && options.priority;
+
+    if (options && options.queue) {
+      queueName = options.queue;
+    }
+
+    if (P.U.isFunction(listener)) {
+      P.flow.push(queueName, null, listener, [event], priority);
+    } else {
+      P.flow.push(queueName, listener, listener.call, [event], priority);
+    }
+
+    return this;
+  },
+
   /**
    * Uses {@link ProAct.currentCaller} to automatically add a new listener to this property if the caller is set.
    * <p>
@@ -289,6 +332,7 @@ ProAct.ArrayCore.prototype = P.U.ex(Object.create(P.C.prototype), {
    * @method addCaller
    * @param {String} type
    *      If the caller should be added as an 'index' listener or a 'length' listener. If skipped or null it is added as both.
+   * @see {@link ProAct.Property.listen}
    */
   addCaller: function (type) {
     if (!type) {
@@ -297,14 +341,10 @@ ProAct.ArrayCore.prototype = P.U.ex(Object.create(P.C.prototype), {
       return;
     }
 
-    var caller = P.currentCaller,
-        capType = type.charAt(0).toUpperCase() + type.slice(1),
-        lastCallerField = 'last' + capType + 'Caller',
-        lastCaller = this[lastCallerField];
+    var caller = P.currentCaller;
 
-    if (caller && lastCaller !== caller) {
-      this.on(type, caller);
-      this[lastCallerField] = caller;
+    if (caller) {
+      P.P.listen(this, type, caller);
     }
   },
 
@@ -347,27 +387,84 @@ ProAct.ArrayCore.prototype = P.U.ex(Object.create(P.C.prototype), {
   /**
    * Special update method for updating listeners by comparrison to another array.
    * <p>
-   *  For every difference between <i>this shell</i>'s array and the passed one, there will be listeners notification.
+   *  The listeners are notified with the minimal list of {@link ProAct.Array.Operations.splice} and
+   *  {@link ProAct.Array.Operations.move} events, that turn the passed array into <i>this shell</i>'s array.
+   *  So a single element inserted near the front is one event, not a change of all the elements after it.
+   * </p>
+   * <p>
+   *  Every event is emitted in its own run of the {@link ProAct.flow}, so the listeners, applying the changes to dependent arrays,
+   *  receive all of them in order.
+   * </p>
+   * <p>
+   *  If the length of the array changed, the index accessors of <i>this shell</i> are defined or deleted to match it.
    * </p>
    *
    * @memberof ProAct.ArrayCore
    * @instance
    * @method updateByDiff
    * @param {Array} array
-   *      The array to compare to.
+   *      The array to compare to - the old state of <i>this shell</i>'s array.
+   * @param {Function} key
+   *      Optional function returning the key of an element. Elements with the same keys are treated as the same element.
    * @return {ProAct.ArrayCore}
    *      <i>this</i>
    * @see {@link ProAct.Actor#update}
-   * @see {@link ProAct.Utils.diff}
+   * @see {@link ProAct.Utils.lcsDiff}
    */
-  updateByDiff: function (array) {
-    var j, diff = P.U.diff(array, this.shell._array), cdiff;
+  updateByDiff: function (array, key) {
+    var self = this,
+        shell = this.shell,
+        i;
 
-    for (j in diff) {
-      cdiff = diff[j];
-      if (cdiff) {
-        this.updateSplice(j, cdiff.o, cdiff.n);
-      }
+    for (i = array.length; i < shell._array.length; i++) {
+      this.defineIndexProp(i);
+    }
+    for (i = shell._array.length; i < array.length; i++) {
+      delete shell[i];
+    }
+
+    P.U.lcsDiff(array, shell._array, key).forEach(function (op) {
+      P.flow.run(function () {
+        if (op[0] === pArrayOps.move) {
+          self.update(null, 'index', op);
+        } else {
+          self.updateSplice(op[1], op[2], op[3]);
+        }
+      });
+    });
+
+    return this;
+  },
+
+  /**
+   * Replaces the elements of <i>this shell</i>'s array with the passed ones, without notifying the listeners.
+   * <p>
+   *  The index accessors of <i>this shell</i> are defined or deleted to match the new length.
+   *  It is used to restore the arrays, changed in failed transactions.
+   * </p>
+   *
+   * @memberof ProAct.ArrayCore
+   * @instance
+   * @method restoreElements
+   * @param {Array} elements
+   *      The elements to restore.
+   * @return {ProAct.ArrayCore}
+   *      <i>this</i>
+   * @see {@link ProAct.Flow#transaction}
+   */
+  restoreElements: function (elements) {
+    var shell = this.shell,
+        array = shell._array,
+        ln = array.length,
+        i;
+
+    splice.apply(array, [0, ln].concat(elements));
+
+    for (i = ln; i < array.length; i++) {
+      this.defineIndexProp(i);
+    }
+    for (i = array.length; i < ln; i++) {
+      delete shell[i];
     }
 
     return this;
@@ -417,6 +514,7 @@ ProAct.ArrayCore.prototype = P.U.ex(Object.create(P.C.prototype), {
         return;
       }
 
+      P.flow.touch(self);
       oldLength = array._array.length;
       array._array.length = newLength;
 
@@ -447,6 +545,10 @@ ProAct.ArrayCore.prototype = P.U.ex(Object.create(P.C.prototype), {
    * <p>
    *  If on the index is reciding an array or an object, it is turned to reactive object/array.
    * </p>
+   * <p>
+   *  The accessors use the current <i>_array</i> of the shell, so they work after it is replaced,
+   *  as in {@link ProAct.Array.reFilter}.
+   * </p>
    *
    * @memberof ProAct.ArrayCore
    * @instance
@@ -480,13 +582,16 @@ ProAct.ArrayCore.prototype = P.U.ex(Object.create(P.C.prototype), {
       get: function () {
         self.addCaller('index');
 
-        return array[i];
+        return proArray._array[i];
       },
       set: function (newVal) {
+        var array = proArray._array;
+
         if (array[i] === newVal) {
           return;
         }
 
+        P.flow.touch(self);
         oldVal = array[i];
         array[i] = newVal;
 
@@ -0,0 +1,549 @@
+/**
+ * <p>
+ *  Constructs a ProAct.CollectionCore. ProAct.CollectionCore is a {@link ProAct.Core} that manages the keyed
+ *  collections - {@link ProAct.Map} and {@link ProAct.Set}.
+ * </p>
+ * <p>
+ *  The core has two types of listeners - 'keys' and 'values'. The 'keys' listeners are notified when keys are added to or deleted
+ *  from the collection, or it is cleared. The 'values' listeners are notified when the value for an existing key is changed.
+ * </p>
+ * <p>
+ *  The core also tracks the dependencies for every key - a {@link ProAct.AutoProperty}, reading the value for a given key
+ *  with <i>get</i> or checking it with <i>has</i>, is updated only when this key is set or deleted.
+ *  The tracking of a key is dropped, when nothing depends on it anymore.
+ * </p>
+ * <p>
+ *  The <i>shell</i> should store its keys in a <i>_keys</i> array and its values in a <i>_values</i> array.
+ *  For the sets it is the same array. The keys should be added and deleted using {@link ProAct.CollectionCore#addKey},
+ *  {@link ProAct.CollectionCore#deleteKey} and {@link ProAct.CollectionCore#clearKeys}, so the core can look up
+ *  the primitive keys by their hashes, instead of comparing them with all the keys.
+ * </p>
+ * <p>
+ *  ProAct.CollectionCore is part of the collections module of ProAct.js.
+ * </p>
+ *
+ * @class ProAct.CollectionCore
+ * @extends ProAct.Core
+ * @param {ProAct.Map|ProAct.Set} collection
+ *      The shell {@link ProAct.Map} or {@link ProAct.Set} for the core.
+ * @param {Object} meta
+ *      Meta-data for the core.
+ * @see {@link ProAct.Map.Operations}
+ */
+function CollectionCore (collection, meta) {
+  this.keyActors = [];
+  this.keyActorsByHash = {};
+  this.positions = {};
+
+  P.C.call(this, collection, meta); // Super!
+
+  this.reindex(0);
+}
+ProAct.CollectionCore = P.CC = CollectionCore;
+
+ProAct.CollectionCore.prototype = P.U.ex(Object.create(P.C.prototype), {
+
+  /**
+   * Reference to the constructor of this object.
+   *
+   * @memberof ProAct.CollectionCore
+   * @instance
+   * @constant
+   * @default ProAct.CollectionCore
+   */
+  constructor: ProAct.CollectionCore,
+
+  /**
+   * Generates the initial listeners object. It has two types of listeners - 'keys' and 'values'.
+   *
+   * @memberof ProAct.CollectionCore
+   * @instance
+   * @method defaultListeners
+   * @return {Object}
+   *      A map containing the default listeners collections.
+   */
+  defaultListeners: function () {
+    return {
+      keys: [],
+      values: []
+    };
+  },
+
+  /**
+   * The default actions to listen to - both 'keys' and 'values'.
+   *
+   * @memberof ProAct.CollectionCore
+   * @instance
+   * @method defaultActions
+   * @return {Array}
+   *      The actions to listen to by default.
+   */
+  defaultActions: function () {
+    return ['keys', 'values'];
+  },
+
+  /**
+   * Creates the {@link ProAct.Event.Types.collection} events of <i>this</i> core.
+   *
+   * @memberof ProAct.CollectionCore
+   * @instance
+   * @method makeEvent
+   * @param {Object} source
+   *      The source of the event.
+   * @param {Array} eventData
+   *      The data of the event - the operation, the key, the old value and the new value.
+   * @return {ProAct.Event}
+   *      The new event.
+   * @see {@link ProAct.Map.Operations}
+   */
+  makeEvent: function (source, eventData) {
+    if (!eventData) {
+      return P.C.prototype.makeEvent.call(this, source);
+    }
+
+    return new P.E(source, this.shell, P.E.Types.collection,
+                   eventData[0], eventData[1], eventData[2], eventData[3]);
+  },
+
+  /**
+   * Adds the {@link ProAct.currentCaller} as a listener for the passed <i>type</i> of changes - 'keys' or 'values'.
+   * If no <i>type</i> is passed, it is added for both.
+   *
+   * @memberof ProAct.CollectionCore
+   * @instance
+   * @method addCaller
+   * @param {String} type
+   *      The type of the changes to listen for, can be skipped.
+   */
+  addCaller: function (type) {
+    if (!type) {
+      this.addCaller('keys');
+      this.addCaller('values');
+      return;
+    }
+
+    var caller = P.currentCaller;
+
+    if (caller) {
+      P.P.listen(this, type, caller);
+    }
+  },
+
+  /**
+   * Adds the {@link ProAct.currentCaller} as a listener for the changes of the passed <i>key</i> only.
+   *
+   * @memberof ProAct.CollectionCore
+   * @instance
+   * @method addKeyCaller
+   * @param {Object} key
+   *      The key to listen for.
+   */
+  addKeyCaller: function (key) {
+    var caller = P.currentCaller;
+
+    if (caller) {
+      P.P.listen(this.keyActor(key, true), 'change', caller);
+    }
+  },
+
+  /**
+   * Finds the index of the passed <i>key</i> in the <i>shell</i>.
+   * The keys are compared like in the ES6 collections - <b>NaN</b> is equal to <b>NaN</b>.
+   * <p>
+   *  The primitive keys are looked up by their {@link ProAct.CollectionCore.hash}, the others are compared with all the keys.
+   * </p>
+   *
+   * @memberof ProAct.CollectionCore
+   * @instance
+   * @method indexOf
+   * @param {Object} key
+   *      The key to look for.
+   * @return {Number}
+   *      The index of the key or -1 if it is not in the collection.
+   */
+  indexOf: function (key) {
+    var hash = P.CC.hash(key),
+        keys = this.shell._keys, i, ln = keys.length;
+
+    if (hash !== null) {
+      return this.positions.hasOwnProperty(hash) ? this.positions[hash] : -1;
+    }
+
+    for (i = 0; i < ln; i++) {
+      if (keys[i] === key) {
+        return i;
+      }
+    }
+
+    return -1;
+  },
+
+  /**
+   * Adds the passed <i>key</i> and its <i>value</i> to the end of the <i>shell</i>.
+   * The <i>key</i> should not be in the <i>shell</i> already.
+   *
+   * @memberof ProAct.CollectionCore
+   * @instance
+   * @method addKey
+   * @param {Object} key
+   *      The new key.
+   * @param {Object} value
+   *      The value for the <i>key</i>. It is not used for the sets.
+   */
+  addKey: function (key, value) {
+    var keys = this.shell._keys,
+        values = this.shell._values,
+        hash = P.CC.hash(key);
+
+    if (hash !== null) {
+      this.positions[hash] = keys.length;
+    }
+
+    keys.push(key);
+    if (values !== keys) {
+      values.push(value);
+    }
+  },
+
+  /**
+   * Deletes the key on the passed <i>index</i> and its value from the <i>shell</i>.
+   *
+   * @memberof ProAct.CollectionCore
+   * @instance
+   * @method deleteKey
+   * @param {Number} index
+   *      The index of the key to delete.
+   */
+  deleteKey: function (index) {
+    var keys = this.shell._keys,
+        values = this.shell._values,
+        hash = P.CC.hash(keys[index]);
+
+    if (hash !== null) {
+      delete this.positions[hash];
+    }
+
+    keys.splice(index, 1);
+    if (values !== keys) {
+      values.splice(index, 1);
+    }
+
+    this.reindex(index);
+  },
+
+  /**
+   * Deletes all the keys and values of the <i>shell</i>.
+   *
+   * @memberof ProAct.CollectionCore
+   * @instance
+   * @method clearKeys
+   * @return {Array}
+   *      The deleted keys and the deleted values - [keys, values].
+   */
+  clearKeys: function () {
+    var keys = this.shell._keys,
+        values = this.shell._values,
+        oldKeys = keys.splice(0, keys.length),
+        oldValues = values === keys ? oldKeys : values.splice(0, values.length);
+
+    this.positions = {};
+
+    return [oldKeys, oldValues];
+  },
+
+  /**
+   * Notifies the listeners of <i>this</i> and the listeners of the <i>key</i> for a change.
+   * <p>
+   *  The {@link ProAct.Map.Operations.set} changes are 'values' changes, all the others are 'keys' changes.
+   * </p>
+   *
+   * @memberof ProAct.CollectionCore
+   * @instance
+   * @method updateKey
+   * @param {Number} op
+   *      The {@link ProAct.Map.Operations} of the change.
+   * @param {Object} key
+   *      The changed key.
+   * @param {Object} oldVal
+   *      The old value for the key.
+   * @param {Object} newVal
+   *      The new value for the key.
+   * @return {ProAct.CollectionCore}
+   *      <i>this</i>
+   */
+  updateKey: function (op, key, oldVal, newVal) {
+    var self = this,
+        actor = this.keyActor(key, false),
+        data = [op, key, oldVal, newVal];
+
+    P.flow.run(function () {
+      self.update(null, op === P.M.Operations.set ? 'values' : 'keys', data);
+
+      if (actor) {
+        actor.update(self.makeEvent(null, data));
+      }
+    });
+
+    return this;
+  },
+
+  /**
+   * Notifies the listeners of <i>this</i> and the listeners of all the passed keys, that the collection was cleared.
+   *
+   * @memberof ProAct.CollectionCore
+   * @instance
+   * @method updateClear
+   * @param {Array} oldKeys
+   *      The keys the collection had before clearing it.
+   * @param {Array} oldValues
+   *      The values the collection had before clearing it.
+   * @return {ProAct.CollectionCore}
+   *      <i>this</i>
+   */
+  updateClear: function (oldKeys, oldValues) {
+    var self = this,
+        ops = P.M.Operations;
+
+    P.flow.run(function () {
+      var i, ln = oldKeys.length, actor;
+
+      self.update(null, 'keys', [ops.clear, oldKeys, oldValues, undefined]);
+
+      for (i = 0; i < ln; i++) {
+        actor = self.keyActor(oldKeys[i], false);
+        if (actor) {
+          actor.update(self.makeEvent(null, [ops['delete'], oldKeys[i], oldValues[i], undefined]));
+        }
+      }
+    });
+
+    return this;
+  },
+
+  /**
+   * Defines the reactive <i>size</i> field of the <i>shell</i> and its <i>psize</i> field,
+   * which is a {@link ProAct.Property} with value the size.
+   *
+   * @memberof ProAct.CollectionCore
+   * @instance
+   * @method setup
+   */
+  setup: function () {
+    var self = this,
+        collection = this.shell;
+
+    Object.defineProperty(collection, 'size', {
+      configurable: false,
+      enumerable: false,
+      get: function () {
+        self.addCaller('keys');
+
+        return collection._keys.length;
+      }
+    });
+
+    Object.defineProperty(collection, 'psize', {
+      configurable: false,
+      enumerable: false,
+      get: function () {
+        if (!self.psize) {
+          self.psize = P.P.lazyValue(collection._keys.length);
+          self.on('keys', function () {
+            self.psize.v = collection._keys.length;
+          });
+        }
+
+        return self.psize;
+      }
+    });
+  },
+
+  // private
+  reindex: function (from) {
+    var keys = this.shell._keys, i, ln = keys.length, hash;
+
+    for (i = from; i < ln; i++) {
+      hash = P.CC.hash(keys[i]);
+
+      if (hash !== null) {
+        this.positions[hash] = i;
+      }
+    }
+  },
+
+  // private
+  keyActor: function (key, create) {
+    var hash = P.CC.hash(key),
+        actors = this.keyActors, i, ln = actors.length, actor;
+
+    if (hash !== null) {
+      actor = this.keyActorsByHash.hasOwnProperty(hash) ? this.keyActorsByHash[hash] : null;
+    } else {
+      for (i = 0; i < ln && !actor; i++) {
+        if (actors[i].key === key) {
+          actor = actors[i];
+        }
+      }
+    }
+
+    if (actor || !create) {
+      return actor || null;
+    }
+
+    actor = new P.CC.KeyActor(this, key);
+    actors.push(actor);
+    if (hash !== null) {
+      this.keyActorsByHash[hash] = actor;
+    }
+
+    return actor;
+  },
+
+  // private
+  dropKeyActor: function (actor) {
+    var hash = P.CC.hash(actor.key);
+
+    P.U.remove(this.keyActors, actor);
+    if (hash !== null) {
+      delete this.keyActorsByHash[hash];
+    }
+  }
+});
+
+P.U.ex(P.CC, {
+
+  /**
+   * Checks if two keys of a collection are the same. Works like the ES6 collections -
+   * uses <b>===</b>, but <b>NaN</b> is equal to <b>NaN</b>.
+   *
+   * @memberof ProAct.CollectionCore
+   * @static
+   * @param {Object} key1
+   *      The first key.
+   * @param {Object} key2
+   *      The second key.
+   * @return {Boolean}
+   *      True if the keys are the same.
+   */
+  same: function (key1, key2) {
+    return key1 === key2 || (key1 !== key1 && key2 !== key2);
+  },
+
+  /**
+   * Computes a string, identifying a primitive key of a collection - a string, number, boolean, null or undefined.
+   * The same keys, in the sense of {@link ProAct.CollectionCore.same}, have the same hashes.
+   *
+   * @memberof ProAct.CollectionCore
+   * @static
+   * @param {Object} key
+   *      The key.
+   * @return {String}
+   *      The hash of the <i>key</i> or null if it is an object or a function, which can only be compared by reference.
+   */
+  hash: function (key) {
+    var type = typeof key;
+
+    if (key !== null && (type === 'object' || type === 'function')) {
+      return null;
+    }
+
+    return type + ':' + key;
+  },
+
+  /**
+   * Updates a {@link ProAct.Array} to contain the passed <i>values</i>, using one <i>splice</i>
+   * for the part of it that differs.
+   * <p>
+   *  This is used for the live {@link ProAct.Array}s of the keys and the values of the collections.
+   * </p>
+   *
+   * @memberof ProAct.CollectionCore
+   * @static
+   * @param {ProAct.Array} array
+   *      The array to update.
+   * @param {Array} values
+   *      The new values for the <i>array</i>.
+   * @see {@link ProAct.Map#pkeys}
+   * @see {@link ProAct.Map#pvalues}
+   */
+  sync: function (array, values) {
+    var current = array._array,
+        start = 0, end = 0,
+        ln = current.length, newLn = values.length;
+
+    while (start < ln && start < newLn && current[start] === values[start]) {
+      start++;
+    }
+
+    while (end < ln - start && end < newLn - start &&
+           current[ln - end - 1] === values[newLn - end - 1]) {
+      end++;
+    }
+
+    if (start === ln && start === newLn) {
+      return;
+    }
+
+    array.splice.apply(array, [start, ln - start - end].concat(values.slice(start, newLn - end)));
+  }
+});
+
+/**
+ * <p>
+ *  Constructs a ProAct.CollectionCore.KeyActor. It is the {@link ProAct.Stream}, used by a {@link ProAct.CollectionCore}
+ *  to notify the dependencies of one of its keys - see {@link ProAct.CollectionCore#addKeyCaller}.
+ * </p>
+ * <p>
+ *  When its last listener is removed, it is dropped by its core, so the keys, that nothing depends on, are not tracked.
+ * </p>
+ *
+ * @class ProAct.CollectionCore.KeyActor
+ * @extends ProAct.Stream
+ * @param {ProAct.CollectionCore} collectionCore
+ *      The core, tracking the <i>key</i>.
+ * @param {Object} key
+ *      The tracked key.
+ */
+function KeyActor (collectionCore, key) {
+  P.S.call(this, collectionCore.queueName); // Super!
+
+  this.collectionCore = collectionCore;
+  this.key = key;
+}
+ProAct.CollectionCore.KeyActor = KeyActor;
+
+ProAct.CollectionCore.KeyActor.prototype = P.U.ex(Object.create(P.S.prototype), {
+
+  /**
+   * Reference to the constructor of this object.
+   *
+   * @memberof ProAct.CollectionCore.KeyActor
+   * @instance
+   * @constant
+   * @default ProAct.CollectionCore.KeyActor
+   */
+  constructor: ProAct.CollectionCore.KeyActor,
+
+  /**
+   * Removes a listener, like {@link ProAct.Actor#off}. If it was the last one, <i>this</i> is dropped by its core.
+   *
+   * @memberof ProAct.CollectionCore.KeyActor
+   * @instance
+   * @method off
+   * @param {Array|String} actions
+   *      The actions to remove the listener for. Can be skipped.
+   * @param {Object} listener
+   *      The listener to remove.
+   * @return {ProAct.CollectionCore.KeyActor}
+   *      <i>this</i>
+   */
+  off: function (actions, listener) {
+    P.S.prototype.off.call(this, actions, listener);
+
+    if (!this.listeners.change.length) {
+      this.collectionCore.dropKeyActor(this);
+    }
+
+    return this;
+  }
+});
@@ -19,6 +19,7 @@
  */
 function ObjectCore (object, meta) {
   this.properties = {};
+  this.paths = {};
 
   P.C.call(this, object, meta); // Super!
 };
@@ -44,21 +45,36 @@ ProAct.ObjectCore.prototype = P.U.ex(Object.create(P.C.prototype), {
    * <p>
    *  If the <i>p</i> argument is <b>*</b> or empty <i>this</i> ProAct.ObjectCore instance is returned.
    * </p>
+   * <p>
+   *  If the <i>p</i> argument is a dotted path, like <b>'a.b.c'</b> or <b>'a.b.*'</b>, a {@link ProAct.PathStream} for it is returned.
+   *  The path streams are cached, so the same stream is returned for the same path.
+   * </p>
    *
    * @memberof ProAct.ObjectCore
    * @instance
    * @method value
    * @param {String} p
    *      The name of the managed {@link ProAct.Property} to retrieve. It can be set to <b>*</b> or skipped for <i>this</i> itself to be retrieved.
+   *      It can be a dotted path to a field of the nested objects too.
    * @return {Object}
-   *      Managed {@link ProAct.Property} instance with field name equal to the passed <i>p</i> parameter or <i>this</i>.
+   *      Managed {@link ProAct.Property} instance with field name equal to the passed <i>p</i> parameter,
+   *      {@link ProAct.PathStream} for a dotted path or <i>this</i>.
    * @see {@link ProAct.Property}
+   * @see {@link ProAct.PathStream}
    */
   value: function (p) {
     if (!p || p === '*') {
       return this;
     }
 
+    if (p.indexOf('.') !== -1) {
+      if (!this.paths[p] || this.paths[p].state === P.States.destroyed) {
+        this.paths[p] = new P.PS(this.queueName, this.shell, p);
+      }
+
+      return this.paths[p];
+    }
+
     return this.properties[p];
   },
 
@@ -147,12 +163,57 @@ ProAct.ObjectCore.prototype = P.U.ex(Object.create(P.C.prototype), {
     return result;
   },
 
+  /**
+   * Creates the event to be emitted by <i>this</i> core.
+   * <p>
+   *  If there is <i>eventData</i>, the event is of type {@link ProAct.Event.Types.keys} - a field was added to or
+   *  deleted from the <i>shell</i>. The <i>eventData</i> should contain the operation - 'add' or 'delete',
+   *  the name of the field, its old value and its new value.
+   * </p>
+   *
+   * @memberof ProAct.ObjectCore
+   * @instance
+   * @method makeEvent
+   * @param {Object} source
+   *      The source of the event.
+   * @param {Array} eventData
+   *      Data for a {@link ProAct.Event.Types.keys} event, can be skipped.
+   * @return {ProAct.Event}
+   *      The new event.
+   */
+  makeEvent: function (source, eventData) {
+    if (!eventData) {
+      return P.C.prototype.makeEvent.call(this, source);
+    }
+
+    return new P.E(source, this.shell, P.E.Types.keys,
+                   eventData[0], eventData[1], eventData[2], eventData[3]);
+  },
+
+  /**
+   * Makes the {@link ProAct.currentCaller}, if there is one, listen for the 'keys' action of <i>this</i> core -
+   * for fields added to or deleted from the <i>shell</i>.
+   *
+   * @memberof ProAct.ObjectCore
+   * @instance
+   * @method addCaller
+   * @see {@link ProAct.Property.listen}
+   */
+  addCaller: function () {
+    var caller = P.currentCaller;
+
+    if (caller) {
+      P.P.listen(this, 'keys', caller);
+    }
+  },
+
   /**
    * Sets the value of a managed property. The interesting thing here is that
    * if the property does not exist this method creates it and stores a new field in the <i>shell</i> object
    * with the passed <i>value</i>.
    * <p>
-   *  The new field is reactive.
+   *  The new field is reactive. The 'keys' listeners of <i>this</i> are notified for it with a
+   *  {@link ProAct.Event.Types.keys} event.
    * </p>
    *
    * @memberof ProAct.ObjectCore
@@ -165,7 +226,8 @@ ProAct.ObjectCore.prototype = P.U.ex(Object.create(P.C.prototype), {
    * @see {@link ProAct.ObjectCore#makeProp}
    */
   set: function (property, value) {
-    var object = this.shell;
+    var object = this.shell,
+        added = !object.hasOwnProperty(property);
 
     object[property] = value;
     if (this.properties[property]) {
@@ -173,5 +235,127 @@ ProAct.ObjectCore.prototype = P.U.ex(Object.create(P.C.prototype), {
     }
 
     this.makeProp(property);
+
+    if (added) {
+      this.update(null, ['keys'], ['add', property, undefined, value]);
+    }
+  },
+
+  /**
+   * Deletes a field of the <i>shell</i>, destroying its managed property.
+   * <p>
+   *  The listeners of the property are notified that its value became undefined, and the 'keys' listeners of <i>this</i>
+   *  are notified with a {@link ProAct.Event.Types.keys} event.
+   * </p>
+   *
+   * @memberof ProAct.ObjectCore
+   * @instance
+   * @method remove
+   * @param {String} property
+   *      The name of the field to delete.
+   * @return {Boolean}
+   *      True if there was such field.
+   */
+  remove: function (property) {
+    var self = this,
+        object = this.shell,
+        prop = this.properties[property];
+
+    if (!object.hasOwnProperty(property)) {
+      return false;
+    }
+
+    P.flow.run(function () {
+      var value = prop ? prop.val : object[property];
+
+      if (prop) {
+        prop.oldVal = value;
+        prop.val = undefined;
+        prop.update();
+        prop.destroy();
+      }
+
+      delete object[property];
+      self.update(null, ['keys'], ['delete', property, value, undefined]);
+    });
+
+    return true;
+  },
+
+  /**
+   * Creates an ES6 Proxy around the <i>shell</i> of <i>this</i>, that reacts to added and deleted fields.
+   * <p>
+   *  Setting a new field of the proxy creates a property for it with {@link ProAct.ObjectCore#set} and deleting
+   *  a field with the <i>delete</i> operator removes it with {@link ProAct.ObjectCore#remove}.
+   *  The <i>in</i> checks, the listing of the keys and the reading of missing fields, make the {@link ProAct.currentCaller}
+   *  listen for the 'keys' action of <i>this</i>, so the auto-computed properties using them are updated when fields are
+   *  added or deleted.
+   * </p>
+   * <p>
+   *  The functions of the auto-computed properties of the <i>shell</i> are called with the proxy as <i>this</i>,
+   *  so the fields they add, check or list are tracked too.
+   * </p>
+   * <p>
+   *  The proxy is created once and is used by {@link ProAct.prob} in the <i>proxy</i> mode.
+   * </p>
+   *
+   * @memberof ProAct.ObjectCore
+   * @instance
+   * @method proxy
+   * @return {Proxy}
+   *      The proxy of the <i>shell</i>.
+   * @throws {Error}
+   *      If the environment does not support Proxy.
+   */
+  proxy: function () {
+    var core = this;
+
+    if (typeof Proxy === 'undefined') {
+      throw new Error('The proxy mode needs an environment with Proxy support!');
+    }
+
+    if (!this.proxyShell) {
+      this.proxyShell = new Proxy(this.shell, {
+        get: function (target, key) {
+          if (P.U.isString(key) && !(key in target)) {
+            core.addCaller();
+          }
+
+          return target[key];
+        },
+
+        set: function (target, key, value) {
+          if (P.U.isString(key) && !target.hasOwnProperty(key)) {
+            core.set(key, value);
+          } else {
+            target[key] = value;
+          }
+
+          return true;
+        },
+
+        deleteProperty: function (target, key) {
+          if (!P.U.isString(key) || !core.remove(key)) {
+            delete target[key];
+          }
+
+          return true;
+        },
+
+        has: function (target, key) {
+          core.addCaller();
+
+          return key in target;
+        },
+
+        ownKeys: function (target) {
+          core.addCaller();
+
+          return Reflect.ownKeys(target);
+        }
+      });
+    }
+
+    return this.proxyShell;
   }
 });
@@ -0,0 +1,380 @@
+function graphQuote (value) {
+  return '"' + String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
+}
+
+function graphClassName (object) {
+  var result = null, key;
+
+  for (key in ProAct) {
+    if (ProAct[key] === object.constructor && (!result || key.length > result.length)) {
+      result = key;
+    }
+  }
+
+  return result || 'Actor';
+}
+
+function graphNode (actor) {
+  var name, type, label;
+
+  if (!(actor instanceof P.Actor)) {
+    name = P.U.isFunction(actor) ? (actor.name || 'anonymous') : 'listener';
+
+    return {
+      type: 'listener',
+      name: name,
+      label: name
+    };
+  }
+
+  name = graphClassName(actor);
+  label = name;
+
+  if (actor instanceof P.P) {
+    type = 'property';
+    label = name + ' ' + actor.property;
+  } else if (actor instanceof P.S) {
+    type = 'stream';
+  } else if (actor instanceof P.C) {
+    type = 'core';
+  } else {
+    type = 'actor';
+  }
+
+  return {
+    type: type,
+    name: name,
+    label: label
+  };
+}
+
+function graphCore (value) {
+  return (value && P.U.isObject(value) && value.__pro__ instanceof P.Actor) ? value.__pro__ : null;
+}
+
+function graphOwners (actors) {
+  var owners = [], listeners = [];
+
+  actors.forEach(function (actor) {
+    [actor.listener, actor.errListener, actor.closeListener].forEach(function (listener) {
+      if (listener) {
+        listeners.push(listener);
+        owners.push(actor);
+      }
+    });
+  });
+
+  return function (listener) {
+    var index = listeners.indexOf(listener);
+
+    if (index !== -1) {
+      return owners[index];
+    }
+
+    return listener.property || listener.stream || (listener instanceof P.Actor ? listener : null);
+  };
+}
+
+function graphLabel (action, listener, owner) {
+  var i;
+
+  if (owner.indexListeners) {
+    for (i in owner.indexListeners) {
+      if (owner.indexListeners[i] === listener) {
+        return action + ' [' + i + ']';
+      }
+    }
+  }
+
+  return action;
+}
+
+function graphContained (actor) {
+  var result = [], values, key, i, ln;
+
+  if (actor instanceof P.P) {
+    result.push(['value', graphCore(actor.val)]);
+  } else if (actor instanceof P.C && actor.properties) {
+    for (key in actor.properties) {
+      result.push([null, actor.properties[key]]);
+    }
+  }
+
+  if (actor instanceof P.C && actor.shell) {
+    values = actor.shell._array || actor.shell._values || [];
+    for (i = 0, ln = values.length; i < ln; i++) {
+      result.push(['element', graphCore(values[i])]);
+    }
+  }
+
+  return result;
+}
+
+function graphCollect (actor, add) {
+  var addOwner = function (listener) {
+        add(listener && (listener.property || listener.stream));
+      },
+      action;
+
+  for (action in actor.listeners) {
+    (actor.listeners[action] || []).forEach(addOwner);
+  }
+
+  if (actor.parent instanceof P.Actor) {
+    add(actor.parent);
+  }
+  (actor.sources || []).forEach(add);
+  graphContained(actor).forEach(function (pair) {
+    add(pair[1]);
+  });
+}
+
+function graphEdges (graph, actor, owner) {
+  var action, listeners, target, i;
+
+  graph.node(actor);
+
+  for (action in actor.listeners) {
+    listeners = actor.listeners[action] || [];
+
+    for (i = 0; i < listeners.length; i++) {
+      target = owner(listeners[i]) || listeners[i];
+      graph.edge(actor, target, graphLabel(action, listeners[i], target));
+    }
+  }
+
+  if (actor.parent instanceof P.Actor) {
+    graph.edge(actor, actor.parent, 'parent');
+  }
+
+  graphContained(actor).forEach(function (pair) {
+    if (pair[0] && pair[1]) {
+      graph.edge(actor, pair[1], pair[0]);
+    }
+  });
+}
+
+/**
+ * <p>
+ *  Constructs a ProAct.Graph - a description of the dependencies between {@link ProAct.Actor}s.
+ *  The graphs are built by {@link ProAct.graph}.
+ * </p>
+ * <p>
+ *  Every node has an <i>id</i>, a <i>type</i> - 'property', 'stream', 'core', 'actor' or 'listener',
+ *  a <i>name</i> - the name of its class and a <i>label</i>.
+ *  The 'listener' nodes are the plain functions and objects listening to actors.
+ * </p>
+ * <p>
+ *  Every edge has <i>from</i> and <i>to</i> node ids and a <i>label</i>. The edge points from the notifying
+ *  node to the notified one and its label is the action it is notified for. The edges labeled 'parent' point to
+ *  the parent actors, notified for all the changes, and the ones labeled 'value' or 'element' point from
+ *  properties and arrays to the cores of the reactive objects they contain.
+ * </p>
+ * <p>
+ *  ProAct.Graph is part of the debug module of ProAct.js.
+ * </p>
+ *
+ * @class ProAct.Graph
+ * @see {@link ProAct.graph}
+ */
+function Graph () {
+  this.nodes = [];
+  this.edges = [];
+
+  P.U.defValProp(this, 'actors', false, false, true, []);
+}
+ProAct.Graph = P.GR = Graph;
+
+ProAct.Graph.prototype = {
+
+  /**
+   * Reference to the constructor of this object.
+   *
+   * @memberof ProAct.Graph
+   * @instance
+   * @constant
+   * @default ProAct.Graph
+   */
+  constructor: ProAct.Graph,
+
+  /**
+   * Returns the node for the passed actor or listener, adding it if it is not in <i>this</i> graph.
+   *
+   * @memberof ProAct.Graph
+   * @instance
+   * @method node
+   * @param {Object} actor
+   *      The {@link ProAct.Actor} or the listener.
+   * @return {Object}
+   *      The node.
+   */
+  node: function (actor) {
+    var index = this.actors.indexOf(actor),
+        node;
+
+    if (index !== -1) {
+      return this.nodes[index];
+    }
+
+    node = graphNode(actor);
+    node.id = 'n' + this.nodes.length;
+
+    this.actors.push(actor);
+    this.nodes.push(node);
+
+    return node;
+  },
+
+  /**
+   * Adds an edge between the nodes of the passed actors, if there is no such edge.
+   *
+   * @memberof ProAct.Graph
+   * @instance
+   * @method edge
+   * @param {Object} from
+   *      The notifying {@link ProAct.Actor}.
+   * @param {Object} to
+   *      The notified {@link ProAct.Actor} or listener.
+   * @param {String} label
+   *      The label of the edge.
+   * @return {ProAct.Graph}
+   *      <i>this</i>
+   */
+  edge: function (from, to, label) {
+    var edge = {
+          from: this.node(from).id,
+          to: this.node(to).id,
+          label: label
+        },
+        i, ln = this.edges.length;
+
+    for (i = 0; i < ln; i++) {
+      if (this.edges[i].from === edge.from && this.edges[i].to === edge.to &&
+          this.edges[i].label === edge.label) {
+        return this;
+      }
+    }
+
+    this.edges.push(edge);
+
+    return this;
+  },
+
+  /**
+   * Exports <i>this</i> graph to a plain object, that can be serialized with <i>JSON.stringify</i>.
+   *
+   * @memberof ProAct.Graph
+   * @instance
+   * @method toJSON
+   * @return {Object}
+   *      Object with arrays of the <i>nodes</i> and the <i>edges</i>.
+   */
+  toJSON: function () {
+    return {
+      nodes: this.nodes.map(function (node) {
+        return P.U.ex({}, node);
+      }),
+      edges: this.edges.map(function (edge) {
+        return P.U.ex({}, edge);
+      })
+    };
+  },
+
+  /**
+   * Exports <i>this</i> graph to the Graphviz DOT language.
+   * <pre>
+   *  console.log(ProAct.graph(obj).toDOT());
+   *  // digraph proact {
+   *  //   n0 [label="ObjectCore", shape=box3d];
+   *  //   ...
+   * </pre>
+   *
+   * @memberof ProAct.Graph
+   * @instance
+   * @method toDOT
+   * @param {String} name
+   *      The name of the digraph. The default is 'proact'.
+   * @return {String}
+   *      The DOT source.
+   */
+  toDOT: function (name) {
+    var lines = ['digraph ' + graphQuote(name || 'proact') + ' {'],
+        shapes = {
+          property: 'ellipse',
+          stream: 'box',
+          core: 'box3d',
+          actor: 'diamond',
+          listener: 'note'
+        };
+
+    this.nodes.forEach(function (node) {
+      lines.push('  ' + node.id + ' [label=' + graphQuote(node.label) +
+                 ', shape=' + shapes[node.type] + '];');
+    });
+
+    this.edges.forEach(function (edge) {
+      lines.push('  ' + edge.from + ' -> ' + edge.to + ' [label=' + graphQuote(edge.label) + '];');
+    });
+
+    lines.push('}');
+
+    return lines.join('\n');
+  }
+};
+
+/**
+ * The {@link ProAct.graph} method builds the dependency graph of the passed actors or reactive objects.
+ * <p>
+ *  Starting from the roots, it walks the listeners of the actors, the parents of the properties, the sources of
+ *  the streams and the properties, the properties of the cores and the elements of the {@link ProAct.Array}s.
+ *  The listeners, attached to the elements of the arrays by the {@link ProAct.ArrayCore},
+ *  are labeled with the index they are for.
+ * </p>
+ * <pre>
+ *  var obj = ProAct.prob({
+ *        a: 1,
+ *        b: function () {
+ *          return this.a + 1;
+ *        }
+ *      }),
+ *      graph = ProAct.graph(obj);
+ *
+ *  graph.toDOT(); // Graphviz source
+ *  JSON.stringify(graph); // {"nodes": [...], "edges": [...]}
+ * </pre>
+ *
+ * @method graph
+ * @memberof ProAct
+ * @static
+ * @param [...]
+ *      The roots - {@link ProAct.Actor}s or reactive objects, arrays and collections.
+ * @return {ProAct.Graph}
+ *      The graph of everything reachable from the roots.
+ */
+function graph () {
+  var result = new P.GR(),
+      actors = [],
+      add = function (actor) {
+        if (actor && actors.indexOf(actor) === -1) {
+          actors.push(actor);
+        }
+      },
+      owner, i;
+
+  slice.call(arguments).forEach(function (root) {
+    add(root instanceof P.Actor ? root : graphCore(root));
+  });
+
+  for (i = 0; i < actors.length; i++) {
+    graphCollect(actors[i], add);
+  }
+
+  owner = graphOwners(actors);
+
+  for (i = 0; i < actors.length; i++) {
+    graphEdges(result, actors[i], owner);
+  }
+
+  return result;
+}
+ProAct.graph = graph;
@@ -0,0 +1,394 @@
+/**
+ * <p>
+ *  Constructs a ProAct.Tracer - a recorder of the propagation of the changes through a {@link ProAct.Flow}.
+ *  The tracers are meant to be used while developing - they slow down every action flow they are enabled on.
+ * </p>
+ * <p>
+ *  Every run of the flow is recorded as a causal tree. Its roots are the updates, made outside of the actions of
+ *  the flow - usually by the setters of the properties. Every action executed by the flow is a node, which parent is
+ *  the action or the update, that pushed it. The updates of the dependent actors, propagated directly by their
+ *  sources or made by the actions, like the updates of the derived {@link ProAct.Array}s, are nodes too.
+ *  The nodes are plain objects with the fields:
+ * </p>
+ * <ul>
+ *  <li>setter - The {@link ProAct.Actor} which update originated the change, for example the property set by the user.</li>
+ *  <li>actor - The {@link ProAct.Actor} updated by the action, for example the property, which listener was executed.</li>
+ *  <li>event - The event, passed to the action - {@link ProAct.ValueEvent}, array {@link ProAct.Event} or a stream value.</li>
+ *  <li>listener - The listener, that was executed. It is null for the updates, that are not actions.</li>
+ *  <li>queue - The name of the queue the action was executed in. It is null for the updates, that are not actions.</li>
+ *  <li>children - The actions, pushed by this one.</li>
+ * </ul>
+ * <p>
+ *  The parent of every node is available as its non-enumerable <i>cause</i> field.
+ * </p>
+ * <pre>
+ *  ProAct.trace.enable();
+ *
+ *  obj.a = 5;
+ *
+ *  ProAct.trace.why(obj, 'b'); // [a root for the setter of 'a', the recomputation of 'b']
+ *  ProAct.trace.disable();
+ * </pre>
+ * <p>
+ *  ProAct.Tracer is part of the debug module of ProAct.js.
+ * </p>
+ *
+ * @class ProAct.Tracer
+ * @param {Object} options
+ *      Options for the tracer.
+ *      <p>Available options:</p>
+ *      <ul>
+ *        <li>limit - The maximum number of flow runs to keep. The default is 10.</li>
+ *      </ul>
+ * @see {@link ProAct.trace}
+ * @see {@link ProAct.Flow}
+ */
+function Tracer (options) {
+  this.options = options || {};
+  this.limit = this.options.limit || 10;
+
+  this.flow = null;
+  this.runs = [];
+  this.run = null;
+
+  this.stack = [];
+  this.pending = [];
+  this.events = [];
+}
+ProAct.Tracer = P.TR = Tracer;
+
+ProAct.Tracer.prototype = {
+
+  /**
+   * Reference to the constructor of this object.
+   *
+   * @memberof ProAct.Tracer
+   * @instance
+   * @constant
+   * @default ProAct.Tracer
+   */
+  constructor: ProAct.Tracer,
+
+  /**
+   * Starts tracing the runs of the passed flow.
+   *
+   * @memberof ProAct.Tracer
+   * @instance
+   * @method enable
+   * @param {ProAct.Flow} flow
+   *      The flow to trace. The default is {@link ProAct.flow}.
+   * @return {ProAct.Tracer}
+   *      <i>this</i>
+   */
+  enable: function (flow) {
+    this.disable();
+
+    this.flow = flow || P.flow;
+    this.flow.tracer = this;
+
+    return this;
+  },
+
+  /**
+   * Stops tracing. The recorded runs are kept.
+   *
+   * @memberof ProAct.Tracer
+   * @instance
+   * @method disable
+   * @return {ProAct.Tracer}
+   *      <i>this</i>
+   */
+  disable: function () {
+    if (this.flow && this.flow.tracer === this) {
+      this.flow.tracer = null;
+    }
+    this.flow = null;
+
+    return this;
+  },
+
+  /**
+   * Removes all the recorded runs.
+   *
+   * @memberof ProAct.Tracer
+   * @instance
+   * @method clear
+   * @return {ProAct.Tracer}
+   *      <i>this</i>
+   */
+  clear: function () {
+    this.runs = [];
+
+    return this;
+  },
+
+  /**
+   * Returns the causal tree of the last finished flow run.
+   *
+   * @memberof ProAct.Tracer
+   * @instance
+   * @method last
+   * @return {Object}
+   *      Object with the root nodes of the run in its <i>roots</i> field or null if nothing is recorded.
+   */
+  last: function () {
+    return this.runs.length ? this.runs[this.runs.length - 1] : null;
+  },
+
+  /**
+   * Explains the last update of the passed actor.
+   * <pre>
+   *  ProAct.trace.why(obj.p('b'));
+   *  ProAct.trace.why(obj, 'b');
+   * </pre>
+   *
+   * @memberof ProAct.Tracer
+   * @instance
+   * @method why
+   * @param {Object} actor
+   *      The {@link ProAct.Actor} or a ProAct.js object, which property is passed as the second argument.
+   * @param {String} property
+   *      Optional name of a property of the <i>actor</i>.
+   * @return {Array}
+   *      The nodes from the root of the causal tree to the last update of the <i>actor</i>
+   *      or null if it was not updated in the recorded runs.
+   */
+  why: function (actor, property) {
+    var runs = this.runs, node = null, i, result = [];
+
+    if (actor && actor.__pro__) {
+      actor = property !== undefined ? actor.__pro__.properties[property] : actor.__pro__;
+    }
+
+    for (i = runs.length - 1; i >= 0 && !node; i--) {
+      node = this.find(runs[i].roots, actor);
+    }
+
+    while (node) {
+      result.unshift(node);
+      node = node.cause;
+    }
+
+    return result.length ? result : null;
+  },
+
+  /**
+   * Called by the flow, when it starts a new, not nested, run.
+   *
+   * @memberof ProAct.Tracer
+   * @instance
+   * @method begin
+   * @see {@link ProAct.Flow#start}
+   */
+  begin: function () {
+    this.run = {
+      roots: []
+    };
+
+    this.stack = [];
+    this.pending = [];
+    this.events = [];
+  },
+
+  /**
+   * Called by the flow, when its not nested run ends. Stores the tree of the run.
+   *
+   * @memberof ProAct.Tracer
+   * @instance
+   * @method end
+   * @see {@link ProAct.Flow#stop}
+   */
+  end: function () {
+    if (this.run) {
+      this.runs.push(this.run);
+      if (this.runs.length > this.limit) {
+        this.runs.shift();
+      }
+    }
+
+    this.run = null;
+    this.stack = [];
+    this.pending = [];
+    this.events = [];
+  },
+
+  /**
+   * Called by the {@link ProAct.Actor}s, when they notify their listeners.
+   * <p>
+   *  If no action is being executed, a node is added for the update. If the <i>source</i> is an event of this run,
+   *  the update is propagated and the node is a child of the source's node, otherwise it is a new root.
+   * </p>
+   * <p>
+   *  If the update is made by an action of another actor, or by a plain listener - for example the one updating
+   *  a {@link ProAct.Array} derived by {@link ProAct.Array#map}, the node is a child of the action's node.
+   * </p>
+   *
+   * @memberof ProAct.Tracer
+   * @instance
+   * @method update
+   * @param {ProAct.Actor} actor
+   *      The updated actor.
+   * @param {Object} source
+   *      The source of the update.
+   * @param {Object} event
+   *      The event, the listeners of the <i>actor</i> will be notified with.
+   * @see {@link ProAct.Actor#willUpdate}
+   */
+  update: function (actor, source, event) {
+    var cause = this.stack.length ? this.current() : null, index;
+
+    if (!this.run) {
+      this.begin();
+    }
+
+    if (!cause) {
+      index = (source !== undefined && source !== null) ? this.events.lastIndexOf(source) : -1;
+      cause = this.node(index !== -1 ? this.events[index + 1] : null, actor, event, null, null);
+    } else if (cause.actor !== actor) {
+      cause = this.node(cause, actor, event, null, null);
+    }
+
+    this.events.push(event, cause);
+  },
+
+  /**
+   * Called by the {@link ProAct.Queue}s, when an action is pushed. Remembers the cause of the action.
+   *
+   * @memberof ProAct.Tracer
+   * @instance
+   * @method push
+   * @param {Object} context
+   *      The context of the action.
+   * @param {Function} action
+   *      The action.
+   * @param {Array} args
+   *      The arguments of the action.
+   * @see {@link ProAct.Queue#push}
+   */
+  push: function (context, action, args) {
+    var index = args && args.length ? this.events.lastIndexOf(args[0]) : -1,
+        cause = this.stack.length || index === -1 ? this.current() : this.events[index + 1];
+
+    this.pending.push([context, action, args, cause]);
+  },
+
+  /**
+   * Called by {@link ProAct.Queue.runAction} before executing an action. Adds a node for the action.
+   *
+   * @memberof ProAct.Tracer
+   * @instance
+   * @method enter
+   * @param {ProAct.Queue} queue
+   *      The queue executing the action.
+   * @param {Object} context
+   *      The context of the action.
+   * @param {Function} action
+   *      The action.
+   * @param {Array} args
+   *      The arguments of the action.
+   * @see {@link ProAct.Tracer#exit}
+   */
+  enter: function (queue, context, action, args) {
+    var pending = this.pending, cause = null,
+        listener = (context && context.call === action) ? context : action,
+        actor = listener.property || listener.stream || null,
+        i, node;
+
+    if (!actor && listener instanceof P.Actor) {
+      actor = listener;
+    }
+
+    for (i = pending.length - 1; i >= 0; i--) {
+      if (pending[i][0] === context && pending[i][1] === action && pending[i][2] === args) {
+        cause = pending[i][3];
+        pending.splice(i, 1);
+        break;
+      }
+    }
+
+    node = this.node(cause || this.current(), actor, args && args[0], listener, queue.name);
+    this.stack.push(node);
+  },
+
+  /**
+   * Called by {@link ProAct.Queue.runAction} after executing an action.
+   *
+   * @memberof ProAct.Tracer
+   * @instance
+   * @method exit
+   * @see {@link ProAct.Tracer#enter}
+   */
+  exit: function () {
+    this.stack.pop();
+  },
+
+  // private
+  current: function () {
+    var roots;
+
+    if (this.stack.length) {
+      return this.stack[this.stack.length - 1];
+    }
+
+    if (!this.run) {
+      this.begin();
+    }
+
+    roots = this.run.roots;
+    return roots.length ? roots[roots.length - 1] : null;
+  },
+
+  // private
+  node: function (cause, actor, event, listener, queue) {
+    var node = {
+      setter: cause ? cause.setter : actor,
+      actor: actor,
+      event: event,
+      listener: listener,
+      queue: queue,
+      children: []
+    };
+
+    P.U.defValProp(node, 'cause', false, false, false, cause);
+
+    if (cause) {
+      cause.children.push(node);
+    } else {
+      this.run.roots.push(node);
+    }
+
+    return node;
+  },
+
+  // private
+  find: function (nodes, actor) {
+    var i, result;
+
+    for (i = nodes.length - 1; i >= 0; i--) {
+      result = this.find(nodes[i].children, actor) || (nodes[i].actor === actor ? nodes[i] : null);
+
+      if (result) {
+        return result;
+      }
+    }
+
+    return null;
+  }
+};
+
+/**
+ * The default {@link ProAct.Tracer}. It is disabled by default, {@link ProAct.Tracer#enable} attaches it to the
+ * {@link ProAct.flow}.
+ * <pre>
+ *  ProAct.trace.enable();
+ *  obj.a = 5;
+ *
+ *  ProAct.trace.last(); // {roots: [...]}
+ *  ProAct.trace.why(obj, 'b'); // why 'b' was recomputed
+ * </pre>
+ *
+ * @type ProAct.Tracer
+ * @memberof ProAct
+ * @static
+ */
+ProAct.trace = new P.TR();
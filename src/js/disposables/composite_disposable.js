@@ -0,0 +1,144 @@
+/**
+ * <p>
+ *  Constructs a ProAct.CompositeDisposable - a group of {@link ProAct.Disposable}s, that are disposed together.
+ * </p>
+ * <p>
+ *  It can also collect the subscriptions made while a function runs, using {@link ProAct.CompositeDisposable#collect}.
+ *  This way the listeners attached by the {@link ProAct.DSL} or by the {@link ProAct.Registry}, which are not
+ *  accessible to the caller, can be detached too.
+ * </p>
+ * <pre>
+ *  var subscriptions = new ProAct.CompositeDisposable();
+ *
+ *  subscriptions.add(stream.subscribe(render));
+ *  subscriptions.collect(function () {
+ *    ProAct.registry.make('s:clicks', '@($1)', onClick);
+ *  });
+ *
+ *  subscriptions.dispose(); // all the listeners are detached
+ * </pre>
+ * <p>
+ *  ProAct.CompositeDisposable is part of the core module of ProAct.js.
+ * </p>
+ *
+ * @class ProAct.CompositeDisposable
+ * @extends ProAct.Disposable
+ * @param [...]
+ *      Optional initial {@link ProAct.Disposable}s.
+ * @see {@link ProAct.Disposable}
+ * @see {@link ProAct.currentDisposable}
+ */
+function CompositeDisposable () {
+  P.DP.call(this, null);
+
+  this.disposables = slice.call(arguments, 0);
+}
+ProAct.CompositeDisposable = P.CD = CompositeDisposable;
+
+ProAct.CompositeDisposable.prototype = P.U.ex(Object.create(P.DP.prototype), {
+
+  /**
+   * Reference to the constructor of this object.
+   *
+   * @memberof ProAct.CompositeDisposable
+   * @instance
+   * @constant
+   * @default ProAct.CompositeDisposable
+   */
+  constructor: ProAct.CompositeDisposable,
+
+  /**
+   * Adds a {@link ProAct.Disposable} to <i>this</i>.
+   * <p>
+   *  If <i>this</i> is already disposed, the passed <i>disposable</i> is disposed immediately.
+   * </p>
+   *
+   * @memberof ProAct.CompositeDisposable
+   * @instance
+   * @method add
+   * @param {ProAct.Disposable} disposable
+   *      The disposable to add.
+   * @return {ProAct.CompositeDisposable}
+   *      <i>this</i>
+   */
+  add: function (disposable) {
+    if (this.isDisposed) {
+      disposable.dispose();
+    } else {
+      this.disposables.push(disposable);
+    }
+
+    return this;
+  },
+
+  /**
+   * Removes a {@link ProAct.Disposable} from <i>this</i> without disposing it.
+   *
+   * @memberof ProAct.CompositeDisposable
+   * @instance
+   * @method remove
+   * @param {ProAct.Disposable} disposable
+   *      The disposable to remove.
+   * @return {ProAct.CompositeDisposable}
+   *      <i>this</i>
+   */
+  remove: function (disposable) {
+    P.U.remove(this.disposables, disposable);
+
+    return this;
+  },
+
+  /**
+   * Calls the passed function and adds to <i>this</i> all the subscriptions made by
+   * {@link ProAct.Actor#subscribe} while it runs.
+   * <p>
+   *  This includes the listeners added by the {@link ProAct.DSL} and the ones actors, created in the function,
+   *  attach to their sources with {@link ProAct.Actor#into}, so disposing <i>this</i> detaches them from the actors,
+   *  that live longer. The internal listeners, attached with {@link ProAct.Actor#on}, for example the ones of
+   *  the auto-computed properties, are not collected.
+   * </p>
+   *
+   * @memberof ProAct.CompositeDisposable
+   * @instance
+   * @method collect
+   * @param {Function} fun
+   *      The function to call.
+   * @param {Object} context
+   *      Value to use as <i>this</i> when calling <i>fun</i>.
+   * @return {Object}
+   *      The result of <i>fun</i>.
+   * @see {@link ProAct.currentDisposable}
+   */
+  collect: function (fun, context) {
+    var oldDisposable = P.currentDisposable;
+
+    P.currentDisposable = this;
+    try {
+      return fun.call(context);
+    } finally {
+      P.currentDisposable = oldDisposable;
+    }
+  },
+
+  /**
+   * Disposes all the {@link ProAct.Disposable}s of <i>this</i>, in the order they were added.
+   *
+   * @memberof ProAct.CompositeDisposable
+   * @instance
+   * @method dispose
+   */
+  dispose: function () {
+    var disposables = this.disposables, i, ln = disposables.length;
+
+    if (this.isDisposed) {
+      return;
+    }
+
+    this.isDisposed = true;
+    this.disposables = [];
+
+    for (i = 0; i < ln; i++) {
+      disposables[i].dispose();
+    }
+  }
+});
@@ -0,0 +1,67 @@
+/**
+ * <p>
+ *  Constructs a ProAct.Disposable - a handle to something, that can be torn down, like a subscription.
+ * </p>
+ * <p>
+ *  The handles are returned by {@link ProAct.Actor#subscribe}, so the subscriptions can be cancelled
+ *  without keeping references to the listeners.
+ * </p>
+ * <pre>
+ *  var subscription = stream.subscribe(function (val) {
+ *    console.log(val);
+ *  });
+ *
+ *  subscription.dispose(); // the listener is detached from the stream
+ * </pre>
+ * <p>
+ *  ProAct.Disposable is part of the core module of ProAct.js.
+ * </p>
+ *
+ * @class ProAct.Disposable
+ * @param {Function} action
+ *      The tear down logic. It is called only once - on the first call of {@link ProAct.Disposable#dispose}.
+ * @see {@link ProAct.CompositeDisposable}
+ */
+function Disposable (action) {
+  this.action = action;
+  this.isDisposed = false;
+}
+ProAct.Disposable = P.DP = Disposable;
+
+ProAct.Disposable.prototype = {
+
+  /**
+   * Reference to the constructor of this object.
+   *
+   * @memberof ProAct.Disposable
+   * @instance
+   * @constant
+   * @default ProAct.Disposable
+   */
+  constructor: ProAct.Disposable,
+
+  /**
+   * Tears down the resource, the handle is for.
+   * <p>
+   *  Calling this method more than once does nothing.
+   * </p>
+   *
+   * @memberof ProAct.Disposable
+   * @instance
+   * @method dispose
+   */
+  dispose: function () {
+    var action = this.action;
+
+    if (this.isDisposed) {
+      return;
+    }
+
+    this.isDisposed = true;
+    this.action = null;
+
+    if (action) {
+      action();
+    }
+  }
+};
@@ -198,5 +198,32 @@ ProAct.Event.Types = {
    * @static
    * @constant
    */
-  error: 3
+  error: 3,
+
+  /**
+   * Keys type events. Events for adding fields to or deleting fields from ProAct.js objects.
+   * <p>
+   *  The args consist of the operation - 'add' or 'delete', the name of the field, its old value and its new value.
+   * </p>
+   *
+   * @type Number
+   * @static
+   * @constant
+   * @see {@link ProAct.ObjectCore#set}
+   * @see {@link ProAct.ObjectCore#remove}
+   */
+  keys: 4,
+
+  /**
+   * Collection type events. Events for changes in {@link ProAct.Map} and {@link ProAct.Set}.
+   * <p>
+   *  The args consist of operation, key, old value, new value.
+   * </p>
+   *
+   * @type Number
+   * @static
+   * @constant
+   * @see {@link ProAct.Map.Operations}
+   */
+  collection: 5
 };
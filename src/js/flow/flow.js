@@ -15,6 +15,10 @@
  *  It can be used for other purposes too, for example to run rendering in a rendering queue, after all of the property updates.
  * </p>
  * <p>
+ *  If a {@link ProAct.Tracer} is set as the <i>tracer</i> of the flow, using {@link ProAct.Tracer#enable},
+ *  every run of the flow is recorded as a causal tree of the executed actions.
+ * </p>
+ * <p>
  *  ProAct.Flow, {@link ProAct.Queues} and {@link ProAct.Queue} together form the ActionFlow module of ProAct.
  * </p>
  *
@@ -32,6 +36,22 @@
  *      <li>stop - A callback that will be called every time when the action flow ends.</li>
  *      <li>err - A callback that will be called if an error is thrown in the action flow.</li>
  *      <li>flowInstance - Options object for the current flow instance. The flow instances are @{link ProAct.Queues}es.</li>
+ *      <li>
+ *        topological - If true, the flow instances are in <i>topological</i> mode - the property updates are executed
+ *        in the order of the dependencies between the properties, so every dependent property is computed only once
+ *        per change, after all of its dependencies. For more information see {@link ProAct.Queue.rank}.
+ *        For the {@link ProAct.flow} the ranks are computed only while it is in this mode, so it should be
+ *        turned on before the actors are connected.
+ *      </li>
+ *      <li>
+ *        maxIterations - The maximum number of passes the queues of the flow instances make over the actions,
+ *        pushed by the executed ones. For more information see {@link ProAct.Queue}.
+ *      </li>
+ *      <li>
+ *        cycleLimit - The number of repeating passes, after which the actions of the flow instances are considered
+ *        to be in a cycle. The error, naming the actors of the cycle, is passed to the <i>err</i> callback of
+ *        the queues. For more information see {@link ProAct.Queue}.
+ *      </li>
  *    </ul>
  * @see {@link ProAct.Queues}
  * @see {@link ProAct.Queue}
@@ -46,6 +66,12 @@ ProAct.Flow = P.F = function (queueNames, options) {
 
   this.pauseMode = false;
 
+  this.batches = 0;
+  this.batched = 0;
+  this.transactions = [];
+
+  this.tracer = null;
+
   P.U.defValProp(this, 'closingQueue', false, false, false, new ProAct.Queue('closing'));
 };
 
@@ -73,6 +99,13 @@ P.F.prototype = {
    *  it is called with the new flow instance.
    * </p>
    * <p>
+   *  If it is called in a running {@link ProAct.Flow#batch}, no new flow instance is created -
+   *  the actions are defered in the instance of the batch.
+   * </p>
+   * <p>
+   *  If <i>this</i> has a <i>tracer</i> and there is no running instance, a new traced run begins.
+   * </p>
+   * <p>
    *  ProAct.Flow.begin is alias of this method.
    * </p>
    *
@@ -84,13 +117,37 @@ P.F.prototype = {
     var queues = this.flowInstance,
         options = this.options,
         start = options && options.start,
-        queueNames = this.queueNames;
+        queueNames = this.queueNames,
+        flowInstanceOptions = options.flowInstance;
+
+    if (queues && this.batches) {
+      this.batched += 1;
+      return;
+    }
 
     if (queues) {
       this.flowInstances.push(queues);
+    } else if (this.tracer) {
+      this.tracer.begin();
+    }
+
+    if (options.topological) {
+      flowInstanceOptions = P.U.ex({topological: true}, flowInstanceOptions);
+    }
+
+    if (this.tracer) {
+      flowInstanceOptions = P.U.ex({tracer: this.tracer}, flowInstanceOptions);
+    }
+
+    if (options.maxIterations) {
+      flowInstanceOptions = P.U.ex({maxIterations: options.maxIterations}, flowInstanceOptions);
+    }
+
+    if (options.cycleLimit) {
+      flowInstanceOptions = P.U.ex({cycleLimit: options.cycleLimit}, flowInstanceOptions);
     }
 
-    this.flowInstance = new P.Queues(queueNames, options.flowInstance);
+    this.flowInstance = new P.Queues(queueNames, flowInstanceOptions);
 
     if (start) {
       start(this.flowInstance);
@@ -149,6 +206,13 @@ P.F.prototype = {
    *  it is called with the flushed instance.
    * </p>
    * <p>
+   *  If the matching {@link ProAct.Flow#start} call was made in a running {@link ProAct.Flow#batch},
+   *  nothing is flushed - the actions are executed when the batch ends.
+   * </p>
+   * <p>
+   *  If <i>this</i> has a <i>tracer</i> and the stopped instance was not nested, the traced run ends.
+   * </p>
+   * <p>
    *  When the flow is started you put actions in order or with priority,
    *  and if you want to execute them and stop it, you call this method.
    * </p>
@@ -166,6 +230,11 @@ P.F.prototype = {
         stop = options && options.stop,
         nextQueues;
 
+    if (this.batched) {
+      this.batched -= 1;
+      return;
+    }
+
     if (queues) {
       try {
         queues.go();
@@ -181,6 +250,10 @@ P.F.prototype = {
           stop(queues);
         }
         this.closingQueue.go();
+
+        if (!this.flowInstance && this.tracer) {
+          this.tracer.end();
+        }
       }
     }
   },
@@ -330,16 +403,18 @@ P.F.prototype = {
    *      </p>
    * @param {Array} args
    *      Arguments to be passed to the action when it is executed.
+   * @param {Number} level
+   *      Optional order level of the action. The actions with lower levels are executed first.
    * @see {@link ProAct.Queues#push}
    * @see {@link ProAct.Flow#isPaused}
    * @throws {Error} <i>Not in running flow!</i>, if there is no action flow instance.
    */
-  push: function (queueName, context, action, args) {
+  push: function (queueName, context, action, args, level) {
     if (!this.flowInstance) {
       throw new Error('Not in running flow!');
     }
     if (!this.isPaused()) {
-      this.flowInstance.push(queueName, context, action, args);
+      this.flowInstance.push(queueName, context, action, args, level);
     }
   },
 
@@ -380,21 +455,188 @@ P.F.prototype = {
    *      </p>
    * @param {Array} args
    *      Arguments to be passed to the action when it is executed.
+   * @param {Number} level
+   *      Optional order level of the action. The actions with lower levels are executed first.
    * @see {@link ProAct.Queues#pushOnce}
    * @see {@link ProAct.Flow#isPaused}
    * @throws {Error} <i>Not in running flow!</i>, if there is no action flow instance.
    */
-  pushOnce: function (queueName, context, action, args) {
+  pushOnce: function (queueName, context, action, args, level) {
     if (!this.flowInstance) {
       throw new Error('Not in running flow!');
     }
     if (!this.isPaused()) {
-      this.flowInstance.pushOnce(queueName, context, action, args);
+      this.flowInstance.pushOnce(queueName, context, action, args, level);
     }
   },
 
   pushClose: function (context, action, args) {
     this.closingQueue.pushOnce(context, action, args);
+  },
+
+  /**
+   * Starts the action flow, executes the passed callback, in the passed context,
+   * and then stops the action flow, like {@link ProAct.Flow#run}.
+   * <p>
+   *  The difference is that while the <i>callback</i> is executing, the nested {@link ProAct.Flow#start}
+   *  and {@link ProAct.Flow#stop} calls, for example by {@link ProAct.Flow#run} or by other batches,
+   *  don't create new flow instances and don't execute the pushed actions.
+   *  All the actions are executed once, when the outermost batch ends.
+   * </p>
+   * <p>
+   *  Errors thrown by the <i>callback</i> are not passed to the <i>err</i> callback of the flow, they are rethrown,
+   *  after the pushed actions are executed.
+   * </p>
+   *
+   * @memberof ProAct.Flow
+   * @instance
+   * @method batch
+   * @param {Object} context
+   *      The value of <i>this</i> bound to the <i>callback</i> when it is executed. Can be skipped.
+   * @param {Function} callback
+   *      The callback to execute in the batch.
+   * @return {Object}
+   *      The result of the <i>callback</i>.
+   * @see {@link ProAct.batch}
+   * @see {@link ProAct.Flow#transaction}
+   */
+  batch: function (context, callback) {
+    if (!callback) {
+      callback = context;
+      context = null;
+    }
+
+    this.start();
+    this.batches += 1;
+
+    try {
+      return callback.call(context);
+    } finally {
+      this.batches -= 1;
+      this.stop();
+    }
+  },
+
+  /**
+   * Executes the passed callback in a {@link ProAct.Flow#batch}, remembering the values of all the properties
+   * and the elements of all the arrays it changes.
+   * <p>
+   *  If the <i>callback</i> throws an error, the values of the changed properties and the elements of the changed arrays
+   *  are restored,
+   *  the actions pushed by the <i>callback</i> are discarded and the error is rethrown.
+   * </p>
+   * <p>
+   *  If a transaction, nested in another batch fails, only the properties changed in it are restored.
+   *  The actions, pushed before it are executed at the end of the outer batch, using the restored values.
+   * </p>
+   *
+   * @memberof ProAct.Flow
+   * @instance
+   * @method transaction
+   * @param {Object} context
+   *      The value of <i>this</i> bound to the <i>callback</i> when it is executed. Can be skipped.
+   * @param {Function} callback
+   *      The callback to execute in the transaction.
+   * @return {Object}
+   *      The result of the <i>callback</i>.
+   * @see {@link ProAct.transaction}
+   * @see {@link ProAct.Flow#touch}
+   */
+  transaction: function (context, callback) {
+    if (!callback) {
+      callback = context;
+      context = null;
+    }
+
+    var flow = this,
+        changes = [];
+
+    return this.batch(function () {
+      var state = flow.flowInstance.state();
+      flow.transactions.push(changes);
+
+      try {
+        return callback.call(context);
+      } catch (e) {
+        flow.rollback(changes, state);
+        throw e;
+      } finally {
+        P.U.remove(flow.transactions, changes);
+      }
+    });
+  },
+
+  /**
+   * Remembers the current value of the passed <i>property</i> in all the running transactions,
+   * if it is not remembered already.
+   * <p>
+   *  Should be called by the properties before their values are changed and by the {@link ProAct.Array}s
+   *  before their elements are changed, passing their {@link ProAct.ArrayCore}s.
+   * </p>
+   *
+   * @memberof ProAct.Flow
+   * @instance
+   * @method touch
+   * @param {ProAct.Property|ProAct.ArrayCore} property
+   *      The property, which value will be changed or the core of the array, which elements will be changed.
+   * @see {@link ProAct.Flow#transaction}
+   */
+  touch: function (property) {
+    var transactions = this.transactions,
+        i, ln = transactions.length;
+
+    for (i = 0; i < ln; i++) {
+      if (!this.touched(transactions[i], property)) {
+        transactions[i].push(this.change(property));
+      }
+    }
+  },
+
+  // private
+  change: function (property) {
+    if (property instanceof P.AC) {
+      return {
+        property: property,
+        elements: property.shell._array.slice()
+      };
+    }
+
+    return {
+      property: property,
+      val: property.val,
+      oldVal: property.oldVal
+    };
+  },
+
+  // private
+  touched: function (changes, property) {
+    var i, ln = changes.length;
+
+    for (i = 0; i < ln; i++) {
+      if (changes[i].property === property) {
+        return true;
+      }
+    }
+
+    return false;
+  },
+
+  // private
+  rollback: function (changes, state) {
+    var i, change;
+
+    for (i = changes.length - 1; i >= 0; i--) {
+      change = changes[i];
+
+      if (change.elements) {
+        change.property.restoreElements(change.elements);
+      } else {
+        change.property.val = change.val;
+        change.property.oldVal = change.oldVal;
+      }
+    }
+
+    this.flowInstance.restore(state);
   }
 };
 
@@ -436,6 +678,44 @@ ProAct.flow = new ProAct.Flow(['proq'], {
   }
 });
 
+/**
+ * Executes the passed <i>callback</i> in a batch of the {@link ProAct.flow}.
+ * All the listeners are executed once, after the outermost batch ends.
+ *
+ * @memberof ProAct
+ * @static
+ * @function batch
+ * @param {Object} context
+ *      The value of <i>this</i> bound to the <i>callback</i> when it is executed. Can be skipped.
+ * @param {Function} callback
+ *      The callback to execute in the batch.
+ * @return {Object}
+ *      The result of the <i>callback</i>.
+ * @see {@link ProAct.Flow#batch}
+ */
+ProAct.batch = function (context, callback) {
+  return P.flow.batch(context, callback);
+};
+
+/**
+ * Executes the passed <i>callback</i> in a transaction of the {@link ProAct.flow}.
+ * If the <i>callback</i> throws, the values of all the properties it changed are restored.
+ *
+ * @memberof ProAct
+ * @static
+ * @function transaction
+ * @param {Object} context
+ *      The value of <i>this</i> bound to the <i>callback</i> when it is executed. Can be skipped.
+ * @param {Function} callback
+ *      The callback to execute in the transaction.
+ * @return {Object}
+ *      The result of the <i>callback</i>.
+ * @see {@link ProAct.Flow#transaction}
+ */
+ProAct.transaction = function (context, callback) {
+  return P.flow.transaction(context, callback);
+};
+
 P.F.prototype.begin = P.F.prototype.start;
 P.F.prototype.end = P.F.prototype.stop;
 P.F.prototype.defer = P.F.prototype.enque = P.F.prototype.add = P.F.prototype.push;
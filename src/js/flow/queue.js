@@ -16,9 +16,20 @@
  *  order, using their priorities.
  * </p>
  * <p>
+ *  Every action can also be pushed with an order level. All the actions with numerically lower level
+ *  are executed before the ones with higher level, whatever their priorities are. The default level is 0.
+ * </p>
+ * <p>
  *  A ProAct.Queue can be used to setup the action flow - the order of the actions must be executed.
  *  ProAct.js uses it to create an action flow if something changes.
  * </p>
+ * <p>
+ *  Actions, that keep pushing each other, for example two properties updating one another, can not loop forever.
+ *  If there are too many passes over the pushed actions or the passes start repeating - the same actions are
+ *  pushed again with the same arguments, the queue is cleared and a descriptive error, naming the actors
+ *  of the cycle, is passed to the <i>err</i> callback.
+ *  If there is no <i>err</i> callback, the error is thrown.
+ * </p>
  *
  * TODO Default name should be extracted to a constant. ~meddle@2014-07-10
  *
@@ -33,6 +44,19 @@
  *      <li>before - A callback called before each call of {@link ProAct.Queue#go}.</li>
  *      <li>after - A callback called after each call of {@link ProAct.Queue#go}.</li>
  *      <li>err - A callback called every time an error is thrown.</li>
+ *      <li>
+ *        topological - If true, the actions are executed in the order of the ranks of their properties,
+ *        instead of using the priorities. See {@link ProAct.Queue.rank}.
+ *      </li>
+ *      <li>tracer - A {@link ProAct.Tracer} notified for every pushed and executed action.</li>
+ *      <li>
+ *        maxIterations - The maximum number of passes {@link ProAct.Queue#go} makes over the actions pushed by
+ *        the executed ones. The default is {@link ProAct.Queue.maxIterations}.
+ *      </li>
+ *      <li>
+ *        cycleLimit - The number of passes, repeating earlier ones, after which the actions are considered to be
+ *        in a cycle. The default is {@link ProAct.Queue.cycleLimit}.
+ *      </li>
  *    </ul>
  * @see {@link ProAct.Queues}
  */
@@ -41,8 +65,45 @@ ProAct.Queue = P.Q = function (name, options) {
   this.options = options || {};
 
   this._queue = [];
+
+  this.reset();
 };
 
+/**
+ * The default maximum number of passes a {@link ProAct.Queue} makes over the actions, pushed by the executed ones.
+ * In <i>topological</i> mode, it is the maximum number of re-executed actions.
+ *
+ * @memberof ProAct.Queue
+ * @static
+ * @type Number
+ * @default 1000
+ */
+ProAct.Queue.maxIterations = 1000;
+
+/**
+ * The default number of passes, repeating earlier ones, after which the actions of a {@link ProAct.Queue}
+ * are considered to be in a cycle. A pass repeats an earlier one if it has the same actions with the same arguments.
+ * In <i>topological</i> mode, it is the number of times an action can be re-executed with the same arguments.
+ *
+ * @memberof ProAct.Queue
+ * @static
+ * @type Number
+ * @default 100
+ */
+ProAct.Queue.cycleLimit = 100;
+
+/**
+ * The actor, notifying its listeners at the moment.
+ * The {@link ProAct.Queue}s record it with the actions pushed while it is set, to describe them in their error messages.
+ * It is set by {@link ProAct.Actor#willUpdate}.
+ *
+ * @memberof ProAct.Queue
+ * @static
+ * @type ProAct.Actor
+ * @default null
+ */
+ProAct.Queue.notifier = null;
+
 /**
  * Executes the passed <i>action</i>.
  *
@@ -71,6 +132,40 @@ ProAct.Queue = P.Q = function (name, options) {
  *      </p>
  */
 ProAct.Queue.runAction = function (queue, context, action, args, errHandler) {
+  var tracer = queue.options && queue.options.tracer;
+
+  if (tracer) {
+    tracer.enter(queue, context, action, args);
+
+    try {
+      P.Q.callAction(queue, context, action, args, errHandler);
+    } finally {
+      tracer.exit();
+    }
+  } else {
+    P.Q.callAction(queue, context, action, args, errHandler);
+  }
+};
+
+/**
+ * Calls the passed <i>action</i>, passing the errors it throws to the <i>errHandler</i>.
+ * Used by {@link ProAct.Queue.runAction}, which parameters are the same.
+ *
+ * @function callAction
+ * @memberof ProAct.Queue
+ * @static
+ * @param {ProAct.Queue} queue
+ *      The queue managing the action to execute.
+ * @param {Object} context
+ *      The context in which the action should be executed.
+ * @param {Function} action
+ *      The action to execute.
+ * @param {Array} args
+ *      The parameters to be passed to the action.
+ * @param {Function} errHandler
+ *      It is called if an error is thrown when executing the action.
+ */
+ProAct.Queue.callAction = function (queue, context, action, args, errHandler) {
   if (args && args.length > 0) {
     if (errHandler) {
       try {
@@ -104,6 +199,97 @@ ProAct.Queue.runAction = function (queue, context, action, args, errHandler) {
   }
 };
 
+/**
+ * Describes an action by the actor, it updates, for the error messages of the {@link ProAct.Queue}s.
+ * <p>
+ *  The plain listeners are described by the actor, that notified them, if it is known, otherwise by their names.
+ *  The notifications of the {@link ProAct.Core}s are not described - they are part of the updates of their properties.
+ * </p>
+ *
+ * @function label
+ * @memberof ProAct.Queue
+ * @static
+ * @param {Object} context
+ *      The context of the action.
+ * @param {Function} action
+ *      The action.
+ * @param {Array} args
+ *      The arguments of the action.
+ * @param {ProAct.Actor} notifier
+ *      The actor, that pushed the action, if it is known. See {@link ProAct.Queue.notifier}.
+ * @param {Array} streams
+ *      Optional list of the streams, described so far. If it is passed, the streams are numbered by their
+ *      position in it and the new ones are added to it.
+ * @return {String}
+ *      The description, for example <i>property 'a'</i>, <i>stream #1</i> or the name of the action.
+ *      Null for the notifications of the cores.
+ */
+ProAct.Queue.label = function (context, action, args, notifier, streams) {
+  var actor = (context && context.property) || (action && action.stream) || context,
+      event = args && args[0];
+
+  if (notifier && !(actor instanceof P.Actor) && !(notifier instanceof P.C)) {
+    actor = notifier;
+  }
+
+  if (actor instanceof P.P) {
+    return 'property \'' + actor.property + '\'';
+  }
+
+  if (actor instanceof P.S) {
+    if (!streams) {
+      return 'stream';
+    }
+
+    if (streams.indexOf(actor) === -1) {
+      streams.push(actor);
+    }
+
+    return 'stream #' + (streams.indexOf(actor) + 1);
+  }
+
+  if (actor instanceof P.C) {
+    return null;
+  }
+
+  if (event instanceof P.VE && event.target !== undefined) {
+    return 'property \'' + event.target + '\'';
+  }
+
+  return (action && action.name) || 'listener';
+};
+
+/**
+ * Computes the rank of an action, pushed with the passed <i>context</i>.
+ * <p>
+ *  The actions of the listeners of properties and streams have the rank of their actor - its depth in the dependency graph.
+ *  That way every actor is updated after all the actors it depends on.
+ * </p>
+ * <p>
+ *  All the other actions are executed after the updates of the actors.
+ * </p>
+ *
+ * @function rank
+ * @memberof ProAct.Queue
+ * @static
+ * @param {Object} context
+ *      The context of the action.
+ * @param {Function} action
+ *      The action.
+ * @return {Number}
+ *      The rank of the action.
+ * @see {@link ProAct.Actor.raiseRank}
+ */
+ProAct.Queue.rank = function (context, action) {
+  var actor = (context && context.property) || (action && action.stream);
+
+  if (actor) {
+    return actor.rank || 0;
+  }
+
+  return Infinity;
+};
+
 P.Q.prototype = {
 
   /**
@@ -127,7 +313,7 @@ P.Q.prototype = {
    *      The number of actions queued in this queue.
    */
   length: function () {
-    return this._queue.length / 4;
+    return this._queue.length / 6;
   },
 
   /**
@@ -143,6 +329,76 @@ P.Q.prototype = {
     return this.length() === 0;
   },
 
+  /**
+   * Removes all the actions queued in this ProAct.Queue, without executing them.
+   *
+   * @memberof ProAct.Queue
+   * @instance
+   * @method clear
+   */
+  clear: function () {
+    this._queue = [];
+  },
+
+  /**
+   * Returns a copy of the actions queued in this ProAct.Queue, which can be passed to {@link ProAct.Queue#restore}.
+   *
+   * @memberof ProAct.Queue
+   * @instance
+   * @method state
+   * @return {Array}
+   *      The queued actions.
+   */
+  state: function () {
+    return this._queue.slice();
+  },
+
+  /**
+   * Replaces the actions queued in this ProAct.Queue with the ones, returned by {@link ProAct.Queue#state}.
+   * The actions queued after the state was taken are discarded.
+   *
+   * @memberof ProAct.Queue
+   * @instance
+   * @method restore
+   * @param {Array} state
+   *      The queued actions to restore.
+   */
+  restore: function (state) {
+    this._queue = state.slice();
+  },
+
+  /**
+   * Resets the counters of the passes of <i>this</i>, used to detect cycles and runaway action flows.
+   * <p>
+   *  It is called when {@link ProAct.Queue#go} executes all the actions. The owners of queues,
+   *  that are executed with the <i>once</i> argument of {@link ProAct.Queue#go}, should call it
+   *  before every run, as {@link ProAct.Queues#go} does.
+   * </p>
+   * <p>
+   *  The counters can be shared by several queues, executed in one run - then the passes of all of them
+   *  are counted together and the cycles going through more than one of them are detected too.
+   *  If a cycle is detected, all the queues, sharing the counters, are cleared.
+   * </p>
+   *
+   * @memberof ProAct.Queue
+   * @instance
+   * @method reset
+   * @param {Object} guard
+   *      Optional counters to share, with the queues to share them in its <i>queues</i> field.
+   *      The counters are reset.
+   */
+  reset: function (guard) {
+    guard = guard || {
+      queues: [this]
+    };
+
+    guard.iterations = 0;
+    guard.repeats = 0;
+    guard.passes = [];
+
+    this._guard = guard;
+  },
+
   /**
    * Pushes an action to this queue.
    * This method can enque the same action multiple times and always with priority of '1'.
@@ -168,15 +424,22 @@ P.Q.prototype = {
    *      </p>
    * @param {Array} args
    *      Arguments to be passed to the action when it is executed.
+   * @param {Number} level
+   *      The order level of the action. The actions with lower levels are executed first. Defaults to 0.
    */
-  push: function (context, action, args) {
+  push: function (context, action, args, level) {
     if (context && P.U.isFunction(context)) {
+      level = args;
       args = action;
       action = context;
       context = null;
     }
 
-    this._queue.push(context, action, args, 1);
+    if (this.options.tracer) {
+      this.options.tracer.push(context, action, args);
+    }
+
+    this._queue.push(context, action, args, 1, level || 0, P.Q.notifier);
   },
 
   /**
@@ -208,10 +471,13 @@ P.Q.prototype = {
    *      </p>
    * @param {Array} args
    *      Arguments to be passed to the action when it is executed.
+   * @param {Number} level
+   *      The order level of the action. If the action is already in the queue, its level is updated.
    * @see {@link ProAct.Queue#push}
    */
-  pushOnce: function (context, action, args) {
+  pushOnce: function (context, action, args, level) {
     if (context && P.U.isFunction(context)) {
+      level = args;
       args = action;
       action = context;
       context = null;
@@ -220,18 +486,24 @@ P.Q.prototype = {
     var queue = this._queue, current, currentMethod,
         i, length = queue.length;
 
-    for (i = 0; i < length; i += 4) {
+    for (i = 0; i < length; i += 6) {
       current = queue[i];
       currentMethod = queue[i + 1];
 
       if (current === context && currentMethod === action) {
         queue[i + 2] = args;
         queue[i + 3] = queue[i + 3] + 1;
+        queue[i + 4] = level || 0;
+        queue[i + 5] = P.Q.notifier;
+
+        if (this.options.tracer) {
+          this.options.tracer.push(context, action, args);
+        }
         return;
       }
     }
 
-    this.push(context, action, args);
+    this.push(context, action, args, level);
   },
 
   /**
@@ -239,12 +511,23 @@ P.Q.prototype = {
    * <p>
    *  Executes the actions in this queue in the order they were enqued, but also uses the priorities
    *  to execute these with numerically higher priority after these with numerically lower priority.
+   *  The actions are executed level by level - the priorities order the actions with the same level.
    * </p>
    * <p>
    *  If some of the actions enques new actions in this queue and the parameter <i>once</i> is set to false
    *  this method is recursively called executing the new actions.
    * </p>
    * <p>
+   *  If the queue is in <i>topological</i> mode, the actions are executed in the order of their ranks,
+   *  including the actions enqued by the executed ones.
+   *  Actions pushed again after being executed are re-executed, again in the order of their ranks.
+   *  The levels of the actions are still respected - the ranks order the actions with the same level.
+   * </p>
+   * <p>
+   *  If the passes are more than the <i>maxIterations</i> option or they repeat more than the <i>cycleLimit</i>
+   *  option times, <i>this</i> is cleared and an error is passed to the <i>err</i> callback.
+   * </p>
+   * <p>
    *  ProAct.Queue#run is alias of this method.
    * </p>
    *
@@ -259,51 +542,338 @@ P.Q.prototype = {
   go: function (once) {
     var queue = this._queue,
         options = this.options,
-        runs = this.runs,
         length = queue.length,
         before = options && options.before,
         after = options && options.after,
         err = options && options.err,
-        i, l = length, going = true, priority = 1,
-        tl = l,
-        obj, method, args, prio;
+        levels = [], i;
+
+    if (length && !this.guard(length)) {
+      if (!once) {
+        this.reset();
+      }
+      return;
+    }
 
     if (length && before) {
       before(this);
     }
 
+    if (options && options.topological) {
+      this.goRanked(err);
+      length = queue.length;
+    } else {
+      for (i = 0; i < length; i += 6) {
+        if (levels.indexOf(queue[i + 4]) === -1) {
+          levels.push(queue[i + 4]);
+        }
+      }
+
+      levels.sort(function (a, b) {
+        return a - b;
+      });
+
+      for (i = 0; i < levels.length; i++) {
+        this.goLevel(levels[i], length, err);
+      }
+    }
+
+    if (length && after) {
+      after(this);
+    }
+
+    if (queue.length > length) {
+      this._queue = queue.slice(length);
+
+      if (!once) {
+        this.go();
+      }
+    } else {
+      this._queue.length = 0;
+
+      if (!once) {
+        this.reset();
+      }
+    }
+  },
+
+  // private
+  guard: function (length) {
+    var queue = this._queue,
+        guard = this._guard,
+        maxIterations = this.options.maxIterations || P.Q.maxIterations,
+        cycleLimit = this.options.cycleLimit || P.Q.cycleLimit,
+        pass = {queue: this, actions: []}, cycle = null, i;
+
+    for (i = 0; i < length; i += 6) {
+      pass.actions.push(queue[i], queue[i + 1], queue[i + 2], queue[i + 5]);
+    }
+
+    guard.iterations += 1;
+    if (guard.iterations > maxIterations) {
+      return this.abort(this.iterationsMessage(maxIterations, pass));
+    }
+
+    for (i = guard.passes.length - 1; i >= 0 && !cycle; i--) {
+      if (this.samePass(guard.passes[i], pass)) {
+        cycle = guard.passes.slice(i);
+      }
+    }
+    guard.passes.push(pass);
+
+    if (cycle) {
+      guard.repeats += 1;
+
+      if (guard.repeats > cycleLimit) {
+        return this.abort(this.cycleMessage(cycle));
+      }
+    }
+
+    return true;
+  },
+
+  // private
+  samePass: function (pass1, pass2) {
+    var actions1 = pass1.actions, actions2 = pass2.actions,
+        i, ln = actions1.length;
+
+    if (pass1.queue !== pass2.queue || ln !== actions2.length) {
+      return false;
+    }
+
+    for (i = 0; i < ln; i += 4) {
+      if (actions1[i] !== actions2[i] || actions1[i + 1] !== actions2[i + 1] ||
+          !this.sameArgs(actions1[i + 2], actions2[i + 2])) {
+        return false;
+      }
+    }
+
+    return true;
+  },
+
+  // private
+  sameArgs: function (args1, args2) {
+    var arg1, arg2, i, ln;
+
+    if (args1 === args2) {
+      return true;
+    }
+
+    if (!args1 || !args2 || args1.length !== args2.length) {
+      return false;
+    }
+
+    for (i = 0, ln = args1.length; i < ln; i++) {
+      arg1 = args1[i];
+      arg2 = args2[i];
+
+      if (arg1 !== arg2 && !this.sameEvent(arg1, arg2)) {
+        return false;
+      }
+    }
+
+    return true;
+  },
+
+  // private
+  sameEvent: function (event1, event2) {
+    return event1 instanceof P.E && event2 instanceof P.E &&
+           event1.type === event2.type && event1.target === event2.target &&
+           this.sameArgs(event1.args, event2.args);
+  },
+
+  // private
+  indexOfArgs: function (history, args) {
+    var i;
+
+    for (i = 0; i < history.length; i++) {
+      if (this.sameArgs(history[i], args)) {
+        return i;
+      }
+    }
+
+    return -1;
+  },
+
+  // private
+  iterationsMessage: function (maxIterations, pass) {
+    return 'The \'' + this.name + '\' queue exceeded ' + maxIterations +
+           ' iterations, the actions keep pushing new actions: ' + this.labels([pass]).join(', ');
+  },
+
+  // private
+  cycleMessage: function (passes) {
+    var labels = this.labels(passes),
+        names = [], i;
+
+    for (i = 0; i < passes.length; i++) {
+      if (names.indexOf(passes[i].queue.name) === -1) {
+        names.push(passes[i].queue.name);
+      }
+    }
+
+    if (labels.length === 1 || labels[labels.length - 1] !== labels[0]) {
+      labels.push(labels[0]);
+    }
+
+    return 'Cycle detected in the \'' + names.join('\', \'') + '\' ' +
+           (names.length > 1 ? 'queues' : 'queue') + ': ' + labels.join(' -> ');
+  },
+
+  // private
+  labels: function (passes) {
+    var labels = [], actions = [], streams = [],
+        pass, label, i, j;
+
+    for (i = 0; i < passes.length; i++) {
+      pass = passes[i].actions;
+
+      for (j = 0; j < pass.length; j += 4) {
+        if (this.indexOfAction(actions, pass[j], pass[j + 1]) !== -1) {
+          continue;
+        }
+
+        actions.push(pass[j], pass[j + 1]);
+        label = P.Q.label(pass[j], pass[j + 1], pass[j + 2], pass[j + 3], streams);
+
+        if (label && label !== labels[labels.length - 1]) {
+          labels.push(label);
+        }
+      }
+    }
+
+    return labels;
+  },
+
+  // private
+  indexOfAction: function (actions, context, action) {
+    var i, ln = actions.length;
+
+    for (i = 0; i < ln; i += 2) {
+      if (actions[i] === context && actions[i + 1] === action) {
+        return i;
+      }
+    }
+
+    return -1;
+  },
+
+  // private
+  abort: function (message) {
+    var err = this.options.err,
+        error = new Error(message),
+        queues = this._guard.queues, i;
+
+    for (i = 0; i < queues.length; i++) {
+      queues[i].clear();
+    }
+
+    if (!err) {
+      this.reset();
+      throw error;
+    }
+
+    err(this, error);
+
+    return false;
+  },
+
+  // private
+  goLevel: function (level, length, err) {
+    var queue = this._queue,
+        i, l, going = true, priority = 1,
+        tl = length,
+        prio;
+
     while (going) {
       going = false;
       l = tl;
-      for (i = 0; i < l; i += 4) {
-        obj = queue[i];
-        method = queue[i + 1];
-        args = queue[i + 2];
+      for (i = 0; i < l; i += 6) {
+        if (queue[i + 4] !== level) {
+          continue;
+        }
+
         prio = queue[i + 3];
 
         if (prio === priority) {
-          P.Q.runAction(this, obj, method, args, err);
+          P.Q.runAction(this, queue[i], queue[i + 1], queue[i + 2], err);
         } else if (prio > priority) {
           going = true;
-          tl = i + 4;
+          tl = i + 6;
         }
       }
       priority = priority + 1;
     }
+  },
 
-    if (length && after) {
-      after(this);
+  // private
+  goRanked: function (err) {
+    var queue = this._queue,
+        executed = [], history = [], repeats = [], order = [],
+        i, ln, rank, level, next, nextRank, nextLevel;
+
+    while (true) {
+      next = -1;
+
+      for (i = 0, ln = queue.length; i < ln; i += 6) {
+        if (executed[i] === queue[i + 3]) {
+          continue;
+        }
+
+        rank = P.Q.rank(queue[i], queue[i + 1]);
+        level = queue[i + 4];
+        if (next === -1 || level < nextLevel || (level === nextLevel && rank < nextRank)) {
+          next = i;
+          nextRank = rank;
+          nextLevel = level;
+        }
+      }
+
+      if (next === -1) {
+        return;
+      }
+
+      if (executed[next] !== undefined) {
+        if (this.indexOfArgs(history[next], queue[next + 2]) !== -1) {
+          repeats[next] = (repeats[next] || 0) + 1;
+        }
+
+        if (!this.guardRanked(next, repeats[next] || 0, order)) {
+          return;
+        }
+      }
+
+      executed[next] = queue[next + 3];
+      history[next] = history[next] || [];
+      history[next].push(queue[next + 2]);
+      order.push(next);
+      P.Q.runAction(this, queue[next], queue[next + 1], queue[next + 2], err);
     }
+  },
 
-    if (queue.length > length) {
-      this._queue = queue.slice(length);
+  // private
+  guardRanked: function (index, repeats, order) {
+    var queue = this._queue,
+        maxIterations = this.options.maxIterations || P.Q.maxIterations,
+        cycleLimit = this.options.cycleLimit || P.Q.cycleLimit,
+        cycle = {queue: this, actions: []}, i, j;
 
-      if (!once) {
-        this.go();
+    this._guard.iterations += 1;
+    if (this._guard.iterations > maxIterations) {
+      cycle.actions.push(queue[index], queue[index + 1], queue[index + 2], queue[index + 5]);
+      return this.abort(this.iterationsMessage(maxIterations, cycle));
+    }
+
+    if (repeats > cycleLimit) {
+      for (i = order.lastIndexOf(index); i < order.length; i++) {
+        j = order[i];
+        cycle.actions.push(queue[j], queue[j + 1], queue[j + 2], queue[j + 5]);
       }
-    } else {
-      this._queue.length = 0;
+
+      return this.abort(this.cycleMessage([cycle]));
     }
+
+    return true;
   }
 };
 
@@ -31,6 +31,10 @@
  *    <p>Available options:</p>
  *    <ul>
  *      <li>queue - An options object containing options to be passed to all the sub-queues. For more information see {@link ProAct.Queue}.</li>
+ *      <li>topological - If true, all the sub-queues are in <i>topological</i> mode. For more information see {@link ProAct.Queue}.</li>
+ *      <li>tracer - A {@link ProAct.Tracer}, passed to all the sub-queues. For more information see {@link ProAct.Queue}.</li>
+ *      <li>maxIterations - The maximum number of passes of every sub-queue. For more information see {@link ProAct.Queue}.</li>
+ *      <li>cycleLimit - The cycle detection limit of all the sub-queues. For more information see {@link ProAct.Queue}.</li>
  *    </ul>
  * @see {@link ProAct.Queue}
  * @see {@link ProAct.Flow}
@@ -45,9 +49,27 @@ ProAct.Queues = P.QQ = function (queueNames, options) {
 
   this._queues = {};
 
-  var i, ln = this.queueNames.length;
+  var i, ln = this.queueNames.length,
+      queueOptions = this.options.queue;
+
+  if (this.options.topological) {
+    queueOptions = P.U.ex({topological: true}, queueOptions);
+  }
+
+  if (this.options.tracer) {
+    queueOptions = P.U.ex({tracer: this.options.tracer}, queueOptions);
+  }
+
+  if (this.options.maxIterations) {
+    queueOptions = P.U.ex({maxIterations: this.options.maxIterations}, queueOptions);
+  }
+
+  if (this.options.cycleLimit) {
+    queueOptions = P.U.ex({cycleLimit: this.options.cycleLimit}, queueOptions);
+  }
+
   for (i = 0; i < ln; i++) {
-    this._queues[this.queueNames[i]] = new P.Q(this.queueNames[i], this.options.queue);
+    this._queues[this.queueNames[i]] = new P.Q(this.queueNames[i], queueOptions);
   }
 };
 
@@ -91,6 +113,72 @@ P.QQ.prototype = {
     return true;
   },
 
+  /**
+   * Removes all the actions queued in the sub-queues of this ProAct.Queues, without executing them.
+   *
+   * @memberof ProAct.Queues
+   * @instance
+   * @method clear
+   * @see {@link ProAct.Queue#clear}
+   */
+  clear: function () {
+    var queues = this._queues,
+        names = this.queueNames,
+        length = names.length,
+        i;
+
+    for (i = 0; i < length; i++) {
+      queues[names[i]].clear();
+    }
+  },
+
+  /**
+   * Returns a copy of the actions queued in the sub-queues of this ProAct.Queues,
+   * which can be passed to {@link ProAct.Queues#restore}.
+   *
+   * @memberof ProAct.Queues
+   * @instance
+   * @method state
+   * @return {Object}
+   *      The queued actions by the names of the sub-queues.
+   * @see {@link ProAct.Queue#state}
+   */
+  state: function () {
+    var queues = this._queues,
+        names = this.queueNames,
+        length = names.length,
+        state = {},
+        i;
+
+    for (i = 0; i < length; i++) {
+      state[names[i]] = queues[names[i]].state();
+    }
+
+    return state;
+  },
+
+  /**
+   * Replaces the actions queued in the sub-queues of this ProAct.Queues with the ones,
+   * returned by {@link ProAct.Queues#state}.
+   *
+   * @memberof ProAct.Queues
+   * @instance
+   * @method restore
+   * @param {Object} state
+   *      The queued actions by the names of the sub-queues.
+   * @see {@link ProAct.Queue#restore}
+   */
+  restore: function (state) {
+    var queues = this._queues,
+        names = this.queueNames,
+        length = names.length,
+        i;
+
+    for (i = 0; i < length; i++) {
+      queues[names[i]].restore(state[names[i]]);
+    }
+  },
+
   /**
    * Pushes an action to a sub-queue.
    * This method can enque the same action multiple times and always with priority of '1'.
@@ -122,10 +210,13 @@ P.QQ.prototype = {
    *      </p>
    * @param {Array} args
    *      Arguments to be passed to the action when it is executed.
+   * @param {Number} level
+   *      Optional order level of the action. The actions with lower levels are executed first.
    * @see {@link ProAct.Queue#push}
    */
-  push: function (queueName, context, action, args) {
+  push: function (queueName, context, action, args, level) {
     if (queueName && !P.U.isString(queueName)) {
+      level = args;
       args = action;
       action = context;
       context = queueName;
@@ -137,7 +228,7 @@ P.QQ.prototype = {
 
     var queue = this._queues[queueName];
     if (queue) {
-      queue.push(context, action, args);
+      queue.push(context, action, args, level);
     }
   },
 
@@ -176,10 +267,13 @@ P.QQ.prototype = {
    *      </p>
    * @param {Array} args
    *      Arguments to be passed to the action when it is executed.
+   * @param {Number} level
+   *      Optional order level of the action. The actions with lower levels are executed first.
    * @see {@link ProAct.Queue#pushOnce}
    */
-  pushOnce: function (queueName, context, action, args) {
+  pushOnce: function (queueName, context, action, args, level) {
     if (queueName && !P.U.isString(queueName)) {
+      level = args;
       args = action;
       action = context;
       context = queueName;
@@ -191,7 +285,7 @@ P.QQ.prototype = {
 
     var queue = this._queues[queueName];
     if (queue) {
-      queue.pushOnce(context, action, args);
+      queue.pushOnce(context, action, args, level);
     }
   },
 
@@ -206,6 +300,11 @@ P.QQ.prototype = {
    *  to the second queue again and then continues through all the queues.
    * </p>
    * <p>
+   *  The sub-queues are reset in the beginning with shared counters, so their passes are counted together
+   *  for the whole run, including the returns to the previous queues, and the cycles going through several
+   *  sub-queues are detected too. See {@link ProAct.Queue#reset}.
+   * </p>
+   * <p>
    *  ProAct.Queues#run and ProAct.Queues#flush are aliases of this method.
    * </p>
    *
@@ -223,7 +322,10 @@ P.QQ.prototype = {
         names = this.queueNames,
         i, length = this.queueNames.length,
         currentQueueName, currentQueue,
-        prevQueueIndex;
+        prevQueueIndex,
+        guard = {
+          queues: []
+        };
 
     if (queueName) {
       for (i = 0; i < length; i++) {
@@ -233,6 +335,14 @@ P.QQ.prototype = {
       }
     }
 
+    for (i = 0; i < length; i++) {
+      guard.queues.push(queues[names[i]]);
+    }
+
+    for (i = 0; i < length; i++) {
+      queues[names[i]].reset(guard);
+    }
+
     goloop:
     while (currentQueueIndex < length) {
       currentQueueName = names[currentQueueIndex];
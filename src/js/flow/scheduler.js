@@ -0,0 +1,340 @@
+/**
+ * <p>
+ *  Constructs a ProAct.Scheduler. The scheduler is the source of time for the timed parts
+ *  of ProAct.js, for example the {@link ProAct.DelayedStream}, the {@link ProAct.ThrottlingStream}
+ *  and the {@link ProAct.DebouncingStream}.
+ * </p>
+ * <p>
+ *  The default scheduler just delegates to the <i>setTimeout</i>/<i>setInterval</i> functions
+ *  of the environment, so the actions are executed in real time.
+ * </p>
+ * <p>
+ *  ProAct.Scheduler is part of the ActionFlow module of ProAct.
+ * </p>
+ *
+ * @class ProAct.Scheduler
+ * @see {@link ProAct.VirtualScheduler}
+ * @see {@link ProAct.scheduler}
+ */
+ProAct.Scheduler = P.SC = function () {
+};
+
+P.SC.prototype = {
+
+  /**
+   * Reference to the constructor of this object.
+   *
+   * @memberof ProAct.Scheduler
+   * @instance
+   * @constant
+   * @type {Object}
+   * @default ProAct.Scheduler
+   */
+  constructor: ProAct.Scheduler,
+
+  /**
+   * Retrieves the current time of this ProAct.Scheduler in milliseconds.
+   *
+   * @memberof ProAct.Scheduler
+   * @instance
+   * @method now
+   * @return {Number}
+   *      The current time.
+   */
+  now: function () {
+    return new Date().getTime();
+  },
+
+  /**
+   * Schedules the passed <i>action</i> to be executed once, after <i>delay</i> milliseconds.
+   *
+   * @memberof ProAct.Scheduler
+   * @instance
+   * @method setTimeout
+   * @param {Function} action
+   *      The action to execute.
+   * @param {Number} delay
+   *      The delay in milliseconds.
+   * @return {Object}
+   *      An identifier, which can be passed to {@link ProAct.Scheduler#clearTimeout}.
+   */
+  setTimeout: function (action, delay) {
+    return setTimeout(action, delay);
+  },
+
+  /**
+   * Cancels an action scheduled with {@link ProAct.Scheduler#setTimeout}.
+   *
+   * @memberof ProAct.Scheduler
+   * @instance
+   * @method clearTimeout
+   * @param {Object} id
+   *      The identifier of the scheduled action.
+   */
+  clearTimeout: function (id) {
+    clearTimeout(id);
+  },
+
+  /**
+   * Schedules the passed <i>action</i> to be executed every <i>delay</i> milliseconds.
+   *
+   * @memberof ProAct.Scheduler
+   * @instance
+   * @method setInterval
+   * @param {Function} action
+   *      The action to execute.
+   * @param {Number} delay
+   *      The interval in milliseconds.
+   * @return {Object}
+   *      An identifier, which can be passed to {@link ProAct.Scheduler#clearInterval}.
+   */
+  setInterval: function (action, delay) {
+    return setInterval(action, delay);
+  },
+
+  /**
+   * Cancels an action scheduled with {@link ProAct.Scheduler#setInterval}.
+   *
+   * @memberof ProAct.Scheduler
+   * @instance
+   * @method clearInterval
+   * @param {Object} id
+   *      The identifier of the scheduled action.
+   */
+  clearInterval: function (id) {
+    clearInterval(id);
+  }
+};
+
+/**
+ * <p>
+ *  Constructs a ProAct.VirtualScheduler. The virtual scheduler has its own clock, which moves
+ *  only when {@link ProAct.VirtualScheduler#advanceBy} or {@link ProAct.VirtualScheduler#advanceTo}
+ *  is called.
+ * </p>
+ * <p>
+ *  All the actions scheduled to the moment the clock is moved to are executed synchronously,
+ *  in the order of their time.
+ *  Actions for the same time are executed in the order they were scheduled.
+ *  That way the timed streams can be tested exactly, without depending on the wall-clock time.
+ * </p>
+ * <pre>
+ *  var scheduler = new ProAct.VirtualScheduler(),
+ *      stream = new ProAct.Stream().delay(100);
+ *
+ *  stream.setScheduler(scheduler);
+ *  stream.trigger('a');
+ *
+ *  scheduler.advanceBy(100); // 'a' is emitted
+ * </pre>
+ * <p>
+ *  ProAct.VirtualScheduler is part of the ActionFlow module of ProAct.
+ * </p>
+ *
+ * @class ProAct.VirtualScheduler
+ * @extends ProAct.Scheduler
+ * @param {Number} time
+ *      The initial time of the clock of the scheduler. By default it is 0.
+ * @see {@link ProAct.Scheduler}
+ */
+ProAct.VirtualScheduler = P.VSC = function (time) {
+  P.SC.call(this);
+
+  this.time = time || 0;
+  this.tasks = [];
+  this.lastId = 0;
+};
+
+P.VSC.prototype = P.U.ex(Object.create(P.SC.prototype), {
+
+  /**
+   * Reference to the constructor of this object.
+   *
+   * @memberof ProAct.VirtualScheduler
+   * @instance
+   * @constant
+   * @type {Object}
+   * @default ProAct.VirtualScheduler
+   */
+  constructor: ProAct.VirtualScheduler,
+
+  /**
+   * Retrieves the current virtual time of this ProAct.VirtualScheduler.
+   *
+   * @memberof ProAct.VirtualScheduler
+   * @instance
+   * @method now
+   * @return {Number}
+   *      The current virtual time.
+   */
+  now: function () {
+    return this.time;
+  },
+
+  /**
+   * Schedules the passed <i>action</i> to be executed once, when the virtual clock
+   * reaches the current time plus <i>delay</i>.
+   *
+   * @memberof ProAct.VirtualScheduler
+   * @instance
+   * @method setTimeout
+   * @param {Function} action
+   *      The action to execute.
+   * @param {Number} delay
+   *      The delay in milliseconds.
+   * @return {Number}
+   *      An identifier, which can be passed to {@link ProAct.VirtualScheduler#clearTimeout}.
+   */
+  setTimeout: function (action, delay) {
+    return this.schedule(action, delay, 0);
+  },
+
+  /**
+   * Cancels an action scheduled with {@link ProAct.VirtualScheduler#setTimeout}.
+   *
+   * @memberof ProAct.VirtualScheduler
+   * @instance
+   * @method clearTimeout
+   * @param {Number} id
+   *      The identifier of the scheduled action.
+   */
+  clearTimeout: function (id) {
+    this.cancel(id);
+  },
+
+  /**
+   * Schedules the passed <i>action</i> to be executed every <i>delay</i> milliseconds
+   * of virtual time.
+   *
+   * @memberof ProAct.VirtualScheduler
+   * @instance
+   * @method setInterval
+   * @param {Function} action
+   *      The action to execute.
+   * @param {Number} delay
+   *      The interval in milliseconds.
+   * @return {Number}
+   *      An identifier, which can be passed to {@link ProAct.VirtualScheduler#clearInterval}.
+   */
+  setInterval: function (action, delay) {
+    return this.schedule(action, delay, Math.max(delay, 1));
+  },
+
+  /**
+   * Cancels an action scheduled with {@link ProAct.VirtualScheduler#setInterval}.
+   *
+   * @memberof ProAct.VirtualScheduler
+   * @instance
+   * @method clearInterval
+   * @param {Number} id
+   *      The identifier of the scheduled action.
+   */
+  clearInterval: function (id) {
+    this.cancel(id);
+  },
+
+  /**
+   * Moves the virtual clock of this scheduler to the passed <i>time</i>,
+   * executing all the actions scheduled until this moment.
+   * <p>
+   *  If the passed <i>time</i> is in the past, only the actions that are due are executed
+   *  and the clock is not moved back.
+   * </p>
+   *
+   * @memberof ProAct.VirtualScheduler
+   * @instance
+   * @method advanceTo
+   * @param {Number} time
+   *      The virtual time to move to.
+   * @return {ProAct.VirtualScheduler}
+   *      <i>this</i>
+   * @see {@link ProAct.VirtualScheduler#advanceBy}
+   */
+  advanceTo: function (time) {
+    var task;
+
+    while (this.tasks.length && this.tasks[0].time <= time) {
+      task = this.tasks.shift();
+      this.time = task.time;
+
+      if (task.interval) {
+        task.time += task.interval;
+        this.insert(task);
+      }
+
+      task.action.call(null);
+    }
+
+    if (time > this.time) {
+      this.time = time;
+    }
+
+    return this;
+  },
+
+  /**
+   * Moves the virtual clock of this scheduler with the passed number of milliseconds,
+   * executing all the actions scheduled until the new moment.
+   *
+   * @memberof ProAct.VirtualScheduler
+   * @instance
+   * @method advanceBy
+   * @param {Number} ms
+   *      The number of milliseconds to move the clock with.
+   * @return {ProAct.VirtualScheduler}
+   *      <i>this</i>
+   * @see {@link ProAct.VirtualScheduler#advanceTo}
+   */
+  advanceBy: function (ms) {
+    return this.advanceTo(this.time + ms);
+  },
+
+  // private
+  schedule: function (action, delay, interval) {
+    this.lastId += 1;
+    this.insert({
+      id: this.lastId,
+      time: this.time + (delay || 0),
+      interval: interval,
+      action: action
+    });
+
+    return this.lastId;
+  },
+
+  // private
+  insert: function (task) {
+    var i = 0, ln = this.tasks.length;
+
+    while (i < ln && this.tasks[i].time <= task.time) {
+      i++;
+    }
+
+    this.tasks.splice(i, 0, task);
+  },
+
+  // private
+  cancel: function (id) {
+    var i, ln = this.tasks.length;
+
+    for (i = 0; i < ln; i++) {
+      if (this.tasks[i].id === id) {
+        this.tasks.splice(i, 1);
+        return;
+      }
+    }
+  }
+});
+
+/**
+ * The {@link ProAct.Scheduler} instance used by the timed streams of ProAct.js by default.
+ * <p>
+ *  Override it with a {@link ProAct.VirtualScheduler} to control the time, for example in tests.
+ *  The timed streams use the scheduler set at the moment of their creation.
+ * </p>
+ *
+ * @type ProAct.Scheduler
+ * @memberof ProAct
+ * @static
+ */
+ProAct.scheduler = new ProAct.Scheduler();
@@ -0,0 +1,396 @@
+/**
+ * <p>
+ *  Constructs a ProAct.History. The history records the changes of a ProAct.js object and can undo and redo them.
+ * </p>
+ * <p>
+ *  It attaches to all the properties of the object, except the auto-computed ones, because they are recomputed
+ *  when their dependencies are undone. The objects of the {@link ProAct.ObjectProperty}s and the {@link ProAct.Array}s
+ *  of the {@link ProAct.ArrayProperty}s are attached too, so changes deep in the object and array operations are recorded.
+ * </p>
+ * <p>
+ *  The changes are recorded in groups. All the changes, that happen in one run of the {@link ProAct.flow} are in one group,
+ *  so they are undone and redone together. To group many changes use {@link ProAct.batch}.
+ * </p>
+ * <pre>
+ *  var obj = ProAct.prob({name: 'John', tags: ['a']}),
+ *      history = new ProAct.History(obj);
+ *
+ *  obj.name = 'Jane';
+ *  obj.tags.push('b');
+ *
+ *  history.undo(); // obj.tags is ['a']
+ *  history.undo(); // obj.name is 'John'
+ *  history.redo(); // obj.name is 'Jane'
+ * </pre>
+ * <p>
+ *  ProAct.History is part of the objects module of ProAct.js.
+ * </p>
+ *
+ * @class ProAct.History
+ * @param {Object} object
+ *      The ProAct.js object or {@link ProAct.Array} to record the changes of. If it is a plain object, it is turned into a ProAct.js object.
+ * @param {Object} options
+ *      Options for the history.
+ *      <p>Available options:</p>
+ *      <ul>
+ *        <li>limit - The maximum number of groups of changes that can be undone. By default there is no limit.</li>
+ *      </ul>
+ * @see {@link ProAct.batch}
+ */
+function History (object, options) {
+  this.options = options || {};
+  this.limit = this.options.limit || Infinity;
+
+  this.undoStack = [];
+  this.redoStack = [];
+  this.group = null;
+  this.entries = [];
+
+  if (!P.U.isProArray(object) && !object.__pro__) {
+    object = P.prob(object);
+  }
+  this.object = object;
+
+  this.attach(object, null);
+}
+ProAct.History = P.H = History;
+
+ProAct.History.prototype = {
+
+  /**
+   * Reference to the constructor of this object.
+   *
+   * @memberof ProAct.History
+   * @instance
+   * @constant
+   * @type {Object}
+   * @default ProAct.History
+   */
+  constructor: ProAct.History,
+
+  /**
+   * Checks if there are changes, that can be undone.
+   *
+   * @memberof ProAct.History
+   * @instance
+   * @method canUndo
+   * @return {Boolean}
+   *      True if {@link ProAct.History#undo} will undo something.
+   */
+  canUndo: function () {
+    return this.undoStack.length > 0;
+  },
+
+  /**
+   * Checks if there are undone changes, that can be redone.
+   *
+   * @memberof ProAct.History
+   * @instance
+   * @method canRedo
+   * @return {Boolean}
+   *      True if {@link ProAct.History#redo} will redo something.
+   */
+  canRedo: function () {
+    return this.redoStack.length > 0;
+  },
+
+  /**
+   * Undoes the last recorded group of changes.
+   * <p>
+   *  The changes are undone in one {@link ProAct.flow} run, in reverse order.
+   * </p>
+   *
+   * @memberof ProAct.History
+   * @instance
+   * @method undo
+   * @return {ProAct.History}
+   *      <i>this</i>
+   * @see {@link ProAct.History#redo}
+   */
+  undo: function () {
+    var group = this.undoStack.pop();
+
+    if (group) {
+      this.apply(group, true);
+      this.redoStack.push(group);
+    }
+
+    return this;
+  },
+
+  /**
+   * Redoes the last undone group of changes.
+   * <p>
+   *  Recording new changes after undoing clears the changes that can be redone.
+   * </p>
+   *
+   * @memberof ProAct.History
+   * @instance
+   * @method redo
+   * @return {ProAct.History}
+   *      <i>this</i>
+   * @see {@link ProAct.History#undo}
+   */
+  redo: function () {
+    var group = this.redoStack.pop();
+
+    if (group) {
+      this.apply(group, false);
+      this.undoStack.push(group);
+    }
+
+    return this;
+  },
+
+  /**
+   * Forgets all the recorded changes.
+   *
+   * @memberof ProAct.History
+   * @instance
+   * @method clear
+   * @return {ProAct.History}
+   *      <i>this</i>
+   */
+  clear: function () {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.group = null;
+
+    return this;
+  },
+
+  /**
+   * Stops recording the changes of the object of this history.
+   *
+   * @memberof ProAct.History
+   * @instance
+   * @method detach
+   * @return {ProAct.History}
+   *      <i>this</i>
+   */
+  detach: function () {
+    while (this.entries.length) {
+      this.untrack(this.entries[0]);
+    }
+
+    return this;
+  },
+
+  // private
+  attach: function (object, owner) {
+    var properties, property;
+
+    if (P.U.isProArray(object)) {
+      this.track(object.core, object, owner);
+      return;
+    }
+
+    if (!object || !object.__pro__) {
+      return;
+    }
+
+    properties = object.__pro__.properties;
+    for (property in properties) {
+      if (properties.hasOwnProperty(property)) {
+        this.trackProperty(properties[property], owner);
+      }
+    }
+  },
+
+  // private
+  trackProperty: function (property, owner) {
+    var type = property.type(), entry, value;
+
+    if (type === P.P.Types.auto || property instanceof P.PXP) {
+      return;
+    }
+
+    value = property.proObject[property.property];
+    entry = this.track(property, null, owner);
+
+    if (type === P.P.Types.object || type === P.P.Types.array) {
+      this.attach(value, entry);
+    }
+  },
+
+  // private
+  track: function (actor, array, owner) {
+    var self = this,
+        entry = {
+          actor: actor,
+          array: array,
+          owner: owner
+        };
+
+    entry.value = this.current(entry);
+    entry.listener = function () {
+      self.changed(entry);
+    };
+    actor.on(entry.listener);
+
+    this.entries.push(entry);
+
+    return entry;
+  },
+
+  // private
+  untrack: function (entry) {
+    var i;
+
+    entry.actor.off(entry.listener);
+    P.U.remove(this.entries, entry);
+
+    for (i = this.entries.length - 1; i >= 0; i--) {
+      if (this.entries[i] && this.entries[i].owner === entry) {
+        this.untrack(this.entries[i]);
+      }
+    }
+  },
+
+  // private
+  entry: function (actor) {
+    var i, ln = this.entries.length;
+
+    for (i = 0; i < ln; i++) {
+      if (this.entries[i].actor === actor) {
+        return this.entries[i];
+      }
+    }
+
+    return null;
+  },
+
+  // private
+  current: function (entry) {
+    if (entry.array) {
+      return slice.call(entry.array._array, 0);
+    }
+
+    return entry.actor.val;
+  },
+
+  // private
+  same: function (entry, value1, value2) {
+    var i, ln;
+
+    if (!entry.array) {
+      return value1 === value2;
+    }
+
+    if (value1.length !== value2.length) {
+      return false;
+    }
+
+    for (i = 0, ln = value1.length; i < ln; i++) {
+      if (value1[i] !== value2[i]) {
+        return false;
+      }
+    }
+
+    return true;
+  },
+
+  // private
+  changed: function (entry) {
+    var from = entry.value,
+        to = this.current(entry);
+
+    if (this.same(entry, from, to)) {
+      return;
+    }
+
+    this.replace(entry, to);
+    this.record({
+      actor: entry.actor,
+      array: entry.array,
+      from: from,
+      to: to
+    });
+  },
+
+  // private
+  replace: function (entry, value) {
+    var i, type;
+
+    entry.value = value;
+    if (entry.array) {
+      return;
+    }
+
+    type = entry.actor.type();
+    if (type !== P.P.Types.object && type !== P.P.Types.array) {
+      return;
+    }
+
+    for (i = this.entries.length - 1; i >= 0; i--) {
+      if (this.entries[i] && this.entries[i].owner === entry) {
+        this.untrack(this.entries[i]);
+      }
+    }
+
+    this.attach(value, entry);
+  },
+
+  // private
+  record: function (change) {
+    if (!this.group) {
+      this.group = [];
+      P.flow.pushClose(this, this.closeGroup);
+    }
+
+    this.group.push(change);
+  },
+
+  // private
+  closeGroup: function () {
+    var group = this.group;
+
+    this.group = null;
+    if (!group || !group.length) {
+      return;
+    }
+
+    this.undoStack.push(group);
+    this.redoStack = [];
+
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.splice(0, this.undoStack.length - this.limit);
+    }
+  },
+
+  // private
+  apply: function (group, undo) {
+    var self = this;
+
+    P.flow.run(function () {
+      var i, ln = group.length;
+
+      if (undo) {
+        for (i = ln - 1; i >= 0; i--) {
+          self.set(group[i], group[i].from);
+        }
+      } else {
+        for (i = 0; i < ln; i++) {
+          self.set(group[i], group[i].to);
+        }
+      }
+    });
+  },
+
+  // private
+  set: function (change, value) {
+    var entry = this.entry(change.actor),
+        array = change.array,
+        actor = change.actor;
+
+    if (entry) {
+      this.replace(entry, array ? slice.call(value, 0) : value);
+    }
+
+    if (array) {
+      array.splice.apply(array, [0, array.length].concat(value));
+    } else {
+      actor.proObject[actor.property] = value;
+    }
+  }
+};
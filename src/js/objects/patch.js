@@ -0,0 +1,621 @@
+function escapePathToken (token) {
+  return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function parsePath (path) {
+  var tokens, i, ln;
+
+  if (path === '') {
+    return [];
+  }
+
+  if (!P.U.isString(path) || path.charAt(0) !== '/') {
+    throw new Error('Invalid JSON Pointer : ' + path);
+  }
+
+  tokens = path.substring(1).split('/');
+  for (i = 0, ln = tokens.length; i < ln; i++) {
+    tokens[i] = tokens[i].replace(/~1/g, '/').replace(/~0/g, '~');
+  }
+
+  return tokens;
+}
+
+function isArrayLike (value) {
+  return P.U.isArray(value) || P.U.isProArray(value);
+}
+
+function sameJSON (value1, value2) {
+  var key, i, ln;
+
+  if (value1 === value2) {
+    return true;
+  }
+
+  if (isArrayLike(value1) || isArrayLike(value2)) {
+    if (!isArrayLike(value1) || !isArrayLike(value2) || value1.length !== value2.length) {
+      return false;
+    }
+
+    for (i = 0, ln = value1.length; i < ln; i++) {
+      if (!sameJSON(value1[i], value2[i])) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  if (!value1 || !value2 || !P.U.isObject(value1) || !P.U.isObject(value2)) {
+    return false;
+  }
+
+  for (key in value1) {
+    if (!value1.hasOwnProperty(key)) {
+      continue;
+    }
+
+    if (!value2.hasOwnProperty(key) || !sameJSON(value1[key], value2[key])) {
+      return false;
+    }
+  }
+
+  for (key in value2) {
+    if (value2.hasOwnProperty(key) && !value1.hasOwnProperty(key)) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+function patchIndex (array, token, adding) {
+  var index = token === '-' && adding ? array.length : Number(token);
+
+  if ((token !== '-' && !/^(0|[1-9][0-9]*)$/.test(token)) ||
+      index > array.length || (!adding && index === array.length)) {
+    throw new Error('Invalid array index : ' + token);
+  }
+
+  return index;
+}
+
+function patchParent (root, tokens) {
+  var parent = root, i, ln = tokens.length - 1;
+
+  if (ln < 0) {
+    throw new Error('The root can not be changed by a patch.');
+  }
+
+  for (i = 0; i < ln; i++) {
+    if (parent === null || !P.U.isObject(parent)) {
+      throw new Error('Invalid path : /' + tokens.join('/'));
+    }
+
+    if (isArrayLike(parent)) {
+      parent = parent[patchIndex(parent, tokens[i], false)];
+    } else if (parent.hasOwnProperty(tokens[i])) {
+      parent = parent[tokens[i]];
+    } else {
+      throw new Error('Invalid path : /' + tokens.join('/'));
+    }
+  }
+
+  if (parent === null || !P.U.isObject(parent)) {
+    throw new Error('Invalid path : /' + tokens.join('/'));
+  }
+
+  return parent;
+}
+
+function patchGet (root, tokens) {
+  var parent, key;
+
+  if (!tokens.length) {
+    return root;
+  }
+
+  parent = patchParent(root, tokens);
+  key = tokens[tokens.length - 1];
+
+  if (isArrayLike(parent)) {
+    return parent[patchIndex(parent, key, false)];
+  }
+
+  if (!parent.hasOwnProperty(key)) {
+    throw new Error('Invalid path : /' + tokens.join('/'));
+  }
+
+  return parent[key];
+}
+
+function patchAdd (root, tokens, value) {
+  var parent = patchParent(root, tokens),
+      key = tokens[tokens.length - 1];
+
+  if (isArrayLike(parent)) {
+    parent.splice(patchIndex(parent, key, true), 0, value);
+  } else if (parent.__pro__ && !parent.hasOwnProperty(key)) {
+    parent.__pro__.set(key, value);
+  } else {
+    parent[key] = value;
+  }
+}
+
+function patchRemove (root, tokens) {
+  var parent = patchParent(root, tokens),
+      key = tokens[tokens.length - 1];
+
+  if (isArrayLike(parent)) {
+    parent.splice(patchIndex(parent, key, false), 1);
+    return;
+  }
+
+  if (!parent.hasOwnProperty(key)) {
+    throw new Error('Invalid path : /' + tokens.join('/'));
+  }
+
+  if (parent.__pro__ && parent.__pro__.properties[key]) {
+    parent.__pro__.properties[key].destroy();
+  }
+  delete parent[key];
+}
+
+function patchReplace (root, tokens, value) {
+  var parent = patchParent(root, tokens),
+      key = tokens[tokens.length - 1];
+
+  if (isArrayLike(parent)) {
+    parent[patchIndex(parent, key, false)] = value;
+    return;
+  }
+
+  if (!parent.hasOwnProperty(key)) {
+    throw new Error('Invalid path : /' + tokens.join('/'));
+  }
+
+  parent[key] = value;
+}
+
+function applyOperation (root, operation) {
+  var tokens = parsePath(operation.path), value;
+
+  switch (operation.op) {
+    case 'add':
+      patchAdd(root, tokens, P.snapshotValue(operation.value, {}));
+      break;
+    case 'remove':
+      patchRemove(root, tokens);
+      break;
+    case 'replace':
+      patchReplace(root, tokens, P.snapshotValue(operation.value, {}));
+      break;
+    case 'move':
+      value = patchGet(root, parsePath(operation.from));
+      patchRemove(root, parsePath(operation.from));
+      patchAdd(root, tokens, value);
+      break;
+    case 'copy':
+      value = patchGet(root, parsePath(operation.from));
+      patchAdd(root, tokens, P.snapshotValue(value, {auto: true}));
+      break;
+    case 'test':
+      if (!sameJSON(P.snapshotValue(patchGet(root, tokens), {auto: true}), operation.value)) {
+        throw new Error('Test failed : ' + operation.path);
+      }
+      break;
+    default:
+      throw new Error('Invalid patch operation : ' + operation.op);
+  }
+}
+
+/**
+ * <p>
+ *  Constructs a ProAct.PatchListener. The patch listener listens for the changes of a ProAct.js object and
+ *  turns them into <a href="https://tools.ietf.org/html/rfc6902">JSON Patch</a> operations, that can be sent over the wire
+ *  and applied to another copy of the object with {@link ProAct.applyPatch}.
+ * </p>
+ * <p>
+ *  The {@link ProAct.ValueEvent}s of the properties become <i>replace</i> operations. The array events of the
+ *  {@link ProAct.Array}s become <i>add</i>, <i>remove</i>, <i>replace</i> and <i>move</i> operations, using the {@link ProAct.Array.Operations}
+ *  of the events. If the change can not be described by the operations, for example after <i>sort</i> or <i>reverse</i>,
+ *  the whole array is replaced.
+ * </p>
+ * <p>
+ *  The nested ProAct.js objects and {@link ProAct.Array}s are listened to too, and the paths of the operations point to the
+ *  changed values from the root object. The auto-computed properties are skipped.
+ * </p>
+ * <p>
+ *  All the operations of one run of the {@link ProAct.flow} are passed to the <i>callback</i> together, as one patch.
+ * </p>
+ * <pre>
+ *  var obj = ProAct.prob({name: 'John', tags: ['a']});
+ *
+ *  new ProAct.PatchListener(obj, function (patch) {
+ *    console.log(JSON.stringify(patch));
+ *  });
+ *
+ *  obj.name = 'Jane'; // [{"op":"replace","path":"/name","value":"Jane"}]
+ *  obj.tags.push('b'); // [{"op":"add","path":"/tags/1","value":"b"}]
+ * </pre>
+ * <p>
+ *  ProAct.PatchListener is part of the objects module of ProAct.js.
+ * </p>
+ *
+ * @class ProAct.PatchListener
+ * @param {Object} object
+ *      The ProAct.js object or {@link ProAct.Array} to listen to. If it is a plain object, it is turned into a ProAct.js object.
+ * @param {Function} callback
+ *      Called with the array of JSON Patch operations for every run of the {@link ProAct.flow}, that changed the object.
+ * @see {@link ProAct.applyPatch}
+ */
+function PatchListener (object, callback) {
+  this.callback = callback;
+  this.nodes = [];
+  this.patch = null;
+
+  if (!P.U.isProArray(object) && !object.__pro__) {
+    object = P.prob(object);
+  }
+  this.object = object;
+
+  this.attach(object, null, null);
+}
+ProAct.PatchListener = P.PL = PatchListener;
+
+ProAct.PatchListener.prototype = {
+
+  /**
+   * Reference to the constructor of this object.
+   *
+   * @memberof ProAct.PatchListener
+   * @instance
+   * @constant
+   * @type {Object}
+   * @default ProAct.PatchListener
+   */
+  constructor: ProAct.PatchListener,
+
+  /**
+   * Stops listening for the changes of the object of this patch listener.
+   *
+   * @memberof ProAct.PatchListener
+   * @instance
+   * @method detach
+   * @return {ProAct.PatchListener}
+   *      <i>this</i>
+   */
+  detach: function () {
+    while (this.nodes.length) {
+      this.detachNode(this.nodes[0]);
+    }
+
+    return this;
+  },
+
+  // private
+  attach: function (value, parent, key) {
+    var self = this, node, properties, property, i, ln;
+
+    if (!value || !(value.__pro__ || P.U.isProArray(value))) {
+      return;
+    }
+
+    node = {
+      value: value,
+      parent: parent,
+      key: key,
+      listeners: []
+    };
+    this.nodes.push(node);
+
+    if (P.U.isProArray(value)) {
+      node.shadow = slice.call(value._array, 0);
+      this.listen(node, value.core, function (event) {
+        self.arrayChanged(node, event);
+      });
+
+      for (i = 0, ln = node.shadow.length; i < ln; i++) {
+        this.attach(node.shadow[i], node, null);
+      }
+      return;
+    }
+
+    properties = value.__pro__.properties;
+    for (property in properties) {
+      if (properties.hasOwnProperty(property)) {
+        this.attachProperty(node, properties[property]);
+      }
+    }
+  },
+
+  // private
+  attachProperty: function (node, property) {
+    var self = this, type = property.type();
+
+    if (type === P.P.Types.auto || property instanceof P.PXP) {
+      return;
+    }
+
+    this.listen(node, property, function (event) {
+      self.propertyChanged(node, event);
+    });
+
+    if (type === P.P.Types.object || type === P.P.Types.array) {
+      this.attach(node.value[property.property], node, property.property);
+    }
+  },
+
+  // private
+  listen: function (node, actor, listener) {
+    actor.on(listener);
+    node.listeners.push({
+      actor: actor,
+      listener: listener
+    });
+  },
+
+  // private
+  detachNode: function (node) {
+    var i;
+
+    for (i = 0; i < node.listeners.length; i++) {
+      node.listeners[i].actor.off(node.listeners[i].listener);
+    }
+    node.listeners = [];
+    P.U.remove(this.nodes, node);
+
+    for (i = this.nodes.length - 1; i >= 0; i--) {
+      if (this.nodes[i] && this.nodes[i].parent === node) {
+        this.detachNode(this.nodes[i]);
+      }
+    }
+  },
+
+  // private
+  path: function (node) {
+    var key;
+
+    if (!node.parent) {
+      return '';
+    }
+
+    key = node.key !== null ? node.key : node.parent.shadow.indexOf(node.value);
+    return this.path(node.parent) + '/' + escapePathToken(key);
+  },
+
+  // private
+  propertyChanged: function (node, event) {
+    var key = event.target,
+        value, i;
+
+    // The object properties copy the listeners of the old object to the new one, when replaced.
+    if (event.object !== node.value || this.nodes.indexOf(node) === -1) {
+      return;
+    }
+
+    value = node.value[key];
+
+    for (i = this.nodes.length - 1; i >= 0; i--) {
+      if (this.nodes[i] && this.nodes[i].parent === node && this.nodes[i].key === key) {
+        this.detachNode(this.nodes[i]);
+      }
+    }
+    this.attach(value, node, key);
+
+    this.emit([{
+      op: 'replace',
+      path: this.path(node) + '/' + escapePathToken(key),
+      value: P.snapshotValue(value, {})
+    }]);
+  },
+
+  // private
+  arrayChanged: function (node, event) {
+    var array = node.value._array,
+        path = this.path(node),
+        steps = this.steps(event.args),
+        result = slice.call(node.shadow, 0),
+        operations = [],
+        i, ln, step;
+
+    for (i = 0, ln = steps ? steps.length : 0; i < ln; i++) {
+      step = steps[i];
+
+      if (step.op === 'add') {
+        result.splice(step.index, 0, step.value);
+      } else if (step.op === 'remove') {
+        result.splice(step.index, 1);
+      } else if (step.op === 'move') {
+        result.splice(step.index, 0, result.splice(step.from, 1)[0]);
+      } else {
+        result[step.index] = step.value;
+      }
+    }
+
+    if (!steps || !this.same(result, array)) {
+      operations.push({
+        op: 'replace',
+        path: path,
+        value: P.snapshotValue(array, {})
+      });
+    } else {
+      for (i = 0; i < ln; i++) {
+        operations.push(this.operation(path, steps[i]));
+      }
+    }
+
+    this.refresh(node);
+    this.emit(operations);
+  },
+
+  // private
+  steps: function (args) {
+    var op = args[0],
+        index = Number(args[1]),
+        oldVal = args[2],
+        newVal = args[3],
+        steps = [], common, i;
+
+    if (op === pArrayOps.set) {
+      steps.push({op: 'replace', index: index, value: newVal});
+    } else if (op === pArrayOps.add) {
+      index = index === 0 ? 0 : index - newVal.length + 1;
+      for (i = 0; i < newVal.length; i++) {
+        steps.push({op: 'add', index: index + i, value: newVal[i]});
+      }
+    } else if (op === pArrayOps.remove) {
+      steps.push({op: 'remove', index: index});
+    } else if (op === pArrayOps.splice) {
+      common = Math.min(oldVal.length, newVal.length);
+      for (i = 0; i < common; i++) {
+        steps.push({op: 'replace', index: index + i, value: newVal[i]});
+      }
+      for (i = common; i < oldVal.length; i++) {
+        steps.push({op: 'remove', index: index + common});
+      }
+      for (i = common; i < newVal.length; i++) {
+        steps.push({op: 'add', index: index + i, value: newVal[i]});
+      }
+    } else if (op === pArrayOps.move) {
+      steps.push({op: 'move', from: index, index: newVal});
+    } else if (op === pArrayOps.setLength) {
+      for (i = oldVal - 1; i >= newVal; i--) {
+        steps.push({op: 'remove', index: i});
+      }
+      for (i = oldVal; i < newVal; i++) {
+        steps.push({op: 'add', index: i, value: null});
+      }
+    } else {
+      return null;
+    }
+
+    return steps;
+  },
+
+  // private
+  operation: function (path, step) {
+    if (step.op === 'remove') {
+      return {op: step.op, path: path + '/' + step.index};
+    }
+
+    if (step.op === 'move') {
+      return {op: step.op, from: path + '/' + step.from, path: path + '/' + step.index};
+    }
+
+    return {op: step.op, path: path + '/' + step.index, value: P.snapshotValue(step.value, {})};
+  },
+
+  // private
+  same: function (array1, array2) {
+    var i, ln = array1.length;
+
+    if (ln !== array2.length) {
+      return false;
+    }
+
+    for (i = 0; i < ln; i++) {
+      if (array1[i] !== array2[i]) {
+        return false;
+      }
+    }
+
+    return true;
+  },
+
+  // private
+  refresh: function (node) {
+    var array = node.value._array, i, ln, child;
+
+    node.shadow = slice.call(array, 0);
+
+    for (i = this.nodes.length - 1; i >= 0; i--) {
+      child = this.nodes[i];
+      if (child && child.parent === node && array.indexOf(child.value) === -1) {
+        this.detachNode(child);
+      }
+    }
+
+    for (i = 0, ln = array.length; i < ln; i++) {
+      if (!this.child(node, array[i])) {
+        this.attach(array[i], node, null);
+      }
+    }
+  },
+
+  // private
+  child: function (node, value) {
+    var i, ln = this.nodes.length;
+
+    for (i = 0; i < ln; i++) {
+      if (this.nodes[i].parent === node && this.nodes[i].value === value) {
+        return this.nodes[i];
+      }
+    }
+
+    return null;
+  },
+
+  // private
+  emit: function (operations) {
+    if (!this.patch) {
+      this.patch = [];
+      P.flow.pushClose(this, this.flush);
+    }
+
+    this.patch.push.apply(this.patch, operations);
+  },
+
+  // private
+  flush: function () {
+    var patch = this.patch;
+
+    this.patch = null;
+    if (patch && patch.length) {
+      this.callback(patch);
+    }
+  }
+};
+
+/**
+ * The {@link ProAct.applyPatch} method applies a <a href="https://tools.ietf.org/html/rfc6902">JSON Patch</a>
+ * to a ProAct.js object, for example one created by a {@link ProAct.PatchListener} for another copy of the object.
+ * <p>
+ *  All the operations - <i>add</i>, <i>remove</i>, <i>replace</i>, <i>move</i>, <i>copy</i> and <i>test</i> are supported.
+ *  The values are changed using the setters of the properties and the methods of the {@link ProAct.Array}s,
+ *  in one {@link ProAct.batch}, so the listeners are notified once, after the whole patch is applied.
+ *  Only the arrays derived from the changed arrays are notified for every operation, so they stay in sync.
+ * </p>
+ * <p>
+ *  The patch is applied to a snapshot of the object first. If an operation is invalid or a <i>test</i> fails,
+ *  an error is thrown and the object is not changed at all.
+ * </p>
+ *
+ * @method applyPatch
+ * @memberof ProAct
+ * @static
+ * @param {Object} object
+ *      The ProAct.js object or {@link ProAct.Array} to change.
+ * @param {Array} patch
+ *      The JSON Patch operations to apply.
+ * @return {Object}
+ *      The changed <i>object</i>.
+ * @see {@link ProAct.PatchListener}
+ */
+function applyPatch (object, patch) {
+  var copy = P.snapshot(object, {auto: true}),
+      i, ln = patch.length;
+
+  for (i = 0; i < ln; i++) {
+    applyOperation(copy, patch[i]);
+  }
+
+  P.batch(function () {
+    for (i = 0; i < ln; i++) {
+      applyOperation(object, patch[i]);
+    }
+  });
+
+  return object;
+}
+ProAct.applyPatch = applyPatch;
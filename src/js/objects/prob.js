@@ -12,6 +12,17 @@
  *  If the <i>object</i> passed is a plain JavaScript object the result of this function is reactive version of the
  *  <i>object</i> with {@link ProAct.ObjectCore} holding its {@link ProAct.Property}s.
  * </p>
+ * <p>
+ *  If the <i>meta</i> has <i>p.mode</i> set to 'proxy', the result is an ES6 Proxy of the reactive <i>object</i>,
+ *  which reacts to added and deleted fields too. It should be used instead of the <i>object</i>.
+ *  This mode works only in environments with Proxy support.
+ * </p>
+ * <pre>
+ *  var obj = ProAct.prob({a: 1}, {p: {mode: 'proxy'}});
+ *
+ *  obj.b = 2; // b is a reactive property
+ *  delete obj.a; // the property is destroyed
+ * </pre>
  *
  * @method prob
  * @memberof ProAct
@@ -22,6 +33,7 @@
  *      Meta-data used to help in the reactive object creation.
  * @return {Object}
  *      Reactive representation of the passed <i>object</i>.
+ * @see {@link ProAct.ObjectCore#proxy}
  */
 function prob (object, meta) {
   var core, property,
@@ -45,6 +57,10 @@ function prob (object, meta) {
 
   core.prob();
 
+  if (meta && meta.p && meta.p.mode === 'proxy') {
+    return core.proxy();
+  }
+
   return object;
 }
 ProAct.prob = prob;
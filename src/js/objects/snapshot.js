@@ -0,0 +1,183 @@
+function isPlainObject (value) {
+  return value !== null && P.U.isObject(value) && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * The {@link ProAct.snapshotValue} method creates a plain JavaScript copy of any value.
+ * <p>
+ *  The ProAct.js objects and the plain objects are copied using {@link ProAct.snapshot}, the arrays and the
+ *  {@link ProAct.Array}s are copied into plain arrays, element by element. The other values are returned as they are.
+ * </p>
+ *
+ * @method snapshotValue
+ * @memberof ProAct
+ * @static
+ * @param {Object} value
+ *      The value to copy.
+ * @param {Object} options
+ *      Options for the copying, the same as the ones of {@link ProAct.snapshot}.
+ * @return {Object}
+ *      The copy of the <i>value</i>.
+ * @see {@link ProAct.snapshot}
+ */
+function snapshotValue (value, options) {
+  var result, i, ln;
+
+  if (P.U.isProArray(value)) {
+    value = value._array;
+  }
+
+  if (P.U.isArray(value)) {
+    result = [];
+    for (i = 0, ln = value.length; i < ln; i++) {
+      result.push(snapshotValue(value[i], options));
+    }
+
+    return result;
+  }
+
+  if (P.U.isProObject(value) || isPlainObject(value)) {
+    return P.snapshot(value, options);
+  }
+
+  return value;
+}
+ProAct.snapshotValue = snapshotValue;
+
+function restoreValue (object, data) {
+  var isArray = P.U.isProArray(object),
+      keys = [], key, value, current, property,
+      i, ln;
+
+  if (isArray) {
+    for (i = 0, ln = Math.min(object.length, data.length); i < ln; i++) {
+      keys.push(i);
+    }
+  } else {
+    for (key in data) {
+      if (data.hasOwnProperty(key)) {
+        keys.push(key);
+      }
+    }
+  }
+
+  for (i = 0, ln = keys.length; i < ln; i++) {
+    key = keys[i];
+    value = data[key];
+    property = isArray ? null : object.__pro__.properties[key];
+
+    if (!isArray && !property) {
+      object.__pro__.set(key, value);
+      continue;
+    }
+
+    if (property && property.type() === P.P.Types.auto) {
+      continue;
+    }
+
+    current = object[key];
+    if ((P.U.isProObject(current) && isPlainObject(value)) ||
+        (P.U.isProArray(current) && P.U.isArray(value))) {
+      restoreValue(current, value);
+    } else if (current !== value) {
+      object[key] = value;
+    }
+  }
+
+  if (isArray && object.length > data.length) {
+    object.splice(data.length, object.length - data.length);
+  } else if (isArray && object.length < data.length) {
+    object.push.apply(object, data.slice(object.length));
+  }
+}
+
+/**
+ * The {@link ProAct.snapshot} method creates a plain JavaScript copy of the current values of a ProAct.js object.
+ * <p>
+ *  The nested ProAct.js objects and the {@link ProAct.Array}s are copied too, into plain objects and arrays.
+ *  The result can be serialized with <i>JSON.stringify</i> and used with {@link ProAct.restore}.
+ * </p>
+ * <p>
+ *  The functions are skipped. The {@link ProAct.AutoProperty}s are skipped too, unless the <i>auto</i> option is set -
+ *  then their current values are copied.
+ * </p>
+ *
+ * @method snapshot
+ * @memberof ProAct
+ * @static
+ * @param {Object} object
+ *      The ProAct.js object or {@link ProAct.Array} to copy.
+ * @param {Object} options
+ *      Options for the copying.
+ *      <p>Available options:</p>
+ *      <ul>
+ *        <li>auto - If true, the values of the auto-computed properties are copied. By default they are skipped.</li>
+ *      </ul>
+ * @return {Object}
+ *      A plain object or array with the current values of the passed <i>object</i>.
+ * @see {@link ProAct.restore}
+ */
+function snapshot (object, options) {
+  var result = {}, properties, property, key, value;
+
+  options = options || {};
+
+  if (P.U.isArray(object) || P.U.isProArray(object)) {
+    return snapshotValue(object, options);
+  }
+
+  properties = object.__pro__ ? object.__pro__.properties : {};
+
+  for (key in object) {
+    if (!object.hasOwnProperty(key)) {
+      continue;
+    }
+
+    property = properties[key];
+    if (property && property.type() === P.P.Types.auto && !options.auto) {
+      continue;
+    }
+
+    value = object[key];
+    if (!P.U.isFunction(value)) {
+      result[key] = snapshotValue(value, options);
+    }
+  }
+
+  return result;
+}
+ProAct.snapshot = snapshot;
+
+/**
+ * The {@link ProAct.restore} method updates a ProAct.js object with the values of a plain object,
+ * for example one created by {@link ProAct.snapshot} or received from a server.
+ * <p>
+ *  The values are set using the setters of the properties, in one {@link ProAct.batch}, so every listener is notified
+ *  once and only for the values that changed. The nested ProAct.js objects and {@link ProAct.Array}s are updated
+ *  in place, value by value, instead of being replaced. Only the arrays derived from the changed arrays are notified
+ *  for every changed element, so they stay in sync.
+ * </p>
+ * <p>
+ *  The fields missing in the <i>data</i> are not changed. The fields missing in the <i>object</i> are added to it
+ *  as new properties. The auto-computed properties are not set - they are recomputed.
+ * </p>
+ *
+ * @method restore
+ * @memberof ProAct
+ * @static
+ * @param {Object} object
+ *      The ProAct.js object or {@link ProAct.Array} to update.
+ * @param {Object} data
+ *      The values to update the <i>object</i> with.
+ * @return {Object}
+ *      The updated <i>object</i>.
+ * @see {@link ProAct.snapshot}
+ */
+function restore (object, data) {
+  P.batch(function () {
+    restoreValue(object, data);
+  });
+
+  return object;
+}
+ProAct.restore = restore;
@@ -439,6 +439,211 @@ ProAct.Utils = Pro.U = {
     return diff;
   },
 
+  /**
+   * Creates a minimal list of operations, that turns the first of the passed arrays into the second.
+   * <p>
+   *  The elements, that are not changed, are found using the longest common subsequence of the two arrays.
+   *  The other elements, that are in both arrays, are moved, the ones only in the first array are removed and
+   *  the ones only in the second array are inserted.
+   * </p>
+   * <p>
+   *  The elements are compared using <i>===</i>. If a <i>key</i> function is passed, they are compared by the keys it
+   *  returns, so an element, replaced by a new one with the same key, can be updated in place. For very large changes
+   *  the middle part, which differs, is replaced with one splice.
+   * </p>
+   * <p>
+   *  Every operation is an array in the format of the {@link ProAct.Array} event arguments and should be applied in order:
+   *  <ul>
+   *    <li>[{@link ProAct.Array.Operations.splice}, index, removed elements, inserted elements]</li>
+   *    <li>[{@link ProAct.Array.Operations.move}, from index, the moved element, to index]</li>
+   *  </ul>
+   * </p>
+   * <pre>
+   *  ProAct.Utils.lcsDiff([1, 2, 3, 4], [4, 1, 2, 5, 3]);
+   *  // [[move, 3, 4, 0], [splice, 3, [], [5]]]
+   * </pre>
+   *
+   * @memberof ProAct.Utils
+   * @function lcsDiff
+   * @param {Array} array1
+   *      The old array.
+   * @param {Array} array2
+   *      The new array.
+   * @param {Function} key
+   *      Optional function returning the key of an element to compare by.
+   * @return {Array}
+   *      The operations.
+   * @see {@link ProAct.ArrayCore#updateByDiff}
+   */
+  lcsDiff: function (array1, array2, key) {
+    var keys1 = key ? map.call(array1, function (el) { return key(el); }) : array1,
+        keys2 = key ? map.call(array2, function (el) { return key(el); }) : array2,
+        ln1 = array1.length, ln2 = array2.length,
+        start = 0, end = 0,
+        target = [], source = [], anchor = [],
+        ops = [], cur = [],
+        n, m, i, j, entry, found, del, ins;
+
+    function match (i, j, isAnchor) {
+      target[i] = j;
+      source[j] = i;
+      anchor[j] = isAnchor;
+    }
+
+    function position (newIndex, from) {
+      var k;
+
+      for (k = from; k < cur.length; k++) {
+        if (cur[k].target === newIndex) {
+          return k;
+        }
+      }
+    }
+
+    while (start < ln1 && start < ln2 && keys1[start] === keys2[start]) {
+      start++;
+    }
+    while (end < ln1 - start && end < ln2 - start &&
+           keys1[ln1 - end - 1] === keys2[ln2 - end - 1]) {
+      end++;
+    }
+
+    n = ln1 - start - end;
+    m = ln2 - start - end;
+    if (n === 0 && m === 0) {
+      return ops;
+    }
+
+    // Too big to compare every element with every element.
+    if (n * m > 1000000) {
+      return [[
+        pArrayOps.splice, start, array1.slice(start, ln1 - end), array2.slice(start, ln2 - end)
+      ]];
+    }
+
+    for (i = 0; i < start; i++) {
+      match(i, i, true);
+    }
+    for (i = 0; i < end; i++) {
+      match(ln1 - i - 1, ln2 - i - 1, true);
+    }
+    P.U.lcsMatch(keys1.slice(start, start + n), keys2.slice(start, start + m), function (i, j) {
+      match(start + i, start + j, true);
+    });
+
+    // The elements, which are not in the common subsequence, but are in the both arrays, are moved.
+    for (j = start; j < start + m; j++) {
+      for (i = start; source[j] === undefined && i < start + n; i++) {
+        if (target[i] === undefined && keys1[i] === keys2[j]) {
+          match(i, j, false);
+        }
+      }
+    }
+
+    for (i = 0; i < ln1; i++) {
+      cur.push({value: array1[i], target: target[i] === undefined ? -1 : target[i]});
+    }
+
+    j = 0;
+    while (j < ln2) {
+      del = [];
+      while (j < cur.length && cur[j].target === -1) {
+        del.push(cur.splice(j, 1)[0].value);
+      }
+      ins = [];
+      while (j + ins.length < ln2 && source[j + ins.length] === undefined) {
+        cur.splice(j + ins.length, 0, {value: array2[j + ins.length], target: j + ins.length});
+        ins.push(array2[j + ins.length]);
+      }
+
+      entry = cur[j];
+      if (del.length || ins.length) {
+        ops.push([pArrayOps.splice, j, del, ins]);
+        j += ins.length;
+      } else if (entry.target === j) {
+        if (entry.value !== array2[j]) {
+          ops.push([pArrayOps.splice, j, [entry.value], [array2[j]]]);
+          entry.value = array2[j];
+        }
+        j++;
+      } else if (!anchor[j]) {
+        found = position(j, j + 1);
+        cur.splice(j, 0, cur.splice(found, 1)[0]);
+        ops.push([pArrayOps.move, found, cur[j].value, j]);
+      } else {
+        // The element belongs after the next elements -
+        // it is placed after the last unchanged element before its place.
+        cur.splice(j, 1);
+        i = entry.target - 1;
+        while (!anchor[i]) {
+          i--;
+        }
+
+        found = position(i, j) + 1;
+        while (found < cur.length && cur[found].target !== -1 &&
+               !anchor[cur[found].target] && cur[found].target < entry.target) {
+          found++;
+        }
+        cur.splice(found, 0, entry);
+        ops.push([pArrayOps.move, j, entry.value, found]);
+      }
+    }
+
+    if (cur.length > ln2) {
+      ops.push([pArrayOps.splice, ln2, cur.slice(ln2).map(function (e) { return e.value; }), []]);
+    }
+
+    return ops;
+  },
+
+  /**
+   * Finds the longest common subsequence of two arrays of keys.
+   * <p>
+   *  Used by {@link ProAct.Utils.lcsDiff}.
+   * </p>
+   *
+   * @memberof ProAct.Utils
+   * @function lcsMatch
+   * @param {Array} keys1
+   *      The first array.
+   * @param {Array} keys2
+   *      The second array.
+   * @param {Function} match
+   *      Called with the index in the first array and the index in the second array for every element of the subsequence.
+   */
+  lcsMatch: function (keys1, keys2, match) {
+    var n = keys1.length, m = keys2.length,
+        lengths = [], i, j, row, next;
+
+    for (i = n; i >= 0; i--) {
+      row = lengths[i] = [];
+      next = lengths[i + 1];
+      for (j = m; j >= 0; j--) {
+        if (i === n || j === m) {
+          row[j] = 0;
+        } else if (keys1[i] === keys2[j]) {
+          row[j] = next[j + 1] + 1;
+        } else {
+          row[j] = Math.max(next[j], row[j + 1]);
+        }
+      }
+    }
+
+    i = 0;
+    j = 0;
+    while (i < n && j < m) {
+      if (keys1[i] === keys2[j]) {
+        match(i, j);
+        i++;
+        j++;
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        i++;
+      } else {
+        j++;
+      }
+    }
+  },
+
   /**
    * Defines a property to an object that contains a initial value.
    * The property can be configured using the arguments passed if it is possible in the javascript implementation.
@@ -530,3 +735,23 @@ ProAct.N = function () {};
  * @static
  */
 ProAct.currentCaller = null;
+
+/**
+ * The current {@link ProAct.CompositeDisposable}, collecting subscriptions.
+ * <p>
+ *  While it is set, every listener attached with {@link ProAct.Actor#subscribe} - directly, by
+ *  {@link ProAct.Actor#into} or by the {@link ProAct.DSL} - is added to it as a {@link ProAct.Disposable},
+ *  that detaches the listener. The listeners attached with {@link ProAct.Actor#on}, like the ones
+ *  wiring the auto-computed properties to their dependencies, are not collected.
+ *  It is set by {@link ProAct.CompositeDisposable#collect}.
+ * </p>
+ * <p>
+ *  Do not remove or modify this property manually.
+ * </p>
+ *
+ * @type ProAct.CompositeDisposable
+ * @memberof ProAct
+ * @default null
+ * @static
+ */
+ProAct.currentDisposable = null;
@@ -60,6 +60,7 @@ function ArrayProperty (queueName, proObject, property) {
             return;
           }
 
+          P.flow.touch(self);
           self.oldVal = self.val;
           self.val = newVal;
 
@@ -0,0 +1,270 @@
+/**
+ * <p>
+ *  Constructs a ProAct.AsyncProperty. The async property is a {@link ProAct.AutoProperty}, whose function returns
+ *  a Promise - or any <i>thenable</i> object.
+ * </p>
+ * <p>
+ *  The dependencies of the property are the fields of ProAct.js objects, read synchronously by its function -
+ *  before the Promise is returned. When some of them changes, the function is called again.
+ * </p>
+ * <p>
+ *  The value of the property is the value the last returned Promise resolves to. When it is resolved, the property is updated
+ *  the same way a {@link ProAct.Property} is updated on set. The results of the Promises, returned by the calls that were
+ *  replaced by newer ones are ignored.
+ * </p>
+ * <p>
+ *  The state of the asynchronous computation is available through the <i>status</i> field of the property. It is
+ *  a ProAct.js object with three fields:
+ *  <ul>
+ *    <li><b>value</b> - The last resolved value, before any transformations.</li>
+ *    <li><b>pending</b> - True if there is a Promise, that is not resolved or rejected yet.</li>
+ *    <li><b>error</b> - The reason of the last rejection, or null if the last Promise was resolved.</li>
+ *  </ul>
+ *  These fields are reactive, so they can be used in auto-computed properties.
+ * </p>
+ * <p>
+ *  For example:
+ *  <pre>
+ *    var obj = ProAct.prob({
+ *      id: 1,
+ *      user: async function () {
+ *        var id = this.id;
+ *        return await loadUser(id);
+ *      }
+ *    });
+ *
+ *    obj.user; // undefined, obj.p('user').status.pending is true
+ *    // ... when the Promise is resolved, obj.user is the loaded user.
+ *  </pre>
+ * </p>
+ * <p>
+ *  If the function of the property returns a value, which is not a Promise, it is used as the value right away.
+ * </p>
+ * <p>
+ *  Plain functions, returning Promises are routed to async properties too - the {@link ProAct.AutoProperty}
+ *  created for them is replaced when its function returns a Promise. See {@link ProAct.AsyncProperty.replace}.
+ * </p>
+ * <p>
+ *  ProAct.AsyncProperty is part of the properties module of ProAct.js.
+ * </p>
+ *
+ * @class ProAct.AsyncProperty
+ * @extends ProAct.AutoProperty
+ * @param {String} queueName
+ *      The name of the queue all the updates should be pushed to.
+ *      <p>
+ *        If this parameter is null/undefined the default queue of
+ *        {@link ProAct.flow} is used.
+ *      </p>
+ *      <p>
+ *        If this parameter is not a string it is used as the
+ *        <i>proObject</i>.
+ *      </p>
+ * @param {Object} proObject
+ *      A plain JavaScript object, holding a field, this property will represent.
+ * @param {String} property
+ *      The name of the field of the object, this property should represent.
+ * @see {@link ProAct.AsyncPropertyProvider}
+ */
+function AsyncProperty (queueName, proObject, property) {
+  if (queueName && !P.U.isString(queueName)) {
+    property = proObject;
+    proObject = queueName;
+    queueName = null;
+  }
+
+  this.lastCall = 0;
+  this.status = P.prob({
+    value: undefined,
+    pending: false,
+    error: null
+  });
+
+  P.FP.call(this, queueName, proObject, property);
+}
+ProAct.AsyncProperty = P.AFP = AsyncProperty;
+
+ProAct.AsyncProperty.prototype = P.U.ex(Object.create(P.FP.prototype), {
+
+  /**
+   * Reference to the constructor of this object.
+   *
+   * @memberof ProAct.AsyncProperty
+   * @instance
+   * @constant
+   * @default ProAct.AsyncProperty
+   */
+  constructor: ProAct.AsyncProperty,
+
+  /**
+   * Creates the <i>listener</i> of this ProAct.AsyncProperty.
+   * <p>
+   *  The listener calls the function of the property again, when some of the dependencies changes.
+   * </p>
+   * <p>
+   *  It has no <i>property</i> field, so the listeners of <i>this</i> are not notified when a dependency changes,
+   *  but when the new value is resolved.
+   * </p>
+   *
+   * @memberof ProAct.AsyncProperty
+   * @instance
+   * @method makeListener
+   * @return {Object}
+   *      The <i>listener of this ProAct.AsyncProperty</i>.
+   */
+  makeListener: function () {
+    if (!this.listener) {
+      var self = this;
+
+      this.listener = {
+        queueName: self.queueName,
+        call: function () {
+          self.compute();
+        }
+      };
+    }
+
+    return this.listener;
+  },
+
+  /**
+   * Creates the setter of this ProAct.AsyncProperty, used after its first read.
+   * <p>
+   *  Setting the property sets its value directly. The Promises, that are not resolved yet are ignored.
+   * </p>
+   *
+   * @memberof ProAct.AsyncProperty
+   * @instance
+   * @method makeSetter
+   * @return {Function}
+   *      The setter of <i>this</i>.
+   */
+  makeSetter: function () {
+    var self = this,
+        set = P.P.defaultSetter(this);
+
+    return function (newVal) {
+      self.lastCall += 1;
+
+      P.flow.run(function () {
+        self.status.pending = false;
+        self.status.error = null;
+        self.status.value = newVal;
+
+        set(newVal);
+      });
+    };
+  },
+
+  // private
+  compute: function (args) {
+    var id = this.lastCall + 1;
+
+    this.lastCall = id;
+    return this.settle(id, P.FP.prototype.compute.call(this, args));
+  },
+
+  // private
+  settle: function (id, result) {
+    var self = this;
+
+    if (result && P.U.isFunction(result.then)) {
+      this.status.pending = true;
+
+      result.then(function (value) {
+        self.resolve(id, value);
+      }, function (error) {
+        self.reject(id, error);
+      });
+    } else {
+      this.resolve(id, result);
+    }
+
+    return this.status.p('value').val;
+  },
+
+  // private
+  resolve: function (id, value) {
+    var self = this;
+
+    if (id !== this.lastCall || this.state === P.States.destroyed) {
+      return;
+    }
+
+    P.flow.run(function () {
+      self.status.pending = false;
+      self.status.error = null;
+      self.status.value = value;
+
+      if (self.state === P.States.init) {
+        return;
+      }
+
+      self.oldVal = self.val;
+      self.val = P.Actor.transform(self, value);
+      self.update();
+    });
+  },
+
+  // private
+  reject: function (id, error) {
+    var self = this;
+
+    if (id !== this.lastCall || this.state === P.States.destroyed) {
+      return;
+    }
+
+    P.flow.run(function () {
+      self.status.pending = false;
+      self.status.error = error;
+    });
+  }
+});
+
+/**
+ * Replaces a {@link ProAct.AutoProperty}, which function returned a Promise, with a ProAct.AsyncProperty.
+ * <p>
+ *  The <i>property</i> is destroyed and a new ProAct.AsyncProperty is defined for the same field. It keeps the
+ *  listeners and the dependencies of the replaced property and waits for the passed <i>result</i>,
+ *  so the function is not called again.
+ * </p>
+ *
+ * @memberof ProAct.AsyncProperty
+ * @static
+ * @param {ProAct.AutoProperty} property
+ *      The property to replace.
+ * @param {Object} result
+ *      The Promise, returned by the function of the <i>property</i>.
+ * @return {ProAct.AsyncProperty}
+ *      The new property.
+ * @see {@link ProAct.Property.reProb}
+ */
+ProAct.AsyncProperty.replace = function (property, result) {
+  var po = property.proObject,
+      p = property.property,
+      func = property.func,
+      listeners = property.listeners.change,
+      dependencies = property.listener.dependencies || [],
+      val = property.state === P.States.ready ? property.val : undefined,
+      async, listener, i, ln;
+
+  property.destroy();
+  po[p] = func;
+
+  async = po.__pro__.makeProp(p, listeners, 'async');
+  listener = async.makeListener();
+  listener.dependencies = [];
+
+  for (i = 0, ln = dependencies.length; i < ln; i++) {
+    P.P.listen(dependencies[i].actor, dependencies[i].action, listener);
+  }
+
+  P.P.defineProp(po, p, P.P.defaultGetter(async), async.makeSetter());
+  async.state = P.States.ready;
+  async.val = val;
+
+  async.lastCall += 1;
+  async.settle(async.lastCall, result);
+
+  return async;
+};
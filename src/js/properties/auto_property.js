@@ -45,6 +45,8 @@
  *    <li>On this first read the state of the property is updated to {@link ProAct.States.ready}.</li>
  *    <li>On its following reads it is a simple value, computed from the first read. No re-computations on get.</li>
  *    <li>If a property, this auto-computed property depends changes, the value of <i>this</i> ProAct.AutoProperty is recomputed.</li>
+ *    <li>On every computation the dependencies are collected again and the properties that are not read anymore are not listened to. See {@link ProAct.AutoProperty#dependencies}.</li>
+ *    <li>If the function returns a Promise, the property is replaced by a {@link ProAct.AsyncProperty}, see {@link ProAct.AsyncProperty.replace}.</li>
  *    <li>Setting the property can be implemented easy, because on set, the original function of the property is called with the new value.</li>
  *  </ul>
  * </p>
@@ -87,24 +89,19 @@ function AutoProperty (queueName, proObject, property) {
   var self = this,
       getter = function () {
         self.addCaller();
-        var oldCaller = P.currentCaller,
-            get = P.P.defaultGetter(self),
-            set = P.P.defaultSetter(self, function (newVal) {
-              return self.func.call(self.proObject, newVal);
-            }),
+        var get = P.P.defaultGetter(self),
+            set = self.makeSetter(),
             args = arguments,
             autoFunction;
 
-        P.currentCaller = self.makeListener();
-
         autoFunction = function () {
-          self.val = self.func.apply(self.proObject, args);
+          self.val = self.compute(args);
         };
-        P.flow.run(function () {
-          P.flow.pushOnce(autoFunction);
-        });
+        P.flow.run(autoFunction);
 
-        P.currentCaller = oldCaller;
+        if (self.isAsync(self.val)) {
+          return P.AFP.replace(self, self.val).val;
+        }
 
         P.P.defineProp(self.proObject, self.property, get, set);
 
@@ -161,6 +158,9 @@ ProAct.AutoProperty.prototype = P.U.ex(Object.create(P.P.prototype), {
    *  On value changes the <i><this</i> value is set to the value computed by the original function,
    *  using the {@link ProAct.Actor#transform} to transform it.
    * </p>
+   * <p>
+   *  If the function returns a Promise, <i>this</i> is replaced by a {@link ProAct.AsyncProperty}.
+   * </p>
    *
    * @memberof ProAct.AutoProperty
    * @instance
@@ -176,8 +176,15 @@ ProAct.AutoProperty.prototype = P.U.ex(Object.create(P.P.prototype), {
         property: self,
         queueName: self.queueName,
         call: function () {
+          var result = self.compute();
+
+          if (self.isAsync(result)) {
+            P.AFP.replace(self, result);
+            return;
+          }
+
           self.oldVal = self.val;
-          self.val = P.Actor.transform(self, self.func.call(self.proObject));
+          self.val = P.Actor.transform(self, result);
         }
       };
     }
@@ -185,6 +192,102 @@ ProAct.AutoProperty.prototype = P.U.ex(Object.create(P.P.prototype), {
     return this.listener;
   },
 
+  /**
+   * Creates the setter of this ProAct.AutoProperty, used after its first read.
+   * <p>
+   *  The original function of the property is called with the new value and the result becomes the value of <i>this</i>.
+   * </p>
+   *
+   * @memberof ProAct.AutoProperty
+   * @instance
+   * @method makeSetter
+   * @return {Function}
+   *      The setter of <i>this</i>.
+   * @see {@link ProAct.Property.defaultSetter}
+   */
+  makeSetter: function () {
+    var self = this;
+
+    return P.P.defaultSetter(this, function (newVal) {
+      return self.func.call(self.context(), newVal);
+    });
+  },
+
+  /**
+   * Retrieves the actors <i>this</i> currently depends on - the ones read by the last computation of its value.
+   * <p>
+   *  The dependencies are collected again on every computation. If an actor is not read anymore,
+   *  <i>this</i> stops listening to it.
+   * </p>
+   *
+   * @memberof ProAct.AutoProperty
+   * @instance
+   * @method dependencies
+   * @return {Array}
+   *      A list of the {@link ProAct.Actor}s <i>this</i> depends on.
+   */
+  dependencies: function () {
+    var listener = this.listener,
+        dependencies = (listener && listener.dependencies) || [],
+        result = [],
+        i, ln = dependencies.length;
+
+    for (i = 0; i < ln; i++) {
+      if (result.indexOf(dependencies[i].actor) === -1) {
+        result.push(dependencies[i].actor);
+      }
+    }
+
+    return result;
+  },
+
+  // private
+  compute: function (args) {
+    var listener = this.makeListener(),
+        oldCaller = P.currentCaller,
+        oldDependencies = listener.dependencies || [];
+
+    listener.dependencies = [];
+    P.currentCaller = listener;
+
+    try {
+      return this.func.apply(this.context(), args || []);
+    } finally {
+      P.currentCaller = oldCaller;
+      this.releaseStale(oldDependencies);
+    }
+  },
+
+  // private
+  context: function () {
+    var core = this.proObject.__pro__;
+
+    return (core && core.proxyShell) || this.proObject;
+  },
+
+  // private
+  isAsync: function (result) {
+    return !(this instanceof P.AFP) && !!result && P.U.isFunction(result.then);
+  },
+
+  // private
+  releaseStale: function (oldDependencies) {
+    var listener = this.listener,
+        i, ln = oldDependencies.length,
+        dependency,
+        isCurrent = function (current) {
+          return current.actor === dependency.actor && current.action === dependency.action;
+        };
+
+    for (i = 0; i < ln; i++) {
+      dependency = oldDependencies[i];
+
+      if (!filter.call(listener.dependencies, isCurrent).length && dependency.actor.listeners) {
+        dependency.actor.off(dependency.action, listener);
+      }
+    }
+  },
+
   /**
    * Called automatically after initialization of this property.
    * <p>
@@ -0,0 +1,133 @@
+/**
+ * <p>
+ *  Constructs a ProAct.ComputedProperty. The computed property is a {@link ProAct.AutoProperty}, defined by a descriptor
+ *  with a <i>get</i> and a <i>set</i> function.
+ * </p>
+ * <p>
+ *  The value of the property is computed by the <i>get</i> function, the same way the value of a {@link ProAct.AutoProperty}
+ *  is computed by its function - every field of a ProAct.js object it reads becomes its dependency.
+ * </p>
+ * <p>
+ *  Writing the property calls the <i>set</i> function with the new value. It is the inverse of the <i>get</i> function -
+ *  it should update the dependencies, so the value is recomputed from them.
+ *  All the updates done by the <i>set</i> function are run in one {@link ProAct.flow} run, so the value is recomputed once.
+ *  If there is no <i>set</i> function, writing the property has no effect.
+ * </p>
+ * <p>
+ *  For example:
+ *  <pre>
+ *    var obj = ProAct.prob({
+ *      first: 'John',
+ *      last: 'Smith',
+ *      fullName: {
+ *        get: function () {
+ *          return this.first + ' ' + this.last;
+ *        },
+ *        set: function (name) {
+ *          var names = name.split(' ');
+ *          this.first = names[0];
+ *          this.last = names[1];
+ *        }
+ *      }
+ *    });
+ *
+ *    obj.fullName = 'Jane Doe';
+ *    obj.first; // 'Jane'
+ *    obj.fullName; // 'Jane Doe'
+ *  </pre>
+ * </p>
+ * <p>
+ *  ProAct.ComputedProperty is part of the properties module of ProAct.js.
+ * </p>
+ *
+ * @class ProAct.ComputedProperty
+ * @extends ProAct.AutoProperty
+ * @param {String} queueName
+ *      The name of the queue all the updates should be pushed to.
+ *      <p>
+ *        If this parameter is null/undefined the default queue of
+ *        {@link ProAct.flow} is used.
+ *      </p>
+ *      <p>
+ *        If this parameter is not a string it is used as the
+ *        <i>proObject</i>.
+ *      </p>
+ * @param {Object} proObject
+ *      A plain JavaScript object, holding a field, this property will represent.
+ *      The field should be a descriptor - an object with a <i>get</i> and an optional <i>set</i> function.
+ * @param {String} property
+ *      The name of the field of the object, this property should represent.
+ * @see {@link ProAct.ComputedPropertyProvider}
+ */
+function ComputedProperty (queueName, proObject, property) {
+  if (queueName && !P.U.isString(queueName)) {
+    property = proObject;
+    proObject = queueName;
+    queueName = null;
+  }
+
+  var descriptor = proObject[property];
+
+  this.inverse = descriptor.set;
+  proObject[property] = descriptor.get;
+
+  P.FP.call(this, queueName, proObject, property);
+}
+ProAct.ComputedProperty = P.CP = ComputedProperty;
+
+ProAct.ComputedProperty.prototype = P.U.ex(Object.create(P.FP.prototype), {
+
+  /**
+   * Reference to the constructor of this object.
+   *
+   * @memberof ProAct.ComputedProperty
+   * @instance
+   * @constant
+   * @default ProAct.ComputedProperty
+   */
+  constructor: ProAct.ComputedProperty,
+
+  /**
+   * Creates the setter of this ProAct.ComputedProperty.
+   * <p>
+   *  The setter calls the <i>set</i> function of the descriptor in a {@link ProAct.flow} run.
+   *  The value of <i>this</i> is not set directly, it is recomputed when the dependencies change.
+   * </p>
+   *
+   * @memberof ProAct.ComputedProperty
+   * @instance
+   * @method makeSetter
+   * @return {Function}
+   *      The setter of <i>this</i>.
+   */
+  makeSetter: function () {
+    var self = this;
+
+    return function (newVal) {
+      if (!self.inverse) {
+        return;
+      }
+
+      P.flow.run(function () {
+        self.inverse.call(self.proObject, newVal);
+      });
+    };
+  },
+
+  /**
+   * Initializes this property.
+   * <p>
+   *  Unlike the {@link ProAct.AutoProperty}, ProAct.ComputedProperty can be written before its first read,
+   *  so its setter is defined here.
+   * </p>
+   *
+   * @memberof ProAct.ComputedProperty
+   * @instance
+   * @method doInit
+   */
+  doInit: function () {
+    this.set = this.s = this.makeSetter();
+
+    P.FP.prototype.doInit.call(this);
+  }
+});
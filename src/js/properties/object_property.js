@@ -59,6 +59,7 @@ function ObjectProperty (queueName, proObject, property) {
             return;
           }
 
+          P.flow.touch(self);
           self.oldVal = self.val;
           self.val = newVal;
 
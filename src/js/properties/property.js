@@ -226,6 +226,7 @@ P.U.ex(ProAct.Property, {
         return;
       }
 
+      P.flow.touch(property);
       property.oldVal = property.val;
       if (setter) {
         property.val = setter.call(property.proObject, newVal);
@@ -233,7 +234,8 @@ P.U.ex(ProAct.Property, {
         property.val = newVal;
       }
 
-      if (property.type() !== P.P.Types.auto && P.P.Types.type(property.val) !== property.type()) {
+      if (!property.isStaticTyped && property.type() !== P.P.Types.auto &&
+          P.P.Types.type(property.val) !== property.type()) {
       //if (property.val === null || property.val === undefined) {
         P.P.reProb(property).update();
         return;
@@ -326,6 +328,61 @@ P.U.ex(ProAct.Property, {
     core.prob();
 
     return core.properties.v;
+  },
+
+  /**
+   * Makes the passed <i>caller</i> listen for the passed <i>action</i> of the <i>actor</i>, if it is not listening already.
+   * <p>
+   *  If the <i>caller</i> collects its dependencies - has a <i>dependencies</i> list, the <i>actor</i> and the <i>action</i>
+   *  are recorded in it. This is used by the {@link ProAct.AutoProperty} to track what it reads while computing its value.
+   * </p>
+   *
+   * @memberof ProAct.Property
+   * @static
+   * @param {ProAct.Actor} actor
+   *      The actor to listen to.
+   * @param {Array|String} action
+   *      The action or actions to listen for.
+   * @param {Object} caller
+   *      The listener, usually the {@link ProAct.currentCaller}.
+   * @see {@link ProAct.Property#addCaller}
+   * @see {@link ProAct.ArrayCore#addCaller}
+   */
+  listen: function (actor, action, caller) {
+    var listeners, dependencies = caller.dependencies,
+        i, ln;
+
+    if (P.U.isArray(action)) {
+      for (i = 0, ln = action.length; i < ln; i++) {
+        P.P.listen(actor, action[i], caller);
+      }
+
+      return;
+    }
+
+    if (!actor.listeners) {
+      return;
+    }
+
+    listeners = actor.listeners[action];
+    if (!listeners || listeners.indexOf(caller) === -1) {
+      actor.on(action, caller);
+    }
+
+    if (!dependencies) {
+      return;
+    }
+
+    for (i = 0, ln = dependencies.length; i < ln; i++) {
+      if (dependencies[i].actor === actor && dependencies[i].action === action) {
+        return;
+      }
+    }
+
+    dependencies.push({
+      actor: actor,
+      action: action
+    });
   }
 });
 
@@ -445,17 +502,19 @@ ProAct.Property.prototype = P.U.ex(Object.create(P.Actor.prototype), {
    * Uses {@link ProAct.currentCaller} to automatically add a new listener to this property if the caller is set.
    * <p>
    *  This method is used by the default getter to make every reader of the property a listener to it.
+   *  A reader is added only once, no matter how many times it reads the property.
    * </p>
    *
    * @memberof ProAct.Property
    * @instance
    * @method addCaller
+   * @see {@link ProAct.Property.listen}
    */
   addCaller: function () {
     var caller = P.currentCaller;
 
     if (caller && caller.property !== this) {
-      this.on(caller);
+      P.P.listen(this, this.defaultActions(), caller);
     }
   },
 
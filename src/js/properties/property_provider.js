@@ -378,6 +378,92 @@ ProAct.AutoPropertyProvider.prototype = P.U.ex(Object.create(P.PP.prototype), {
   }
 });
 
+/**
+ * <p>
+ *  Constructor for ProAct.AsyncPropertyProvider.
+ * </p>
+ * <p>
+ *  Provides {@link ProAct.AsyncProperty} instances for fields pointing to <i>async</i> functions
+ *  or to functions marked with the <i>async</i> meta flag.
+ * </p>
+ * <p>
+ *  ProAct.AsyncPropertyProvider is part of the properties module of ProAct.js.
+ * </p>
+ *
+ * @class ProAct.AsyncPropertyProvider
+ * @extends ProAct.PropertyProvider
+ * @see {@link ProAct.AsyncProperty}
+ */
+ProAct.AsyncPropertyProvider = P.AFPP = function () {
+  P.PP.call(this);
+};
+
+ProAct.AsyncPropertyProvider.prototype = P.U.ex(Object.create(P.PP.prototype), {
+
+  /**
+   * Reference to the constructor of this object.
+   *
+   * @memberof ProAct.AsyncPropertyProvider
+   * @instance
+   * @constant
+   * @default ProAct.AsyncPropertyProvider
+   */
+  constructor: ProAct.AsyncPropertyProvider,
+
+  /**
+   * Used to check if this {@link ProAct.AsyncPropertyProvider} is compliant with the field and meta data.
+   *
+   * @memberof ProAct.AsyncPropertyProvider
+   * @instance
+   * @method filter
+   * @param {Object} object
+   *      The object to which a new {@link ProAct.AsyncProperty} instance should be provided.
+   * @param {String} property
+   *      The field name of the <i>object</i> to turn into a {@link ProAct.AsyncProperty}.
+   * @param {String|Array} meta
+   *      Meta information to be used for filtering and configuration of the {@link ProAct.AsyncProperty} instance to be provided.
+   *      If it is or contains 'async', the function of the field is treated as one returning a Promise.
+   * @return {Boolean}
+   *      True if the value of <b>object[property]</b> is an <i>async</i> function or a function and the <i>meta</i> contains 'async'.
+   */
+  filter: function (object, property, meta) {
+    var v = object[property];
+
+    if (!P.U.isFunction(v)) {
+      return false;
+    }
+
+    if (meta && (meta === 'async' || (P.U.isArray(meta) && meta.indexOf('async') !== -1))) {
+      return true;
+    }
+
+    return !!v.constructor && v.constructor.name === 'AsyncFunction';
+  },
+
+  /**
+   * Provides an instance of {@link ProAct.AsyncProperty}.
+   *
+   * @memberof ProAct.AsyncPropertyProvider
+   * @instance
+   * @method provide
+   * @param {String} queueName
+   *      The name of the queue all the updates should be pushed to.
+   *      <p>
+   *        If this parameter is null/undefined the default queue of
+   *        {@link ProAct.flow} is used.
+   *      </p>
+   * @param {Object} object
+   *      The object to which a new {@link ProAct.AsyncProperty} instance should be provided.
+   * @param {String} property
+   *      The field of the <i>object</i> to turn into a {@link ProAct.AsyncProperty}.
+   * @return {ProAct.AsyncProperty}
+   *      A {@link ProAct.AsyncProperty} instance provided by <i>this</i> provider.
+   */
+  provide: function (queueName, object, property) {
+    return new P.AFP(queueName, object, property);
+  }
+});
+
 /**
  * <p>
  *  Constructor for ProAct.ArrayPropertyProvider.
@@ -454,6 +540,93 @@ ProAct.ArrayPropertyProvider.prototype = P.U.ex(Object.create(P.PP.prototype), {
   }
 });
 
+/**
+ * <p>
+ *  Constructor for ProAct.ComputedPropertyProvider.
+ * </p>
+ * <p>
+ *  Provides {@link ProAct.ComputedProperty} instances for fields pointing to <i>{get: function, set: function}</i> descriptors.
+ * </p>
+ * <p>
+ *  ProAct.ComputedPropertyProvider is part of the properties module of ProAct.js.
+ * </p>
+ *
+ * @class ProAct.ComputedPropertyProvider
+ * @extends ProAct.PropertyProvider
+ * @see {@link ProAct.ComputedProperty}
+ */
+ProAct.ComputedPropertyProvider = P.CPP = function () {
+  P.PP.call(this);
+};
+
+ProAct.ComputedPropertyProvider.prototype = P.U.ex(Object.create(P.PP.prototype), {
+
+  /**
+   * Reference to the constructor of this object.
+   *
+   * @memberof ProAct.ComputedPropertyProvider
+   * @instance
+   * @constant
+   * @default ProAct.ComputedPropertyProvider
+   */
+  constructor: ProAct.ComputedPropertyProvider,
+
+  /**
+   * Used to check if this {@link ProAct.ComputedPropertyProvider} is compliant with the field and meta data.
+   *
+   * @memberof ProAct.ComputedPropertyProvider
+   * @instance
+   * @method filter
+   * @param {Object} object
+   *      The object to which a new {@link ProAct.ComputedProperty} instance should be provided.
+   * @param {String} property
+   *      The field name of the <i>object</i> to turn into a {@link ProAct.ComputedProperty}.
+   * @param {String|Array} meta
+   *      Meta information to be used for filtering and configuration of the {@link ProAct.ComputedProperty} instance to be provided.
+   * @return {Boolean}
+   *      True if the value of <b>object[property]</b> is an object with a <i>get</i> function,
+   *      an optional <i>set</i> function and no other fields.
+   */
+  filter: function (object, property, meta) {
+    var v = object[property], k;
+
+    if (!v || !P.U.isObject(v) || v.__pro__ || !P.U.isFunction(v.get)) {
+      return false;
+    }
+
+    for (k in v) {
+      if (k !== 'get' && (k !== 'set' || !P.U.isFunction(v.set))) {
+        return false;
+      }
+    }
+
+    return true;
+  },
+
+  /**
+   * Provides an instance of {@link ProAct.ComputedProperty}.
+   *
+   * @memberof ProAct.ComputedPropertyProvider
+   * @instance
+   * @method provide
+   * @param {String} queueName
+   *      The name of the queue all the updates should be pushed to.
+   *      <p>
+   *        If this parameter is null/undefined the default queue of
+   *        {@link ProAct.flow} is used.
+   *      </p>
+   * @param {Object} object
+   *      The object to which a new {@link ProAct.ComputedProperty} instance should be provided.
+   * @param {String} property
+   *      The field of the <i>object</i> to turn into a {@link ProAct.ComputedProperty}.
+   * @return {ProAct.ComputedProperty}
+   *      A {@link ProAct.ComputedProperty} instance provided by <i>this</i> provider.
+   */
+  provide: function (queueName, object, property) {
+    return new P.CP(queueName, object, property);
+  }
+});
+
 /**
  * <p>
  *  Constructor for ProAct.ObjectPropertyProvider.
@@ -613,6 +786,8 @@ ProAct.ProxyPropertyProvider.prototype = P.U.ex(Object.create(P.PP.prototype), {
 
 P.PP.registerProvider(new P.ProxyPropertyProvider());
 P.PP.registerProvider(new P.SimplePropertyProvider());
+P.PP.registerProvider(new P.AsyncPropertyProvider());
 P.PP.registerProvider(new P.AutoPropertyProvider());
 P.PP.registerProvider(new P.ArrayPropertyProvider());
+P.PP.registerProvider(new P.ComputedPropertyProvider());
 P.PP.registerProvider(new P.ObjectPropertyProvider());
@@ -51,6 +51,7 @@ function ProxyProperty (queueName, proObject, property, target) {
       return;
     }
 
+    P.flow.touch(target);
     target.oldVal = target.val;
     target.val = P.Actor.transform(self, newVal);
 
@@ -138,7 +138,7 @@ ProAct.OpStore = {
             return object;
           }
 
-          var args = actionObject[name];
+          var args = actionObject[name], result;
           if (!P.U.isArray(args)) {
             args = [args];
           }
@@ -147,7 +147,12 @@ ProAct.OpStore = {
             args = args[0];
           }
 
-          return object[name].apply(object, args);
+          result = object[name].apply(object, args);
+          if (name === 'on') {
+            object.collect.apply(object, args);
+          }
+
+          return result;
         }
       };
     }
@@ -269,6 +274,7 @@ ProAct.DSL = {
      *  </pre>
      *  means that listener function, stored in the {@link ProAct.Registry} as 'bla'
      *  should be attached as a listener to the targed {@link ProAct.Actor} of the DSL.
+     *  If there is a {@link ProAct.currentDisposable}, the listener is collected by it.
      * </p>
      *
      * @memberof ProAct.DSL.ops
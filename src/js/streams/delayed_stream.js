@@ -30,6 +30,7 @@
  *      </p>
  * @param {Number} delay
  *      The time delay to be used to flush the stream.
+ * @see {@link ProAct.scheduler}
  */
 function DelayedStream (queueName, source, transforms, delay) {
   if (queueName && !P.U.isString(queueName)) {
@@ -48,6 +49,7 @@ function DelayedStream (queueName, source, transforms, delay) {
   P.BS.call(this, queueName, source, transforms);
 
   this.delayId = null;
+  this.scheduler = P.scheduler;
   this.setDelay(delay);
 }
 ProAct.DelayedStream = P.DBS = DelayedStream;
@@ -103,7 +105,7 @@ ProAct.DelayedStream.prototype = P.U.ex(Object.create(P.BS.prototype), {
    */
   cancelDelay: function () {
     if (this.delayId !== null){
-      clearInterval(this.delayId);
+      this.scheduler.clearInterval(this.delayId);
       this.delayId = null;
     }
 
@@ -132,10 +134,33 @@ ProAct.DelayedStream.prototype = P.U.ex(Object.create(P.BS.prototype), {
     }
 
     var self = this;
-    this.delayId = setInterval(function () {
+    this.delayId = this.scheduler.setInterval(function () {
       self.flush();
     }, this.delay);
 
+    return this;
+  },
+
+  /**
+   * <p>
+   *  Changes the {@link ProAct.Scheduler} used by the stream to flush its buffer.
+   *  The current delay is canceled and set again using the new scheduler.
+   * </p>
+   *
+   * @memberof ProAct.DelayedStream
+   * @instance
+   * @method setScheduler
+   * @param {ProAct.Scheduler} scheduler
+   *      The new scheduler of the stream.
+   * @return {ProAct.DelayedStream}
+   *      <i>this</i>
+   * @see {@link ProAct.VirtualScheduler}
+   */
+  setScheduler: function (scheduler) {
+    this.cancelDelay();
+    this.scheduler = scheduler;
+    this.setDelay(this.delay);
+
     return this;
   }
 });
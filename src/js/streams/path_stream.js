@@ -0,0 +1,223 @@
+/**
+ * <p>
+ *  Constructs a ProAct.PathStream. The path stream emits the events of a field deep in a ProAct.js object,
+ *  described by a dotted <i>path</i>, for example <b>'a.b.c'</b>.
+ * </p>
+ * <p>
+ *  Every part of the path can be <b>*</b>, meaning all the properties of an object or all the elements of a {@link ProAct.Array}.
+ *  For example <b>'a.b.*'</b> emits the changes of all the properties of <i>obj.a.b</i> and <b>'items.*.name'</b> emits
+ *  the changes of the names of all the items. The parts can be indices of {@link ProAct.Array}s too - <b>'items.0.name'</b>.
+ * </p>
+ * <p>
+ *  If an object or an array on the path is replaced, or an array on the path is changed, the stream moves its listeners
+ *  to the new objects and emits a {@link ProAct.ValueEvent} for the new value of the field, if it changed.
+ *  With wildcards in the path the event of the replacement is emitted instead.
+ * </p>
+ * <p>
+ *  The path streams are created by the <b>p</b> method of the ProAct.js objects, for dotted paths.
+ * </p>
+ * <pre>
+ *  var obj = ProAct.prob({a: {b: {c: 1}}});
+ *
+ *  obj.p('a.b.c').on(function (event) {
+ *    console.log(event.args[0][event.target]);
+ *  });
+ *
+ *  obj.a.b.c = 2; // logs 2
+ *  obj.a.b = {c: 3}; // logs 3
+ *  obj.a = {b: {c: 4}}; // logs 4
+ * </pre>
+ * <p>
+ *  ProAct.PathStream is part of the streams module of ProAct.js.
+ * </p>
+ *
+ * @class ProAct.PathStream
+ * @extends ProAct.Stream
+ * @param {String} queueName
+ *      The name of the queue all the updates should be pushed to.
+ *      <p>
+ *        If this parameter is null/undefined the default queue of
+ *        {@link ProAct.flow} is used.
+ *      </p>
+ *      <p>
+ *        If this parameter is not a string it is used as the
+ *        <i>object</i>.
+ *      </p>
+ * @param {Object} object
+ *      The ProAct.js object or {@link ProAct.Array} the path starts from.
+ * @param {String} path
+ *      The dotted path to the field to watch.
+ * @see {@link ProAct.ObjectCore#value}
+ */
+function PathStream (queueName, object, path) {
+  if (queueName && !P.U.isString(queueName)) {
+    path = object;
+    object = queueName;
+    queueName = null;
+  }
+  P.S.call(this, queueName);
+
+  var self = this;
+
+  this.object = object;
+  this.path = path;
+  this.keys = path.split('.');
+  this.wildcard = this.keys.indexOf('*') !== -1;
+  this.listening = [];
+
+  this.fieldListener = function (event) {
+    self.val = self.value();
+    self.trigger(event, true);
+  };
+  this.fieldListener.stream = this;
+
+  this.pathListener = function (event) {
+    self.reattach(event);
+  };
+  this.pathListener.stream = this;
+
+  this.attach(object, 0);
+  this.val = this.value();
+}
+ProAct.PathStream = P.PS = PathStream;
+
+ProAct.PathStream.prototype = P.U.ex(Object.create(P.S.prototype), {
+
+  /**
+   * Reference to the constructor of this object.
+   *
+   * @memberof ProAct.PathStream
+   * @instance
+   * @constant
+   * @type {Object}
+   * @default ProAct.PathStream
+   */
+  constructor: ProAct.PathStream,
+
+  /**
+   * Retrieves the current value of the field at the path of <i>this</i> stream.
+   * <p>
+   *  If there are wildcards in the path, or some of the objects on the path is missing, the result is undefined.
+   * </p>
+   *
+   * @memberof ProAct.PathStream
+   * @instance
+   * @method value
+   * @return {Object}
+   *      The current value of the field.
+   */
+  value: function () {
+    if (this.wildcard) {
+      return undefined;
+    }
+
+    return this.resolve(this.keys);
+  },
+
+  /**
+   * Removes all the listeners of <i>this</i> from the objects on its path.
+   *
+   * @memberof ProAct.PathStream
+   * @instance
+   * @method doDestroy
+   */
+  doDestroy: function () {
+    this.unlisten();
+  },
+
+  // private
+  resolve: function (keys) {
+    var object = this.object, i, ln = keys.length;
+
+    for (i = 0; i < ln; i++) {
+      if (object === null || object === undefined) {
+        return undefined;
+      }
+
+      object = P.U.isProArray(object) ? object._array[keys[i]] : object[keys[i]];
+    }
+
+    return object;
+  },
+
+  // private
+  attach: function (object, index) {
+    var key = this.keys[index],
+        last = index === this.keys.length - 1,
+        listener = last ? this.fieldListener : this.pathListener,
+        properties, keys, i, ln;
+
+    if (P.U.isProArray(object)) {
+      this.listen(object.core, listener);
+
+      if (!last) {
+        keys = key === '*' ? Object.keys(object._array) : [key];
+        for (i = 0, ln = keys.length; i < ln; i++) {
+          this.attach(object._array[keys[i]], index + 1);
+        }
+      }
+      return;
+    }
+
+    if (!object || !object.__pro__ || !object.__pro__.properties) {
+      return;
+    }
+
+    properties = object.__pro__.properties;
+    keys = key === '*' ? Object.keys(properties) : [key];
+    for (i = 0, ln = keys.length; i < ln; i++) {
+      if (!properties[keys[i]]) {
+        continue;
+      }
+
+      this.listen(properties[keys[i]], listener);
+      if (!last) {
+        this.attach(object[keys[i]], index + 1);
+      }
+    }
+  },
+
+  // private
+  listen: function (actor, listener) {
+    P.P.listen(actor, actor.defaultActions(), listener);
+    this.listening.push({
+      actor: actor,
+      listener: listener
+    });
+  },
+
+  // private
+  unlisten: function () {
+    var i, ln = this.listening.length, current;
+
+    for (i = 0; i < ln; i++) {
+      current = this.listening[i];
+      if (current.actor.listeners) {
+        current.actor.off(current.listener);
+      }
+    }
+
+    this.listening = [];
+  },
+
+  // private
+  reattach: function (event) {
+    var oldVal = this.val,
+        keys = this.keys,
+        parent;
+
+    this.unlisten();
+    this.attach(this.object, 0);
+    this.val = this.value();
+
+    if (this.wildcard) {
+      this.trigger(event, true);
+      return;
+    }
+
+    if (this.val !== oldVal) {
+      parent = this.resolve(keys.slice(0, -1));
+      this.trigger(new P.VE(this, keys[keys.length - 1], parent, oldVal, this.val), true);
+    }
+  }
+});
@@ -86,6 +86,7 @@ ProAct.Stream.prototype = P.U.ex(Object.create(P.Actor.prototype), {
    * Creates the <i>listener</i> of this stream.
    * <p>
    *  The listener of the stream just calls the method {@link ProAct.Stream#trigger} with the incoming event/value.
+   *  It references the stream with its <i>stream</i> field.
    * </p>
    *
    * @memberof ProAct.Stream
@@ -100,6 +101,7 @@ ProAct.Stream.prototype = P.U.ex(Object.create(P.Actor.prototype), {
       this.listener = function (event) {
         stream.trigger(event, true);
       };
+      this.listener.stream = stream;
     }
 
     return this.listener;
@@ -123,6 +125,7 @@ ProAct.Stream.prototype = P.U.ex(Object.create(P.Actor.prototype), {
       this.errListener = function (error) {
         stream.triggerErr(error);
       };
+      this.errListener.stream = stream;
     }
 
     return this.errListener;
@@ -146,6 +149,7 @@ ProAct.Stream.prototype = P.U.ex(Object.create(P.Actor.prototype), {
       this.closeListener = function (error) {
         stream.triggerClose(error);
       };
+      this.closeListener.stream = stream;
     }
 
     return this.closeListener;
@@ -166,27 +170,34 @@ ProAct.Stream.prototype = P.U.ex(Object.create(P.Actor.prototype), {
    *      The event/value to pass to the listener.
    * @param {Object} listener
    *      The listener to defer. It should be a function or object defining the <i>call</i> method.
+   * @param {Object} options
+   *      The options the <i>listener</i> was attached with, if there are any. See {@link ProAct.Actor#on}.
    * @return {ProAct.Actor}
    *      <i>this</i>
    * @see {@link ProAct.Actor#willUpdate}
    * @see {@link ProAct.Actor#makeListener}
    * @see {@link ProAct.flow}
    */
-  defer: function (event, listener) {
+  defer: function (event, listener, options) {
     if (!listener) {
       return;
     }
 
     if (listener.property) {
-      P.Actor.prototype.defer.call(this, event, listener);
+      P.Actor.prototype.defer.call(this, event, listener, options);
       return;
     }
-    var queueName = (listener.queueName) ? listener.queueName : this.queueName;
+    var queueName = (listener.queueName) ? listener.queueName : this.queueName,
+        priority = options && options.priority;
+
+    if (options && options.queue) {
+      queueName = options.queue;
+    }
 
     if (P.U.isFunction(listener)) {
-      P.flow.push(queueName, listener, [event]);
+      P.flow.push(queueName, null, listener, [event], priority);
     } else {
-      P.flow.push(queueName, listener, listener.call, [event]);
+      P.flow.push(queueName, listener, listener.call, [event], priority);
     }
   },
 
@@ -360,6 +371,172 @@ ProAct.Stream.prototype = P.U.ex(Object.create(P.Actor.prototype), {
     return new P.S(this).accumulation(initVal, accumulationFunction);
   },
 
+  /**
+   * Creates a new ProAct.Stream instance with source <i>this</i> that emits only
+   * the first <i>n</i> events/values of <i>this</i> and after that is closed.
+   *
+   * @memberof ProAct.Stream
+   * @instance
+   * @method take
+   * @param {Number} n
+   *      The number of events/values to emit before closing.
+   * @return {ProAct.Stream}
+   *      A new ProAct.Stream instance emitting the first <i>n</i> events/values.
+   * @see {@link ProAct.Stream#skip}
+   * @see {@link ProAct.Stream#takeWhile}
+   */
+  take: function (n) {
+    var count = 0,
+        result = this.limit(function (event, done) {
+          count += 1;
+          this.trigger(event, true);
+
+          if (count >= n) {
+            done();
+          }
+        });
+
+    if (n <= 0) {
+      result.detach(this).triggerClose();
+    }
+
+    return result;
+  },
+
+  /**
+   * Creates a new ProAct.Stream instance with source <i>this</i> that ignores
+   * the first <i>n</i> events/values of <i>this</i>.
+   *
+   * @memberof ProAct.Stream
+   * @instance
+   * @method skip
+   * @param {Number} n
+   *      The number of events/values to ignore.
+   * @return {ProAct.Stream}
+   *      A new ProAct.Stream instance emitting the events/values after the first <i>n</i>.
+   * @see {@link ProAct.Stream#take}
+   * @see {@link ProAct.Stream#skipWhile}
+   */
+  skip: function (n) {
+    var count = 0;
+
+    return new P.S(this).filtering(function () {
+      count += 1;
+      return count > n;
+    });
+  },
+
+  /**
+   * Creates a new ProAct.Stream instance with source <i>this</i> that emits the events/values
+   * of <i>this</i> while the passed <i>predicate</i> returns true for them.
+   * <p>
+   *  The first time the <i>predicate</i> returns false the new stream is closed.
+   * </p>
+   *
+   * @memberof ProAct.Stream
+   * @instance
+   * @method takeWhile
+   * @param {Object} predicate
+   *      Function or object with a <i>call method</i> returning true for the events/values to emit.
+   * @return {ProAct.Stream}
+   *      A new ProAct.Stream instance emitting events/values while the <i>predicate</i> holds.
+   * @see {@link ProAct.Stream#take}
+   * @see {@link ProAct.Stream#skipWhile}
+   */
+  takeWhile: function (predicate) {
+    return this.limit(function (event, done) {
+      if (predicate.call(this, event)) {
+        this.trigger(event, true);
+      } else {
+        done();
+      }
+    });
+  },
+
+  /**
+   * Creates a new ProAct.Stream instance with source <i>this</i> that ignores the events/values
+   * of <i>this</i> while the passed <i>predicate</i> returns true for them.
+   * <p>
+   *  After the first event/value for which the <i>predicate</i> returns false,
+   *  everything is emitted.
+   * </p>
+   *
+   * @memberof ProAct.Stream
+   * @instance
+   * @method skipWhile
+   * @param {Object} predicate
+   *      Function or object with a <i>call method</i> returning true
+   *      for the events/values to ignore.
+   * @return {ProAct.Stream}
+   *      A new ProAct.Stream instance emitting events/values after the <i>predicate</i> fails.
+   * @see {@link ProAct.Stream#skip}
+   * @see {@link ProAct.Stream#takeWhile}
+   */
+  skipWhile: function (predicate) {
+    var skipping = true;
+
+    return new P.S(this).filtering(function (val) {
+      if (skipping && !predicate.call(this, val)) {
+        skipping = false;
+      }
+
+      return !skipping;
+    });
+  },
+
+  /**
+   * Creates a new ProAct.Stream instance with source <i>this</i> that emits the events/values
+   * of <i>this</i> until the passed <i>notifier</i> emits an event/value.
+   * <p>
+   *  When the <i>notifier</i> emits, the new stream is closed.
+   * </p>
+   *
+   * @memberof ProAct.Stream
+   * @instance
+   * @method takeUntil
+   * @param {ProAct.Actor} notifier
+   *      The actor which first event/value closes the new stream.
+   * @return {ProAct.Stream}
+   *      A new ProAct.Stream instance emitting events/values until the <i>notifier</i> emits.
+   * @see {@link ProAct.Stream#take}
+   */
+  takeUntil: function (notifier) {
+    return this.limit(function (event) {
+      this.trigger(event, true);
+    }, notifier);
+  },
+
+  // private
+  limit: function (step, notifier) {
+    var source = this,
+        result = new P.S(),
+        finished = false,
+        done = function () {
+          if (finished) {
+            return;
+          }
+
+          finished = true;
+          if (notifier) {
+            notifier.off(done);
+          }
+          result.detach(source).triggerClose();
+        };
+
+    result.listener = function (event) {
+      if (!finished) {
+        step.call(result, event, done);
+      }
+    };
+    result.listener.stream = result;
+
+    if (notifier) {
+      notifier.on(done);
+    }
+
+    return result.into(source);
+  },
+
   /**
    * Creates a new ProAct.Stream instance that merges this with other streams.
    * The new instance will have new value on value from any of the source streams.
@@ -379,6 +556,125 @@ ProAct.Stream.prototype = P.U.ex(Object.create(P.Actor.prototype), {
     return P.S.prototype.into.apply(result, sources);
   },
 
+  /**
+   * Creates a new ProAct.Stream instance that turns every event/value of <i>this</i>
+   * into an inner stream, using the passed <i>mapping function</i>,
+   * and emits the events/values of all the inner streams.
+   * <p>
+   *  The new stream is closed when <i>this</i> and all the inner streams are closed.
+   * </p>
+   *
+   * @memberof ProAct.Stream
+   * @instance
+   * @method flatMap
+   * @param {Object} mappingFunction
+   *      Function or object with a <i>call method</i> that returns
+   *      a {@link ProAct.Actor} for every event/value.
+   * @return {ProAct.Stream}
+   *      A new ProAct.Stream instance emitting the events/values of all the inner streams.
+   * @see {@link ProAct.Stream#switchMap}
+   * @see {@link ProAct.Stream#concatMap}
+   */
+  flatMap: function (mappingFunction) {
+    return this.flatten(mappingFunction, function (result, inner) {
+      result.into(inner);
+    });
+  },
+
+  /**
+   * Creates a new ProAct.Stream instance that turns every event/value of <i>this</i>
+   * into an inner stream, using the passed <i>mapping function</i>,
+   * and emits only the events/values of the latest inner stream.
+   * <p>
+   *  When a new inner stream arrives, the previous one is detached from the result.
+   * </p>
+   *
+   * @memberof ProAct.Stream
+   * @instance
+   * @method switchMap
+   * @param {Object} mappingFunction
+   *      Function or object with a <i>call method</i> that returns
+   *      a {@link ProAct.Actor} for every event/value.
+   * @return {ProAct.Stream}
+   *      A new ProAct.Stream instance emitting the events/values of the latest inner stream.
+   * @see {@link ProAct.Stream#flatMap}
+   * @see {@link ProAct.Stream#detach}
+   */
+  switchMap: function (mappingFunction) {
+    var current = null;
+
+    return this.flatten(mappingFunction, function (result, inner) {
+      if (current) {
+        result.detach(current);
+      }
+
+      current = inner;
+      inner.onClose(function () {
+        if (current === inner) {
+          current = null;
+        }
+      });
+      result.into(inner);
+    });
+  },
+
+  /**
+   * Creates a new ProAct.Stream instance that turns every event/value of <i>this</i>
+   * into an inner stream, using the passed <i>mapping function</i>,
+   * and emits the events/values of the inner streams one after another.
+   * <p>
+   *  The next inner stream is plugged into the result only after the previous one is closed.
+   * </p>
+   *
+   * @memberof ProAct.Stream
+   * @instance
+   * @method concatMap
+   * @param {Object} mappingFunction
+   *      Function or object with a <i>call method</i> that returns
+   *      a {@link ProAct.Actor} for every event/value.
+   * @return {ProAct.Stream}
+   *      A new ProAct.Stream instance emitting the events/values of the inner streams in order.
+   * @see {@link ProAct.Stream#flatMap}
+   */
+  concatMap: function (mappingFunction) {
+    var waiting = [], current = null, result,
+        next = function () {
+          current = waiting.shift() || null;
+          if (current) {
+            current.onClose(next);
+            P.Actor.prototype.into.call(result, current);
+          }
+        };
+
+    result = this.flatten(mappingFunction, function (stream, inner) {
+      stream.sourceNumber += 1;
+      waiting.push(inner);
+
+      if (!current) {
+        next();
+      }
+    });
+
+    return result;
+  },
+
+  // private
+  flatten: function (mappingFunction, plug) {
+    var result = new P.S();
+
+    this.on(function (event) {
+      var inner = mappingFunction.call(result, event);
+      if (inner) {
+        plug(result, inner);
+      }
+    });
+    this.onErr(result.makeErrListener());
+    this.onClose(result.makeCloseListener());
+    result.sourceNumber += 1;
+
+    return result;
+  },
+
   into: function () {
     ProAct.Actor.prototype.into.apply(this, arguments);
 
@@ -387,6 +683,39 @@ ProAct.Stream.prototype = P.U.ex(Object.create(P.Actor.prototype), {
     return this;
   },
 
+  /**
+   * The reverse of {@link ProAct.Stream#into} - stops listening for changes, errors and closing
+   * events from the passed <i>source</i>.
+   * <p>
+   *  The detached source is no longer counted when deciding if <i>this</i> can be closed.
+   *  Detaching an actor, that is not a source of <i>this</i>, does nothing.
+   * </p>
+   *
+   * @memberof ProAct.Stream
+   * @instance
+   * @method detach
+   * @param {ProAct.Actor} source
+   *      A source of <i>this</i> to detach from.
+   * @return {ProAct.Stream}
+   *      <i>this</i>
+   * @see {@link ProAct.Stream#into}
+   */
+  detach: function (source) {
+    var listener = this.makeListener();
+
+    if (!source.isListening(listener)) {
+      return this;
+    }
+
+    source.off(listener);
+    source.offErr(this.makeErrListener());
+    source.offClose(this.makeCloseListener());
+
+    this.sourceNumber -= 1;
+
+    return this;
+  },
+
   canClose: function () {
     this.sourceNumber -= 1;
 
@@ -394,6 +723,119 @@ ProAct.Stream.prototype = P.U.ex(Object.create(P.Actor.prototype), {
   }
 });
 
+P.U.ex(P.S, {
+
+  /**
+   * Creates a new ProAct.Stream instance that emits every time one of the passed streams emits,
+   * but only after all of them have emitted at least once.
+   * <p>
+   *  The emitted value is the result of the <i>combining function</i> (the last argument), called
+   *  with the latest events/values of all the sources in the order they were passed.
+   *  If there is no <i>combining function</i>, an array of these events/values is emitted.
+   * </p>
+   * <p>
+   *  Errors of the sources are passed to the new stream and it is closed
+   *  when all the sources are closed.
+   * </p>
+   *
+   * @function combineLatest
+   * @memberof ProAct.Stream
+   * @static
+   * @param [...]
+   *      A list of streams to be combined and optionally
+   *      a <i>combining function</i> as last argument.
+   * @return {ProAct.Stream}
+   *      A new ProAct.Stream instance emitting the combined events/values.
+   * @see {@link ProAct.Stream.zip}
+   */
+  combineLatest: function () {
+    var latest = [], ready = [], readyNumber = 0;
+
+    return P.S.combine(arguments, function (sources, index, event) {
+      if (!ready[index]) {
+        ready[index] = true;
+        readyNumber += 1;
+      }
+      latest[index] = event;
+
+      if (readyNumber === sources.length) {
+        return latest.slice();
+      }
+    });
+  },
+
+  /**
+   * Creates a new ProAct.Stream instance that pairs the events/values
+   * of the passed streams by their position.
+   * <p>
+   *  The new stream emits when every source has emitted its n-th event/value, the result of the
+   *  <i>combining function</i> (the last argument) is called with these events/values.
+   *  If there is no <i>combining function</i>, an array of them is emitted.
+   * </p>
+   * <p>
+   *  Errors of the sources are passed to the new stream and it is closed
+   *  when all the sources are closed.
+   * </p>
+   *
+   * @function zip
+   * @memberof ProAct.Stream
+   * @static
+   * @param [...]
+   *      A list of streams to be zipped and optionally
+   *      a <i>combining function</i> as last argument.
+   * @return {ProAct.Stream}
+   *      A new ProAct.Stream instance emitting the zipped events/values.
+   * @see {@link ProAct.Stream.combineLatest}
+   */
+  zip: function () {
+    var buffers = [];
+
+    return P.S.combine(arguments, function (sources, index, event) {
+      var i, ln = sources.length, result = [];
+
+      buffers[index] = buffers[index] || [];
+      buffers[index].push(event);
+
+      for (i = 0; i < ln; i++) {
+        if (!buffers[i] || !buffers[i].length) {
+          return;
+        }
+      }
+
+      for (i = 0; i < ln; i++) {
+        result.push(buffers[i].shift());
+      }
+
+      return result;
+    });
+  },
+
+  // private
+  combine: function (args, collect) {
+    var sources = slice.call(args),
+        combining = P.U.isFunction(sources[sources.length - 1]) ? sources.pop() : null,
+        result = new P.S(),
+        listen = function (source, index) {
+          source.on(function (event) {
+            var values = collect(sources, index, event);
+            if (values) {
+              result.trigger(combining ? combining.apply(result, values) : values, true);
+            }
+          });
+          source.onErr(result.makeErrListener());
+          source.onClose(result.makeCloseListener());
+        },
+        i, ln = sources.length;
+
+    for (i = 0; i < ln; i++) {
+      listen(sources[i], i);
+    }
+    result.sourceNumber += ln;
+
+    return result;
+  }
+});
+
 P.U.ex(P.F.prototype, {
 
   /**
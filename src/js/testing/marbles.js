@@ -0,0 +1,357 @@
+/**
+ * Contains helpers for testing the timed behavior of the {@link ProAct.Stream}s
+ * using <i>marble diagrams</i>.
+ * <p>
+ *  A marble diagram is a string, describing what happens in a stream in time.
+ *  Every character of the string is one <i>frame</i> - {@link ProAct.testing.frame}
+ *  milliseconds of time:
+ *  <ul>
+ *    <li><b>-</b> - Nothing happens in this frame.</li>
+ *    <li><b>|</b> - The stream is closed.</li>
+ *    <li><b>#</b> - An error is emitted.</li>
+ *    <li><b>^</b> - The moment of the subscription, the frame 0 of the diagram. Only for hot streams.</li>
+ *    <li><b>(ab)</b> - The events in the brackets happen in the same frame, the group is one frame.</li>
+ *    <li>Any other character is an event/value emitted in this frame.</li>
+ *  </ul>
+ *  Spaces are ignored.
+ * </p>
+ * <p>
+ *  The helpers use the {@link ProAct.scheduler}, so they should be used
+ *  with a {@link ProAct.VirtualScheduler}.
+ * </p>
+ * <pre>
+ *  var scheduler = ProAct.testing.scheduler(),
+ *      stream = ProAct.testing.hot('--a--b--|'),
+ *      recorder = ProAct.testing.record(stream.map(function (v) { return v.toUpperCase(); }));
+ *
+ *  scheduler.advanceBy(100);
+ *  recorder.marbles(); // '--A--B--|'
+ * </pre>
+ *
+ * @namespace ProAct.testing
+ */
+ProAct.testing = {
+
+  /**
+   * The time in milliseconds of one frame in the marble diagrams.
+   *
+   * @memberof ProAct.testing
+   * @type Number
+   * @static
+   * @default 10
+   */
+  frame: 10,
+
+  /**
+   * Creates a new {@link ProAct.VirtualScheduler} and sets it as the {@link ProAct.scheduler}.
+   *
+   * @memberof ProAct.testing
+   * @static
+   * @return {ProAct.VirtualScheduler}
+   *      The new scheduler.
+   */
+  scheduler: function () {
+    ProAct.scheduler = new P.VSC();
+
+    return ProAct.scheduler;
+  },
+
+  /**
+   * Parses a marble diagram to a list of notifications.
+   * <p>
+   *  Every notification has <i>frame</i>, <i>type</i> - 'change', 'error' or 'close'
+   *  and <i>value</i>.
+   *  The frames are relative to the subscription point - <b>^</b>, if there is one.
+   * </p>
+   *
+   * @memberof ProAct.testing
+   * @static
+   * @param {String} marbles
+   *      The marble diagram to parse.
+   * @param {Object} values
+   *      Optional map from the characters of the diagram to the actual events/values to be emitted.
+   * @param {Object} error
+   *      Optional error to be used for the <b>#</b> character. By default it is the string 'error'.
+   * @return {Array}
+   *      The notifications described by the diagram.
+   */
+  parse: function (marbles, values, error) {
+    var notifications = [],
+        frame = 0, zero = 0,
+        inGroup = false,
+        i, ln = marbles.length, ch;
+
+    for (i = 0; i < ln; i++) {
+      ch = marbles.charAt(i);
+
+      if (ch === ' ') {
+        continue;
+      } else if (ch === '(') {
+        inGroup = true;
+        continue;
+      } else if (ch === ')') {
+        inGroup = false;
+      } else if (ch === '^') {
+        zero = frame;
+      } else if (ch === '|') {
+        notifications.push({frame: frame, type: 'close'});
+      } else if (ch === '#') {
+        notifications.push({
+          frame: frame,
+          type: 'error',
+          value: error === undefined ? 'error' : error
+        });
+      } else if (ch !== '-') {
+        notifications.push({
+          frame: frame,
+          type: 'change',
+          value: values && values.hasOwnProperty(ch) ? values[ch] : ch
+        });
+      }
+
+      if (!inGroup) {
+        frame += 1;
+      }
+    }
+
+    for (i = 0; i < notifications.length; i++) {
+      notifications[i].frame -= zero;
+    }
+
+    return notifications;
+  },
+
+  /**
+   * Creates a <i>hot</i> {@link ProAct.Stream} from a marble diagram.
+   * <p>
+   *  The events of a hot stream are scheduled at the moment of its creation, which is
+   *  the subscription point of the diagram (<b>^</b> or the first frame).
+   *  The events before the subscription point are never emitted.
+   * </p>
+   *
+   * @memberof ProAct.testing
+   * @static
+   * @param {String} marbles
+   *      The marble diagram of the stream.
+   * @param {Object} values
+   *      Optional map from the characters of the diagram to the actual events/values to be emitted.
+   * @param {Object} error
+   *      Optional error to be used for the <b>#</b> character.
+   * @return {ProAct.Stream}
+   *      The new stream.
+   * @see {@link ProAct.testing.cold}
+   */
+  hot: function (marbles, values, error) {
+    var stream = new P.S();
+
+    P.testing.play(stream, P.testing.parse(marbles, values, error));
+
+    return stream;
+  },
+
+  /**
+   * Creates a <i>cold</i> {@link ProAct.Stream} from a marble diagram.
+   * <p>
+   *  The events of a cold stream are scheduled when the first listener is attached to it,
+   *  for example using {@link ProAct.Actor#on} or {@link ProAct.Actor#into}.
+   * </p>
+   *
+   * @memberof ProAct.testing
+   * @static
+   * @param {String} marbles
+   *      The marble diagram of the stream.
+   * @param {Object} values
+   *      Optional map from the characters of the diagram to the actual events/values to be emitted.
+   * @param {Object} error
+   *      Optional error to be used for the <b>#</b> character.
+   * @return {ProAct.testing.ColdStream}
+   *      The new stream.
+   * @see {@link ProAct.testing.hot}
+   */
+  cold: function (marbles, values, error) {
+    return new P.testing.ColdStream(P.testing.parse(marbles, values, error));
+  },
+
+  /**
+   * Starts recording the events/values, the errors and the closing of the passed <i>actor</i>.
+   * <p>
+   *  The returned recorder has a list of <i>notifications</i> in the format returned
+   *  by {@link ProAct.testing.parse} and a <i>marbles</i> method, returning them as a marble diagram.
+   *  The frames are relative to the moment the recording started.
+   * </p>
+   *
+   * @memberof ProAct.testing
+   * @static
+   * @param {ProAct.Actor} actor
+   *      The actor to record.
+   * @param {Object} values
+   *      Optional map from characters to events/values, used to represent
+   *      the recorded events/values in the marble diagram.
+   * @return {Object}
+   *      The recorder.
+   */
+  record: function (actor, values) {
+    var scheduler = P.scheduler,
+        start = scheduler.now(),
+        recorder = {
+          notifications: [],
+          marbles: function () {
+            return P.testing.marbles(this.notifications, values);
+          }
+        },
+        listener = function (type) {
+          return function (value) {
+            recorder.notifications.push({
+              frame: Math.round((scheduler.now() - start) / P.testing.frame),
+              type: type,
+              value: value
+            });
+          };
+        };
+
+    actor.on(listener('change'));
+    actor.onErr(listener('error'));
+    actor.onClose(listener('close'));
+
+    return recorder;
+  },
+
+  /**
+   * Turns a list of notifications in the format returned by {@link ProAct.testing.parse}
+   * into a marble diagram.
+   *
+   * @memberof ProAct.testing
+   * @static
+   * @param {Array} notifications
+   *      The notifications to represent.
+   * @param {Object} values
+   *      Optional map from characters to events/values, used to represent the events/values.
+   *      If there is no character for an event/value, the event/value is represented by itself.
+   * @return {String}
+   *      The marble diagram.
+   */
+  marbles: function (notifications, values) {
+    var result = '', frame = 0, group,
+        i = 0, ln = notifications.length,
+        symbol = function (notification) {
+          var k;
+          if (notification.type === 'close') {
+            return '|';
+          }
+          if (notification.type === 'error') {
+            return '#';
+          }
+
+          if (values) {
+            for (k in values) {
+              if (values.hasOwnProperty(k) && values[k] === notification.value) {
+                return k;
+              }
+            }
+          }
+
+          return String(notification.value);
+        };
+
+    while (i < ln) {
+      for (; frame < notifications[i].frame; frame++) {
+        result += '-';
+      }
+
+      group = [];
+      while (i < ln && notifications[i].frame === frame) {
+        group.push(symbol(notifications[i]));
+        i++;
+      }
+
+      result += group.length > 1 ? '(' + group.join('') + ')' : group[0];
+      frame += 1;
+    }
+
+    return result;
+  },
+
+  // private
+  play: function (stream, notifications) {
+    var scheduler = P.scheduler,
+        i, ln = notifications.length,
+        schedule = function (notification) {
+          scheduler.setTimeout(function () {
+            if (notification.type === 'change') {
+              stream.trigger(notification.value);
+            } else if (notification.type === 'error') {
+              stream.triggerErr(notification.value);
+            } else {
+              stream.triggerClose();
+            }
+          }, notification.frame * P.testing.frame);
+        };
+
+    for (i = 0; i < ln; i++) {
+      if (notifications[i].frame >= 0) {
+        schedule(notifications[i]);
+      }
+    }
+  }
+};
+
+/**
+ * <p>
+ *  Constructs a ProAct.testing.ColdStream - a {@link ProAct.Stream}, which starts
+ *  playing its notifications when the first listener is attached to it.
+ * </p>
+ * <p>
+ *  ProAct.testing.ColdStream is part of the testing module of ProAct.js and
+ *  is created by {@link ProAct.testing.cold}.
+ * </p>
+ *
+ * @class ProAct.testing.ColdStream
+ * @extends ProAct.Stream
+ * @param {Array} notifications
+ *      The notifications to play, in the format returned by {@link ProAct.testing.parse}.
+ * @see {@link ProAct.testing.cold}
+ */
+ProAct.testing.ColdStream = function (notifications) {
+  P.S.call(this);
+
+  this.notifications = notifications;
+};
+
+ProAct.testing.ColdStream.prototype = P.U.ex(Object.create(P.S.prototype), {
+
+  /**
+   * Reference to the constructor of this object.
+   *
+   * @memberof ProAct.testing.ColdStream
+   * @instance
+   * @constant
+   * @type {Object}
+   * @default ProAct.testing.ColdStream
+   */
+  constructor: ProAct.testing.ColdStream,
+
+  /**
+   * Adds a listener to this stream, scheduling its notifications if it is the first one.
+   *
+   * @memberof ProAct.testing.ColdStream
+   * @instance
+   * @method on
+   * @param {Array|String} actions
+   *      The action/actions to listen for.
+   * @param {Object} listener
+   *      The listener.
+   * @param {Object} options
+   *      Optional settings for the listener.
+   * @return {ProAct.testing.ColdStream}
+   *      <b>this</b>
+   * @see {@link ProAct.Actor#on}
+   */
+  on: function (actions, listener, options) {
+    if (this.notifications) {
+      P.testing.play(this, this.notifications);
+      this.notifications = null;
+    }
+
+    return P.S.prototype.on.call(this, actions, listener, options);
+  }
+});